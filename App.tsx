@@ -1,16 +1,66 @@
-import React from 'react';
-import { NavigationContainer } from '@react-navigation/native';
-import { createNativeStackNavigator } from '@react-navigation/native-stack';
-import { AuthProvider, useAuth } from './src/context/AuthContext';
+import React, {useEffect, useRef, useState} from 'react';
+import {NavigationContainer} from '@react-navigation/native';
+import {createNativeStackNavigator} from '@react-navigation/native-stack';
+import {AuthProvider, useAuth} from './src/context/AuthContext';
+import {OutboxProvider} from './src/context/OutboxContext';
+import {UserProfilesProvider} from './src/context/UserProfilesContext';
+import {PresenceProvider} from './src/context/PresenceContext';
+import {NotificationsProvider} from './src/context/NotificationsContext';
 import LoginScreen from './src/screens/Auth/LoginScreen';
 import SignupScreen from './src/screens/Auth/SignupScreen';
+import ForgotPasswordScreen from './src/screens/Auth/ForgotPasswordScreen';
+import VerifyEmailScreen from './src/screens/Auth/VerifyEmailScreen';
 import DashboardScreen from './src/screens/DashboardScreen';
-import { ActivityIndicator, View, StyleSheet } from 'react-native';
+import WorkspaceSetupScreen from './src/screens/Workspaces/WorkspaceSetupScreen';
+import {
+  ChatRoomRoute,
+  ThreadRoute,
+  GroupInfoRoute,
+  GroupInvitesRoute,
+  JoinGroupRoute,
+  SearchRoute,
+  MentionsRoute,
+  PeopleRoute,
+  UserManagementRoute,
+  ProfileRoute,
+  SettingsRoute,
+  ChangePasswordRoute,
+  MessageLinkRoute,
+} from './src/navigation/routes';
+import {createLinking} from './src/navigation/linking';
+import {ActivityIndicator, View, StyleSheet} from 'react-native';
 
 const Stack = createNativeStackNavigator();
 
+// companychat://group/<groupId>, companychat://message/<messageId> and
+// companychat://join/<inviteCode>
+const linkingConfig = {
+  initialRouteName: 'Dashboard' as const,
+  screens: {
+    Dashboard: '',
+    ChatRoom: 'group/:groupId',
+    MessageLink: 'message/:messageId',
+    JoinGroup: 'join/:code',
+  },
+};
+
 function Navigation() {
-  const { currentUser } = useAuth();
+  const {currentUser, emailVerified, userData} = useAuth();
+  // Links wait until the user is past the verify-your-email screen and
+  // inside a workspace too
+  const verified = !!currentUser && emailVerified;
+  const signedIn = verified && !!userData;
+  const signedInRef = useRef(false);
+  signedInRef.current = signedIn;
+  const [linking] = useState(() =>
+    createLinking(linkingConfig, () => signedInRef.current),
+  );
+
+  useEffect(() => {
+    if (signedIn) {
+      linking.flushPendingURL();
+    }
+  }, [signedIn, linking]);
 
   if (currentUser === undefined) {
     return (
@@ -21,20 +71,57 @@ function Navigation() {
   }
 
   return (
-    <NavigationContainer>
+    <NavigationContainer linking={linking}>
       <Stack.Navigator
         screenOptions={{
           headerShown: false,
-        }}
-      >
-        {currentUser ? (
+        }}>
+        {signedIn ? (
           <>
             <Stack.Screen name="Dashboard" component={DashboardScreen} />
+            <Stack.Screen
+              name="ChatRoom"
+              component={ChatRoomRoute}
+              getId={({params}) => (params as {groupId: string}).groupId}
+            />
+            <Stack.Screen name="Thread" component={ThreadRoute} />
+            <Stack.Screen name="GroupInfo" component={GroupInfoRoute} />
+            <Stack.Screen name="GroupInvites" component={GroupInvitesRoute} />
+            <Stack.Screen name="JoinGroup" component={JoinGroupRoute} />
+            <Stack.Screen name="Search" component={SearchRoute} />
+            <Stack.Screen name="Mentions" component={MentionsRoute} />
+            <Stack.Screen name="People" component={PeopleRoute} />
+            <Stack.Screen
+              name="UserManagement"
+              component={UserManagementRoute}
+            />
+            <Stack.Screen name="Profile" component={ProfileRoute} />
+            <Stack.Screen name="Settings" component={SettingsRoute} />
+            <Stack.Screen
+              name="ChangePassword"
+              component={ChangePasswordRoute}
+            />
+            <Stack.Screen name="MessageLink" component={MessageLinkRoute} />
+            <Stack.Screen
+              name="WorkspaceSetup"
+              component={WorkspaceSetupScreen}
+            />
           </>
+        ) : verified ? (
+          <Stack.Screen
+            name="WorkspaceSetup"
+            component={WorkspaceSetupScreen}
+          />
+        ) : currentUser ? (
+          <Stack.Screen name="VerifyEmail" component={VerifyEmailScreen} />
         ) : (
           <>
             <Stack.Screen name="Login" component={LoginScreen} />
             <Stack.Screen name="Signup" component={SignupScreen} />
+            <Stack.Screen
+              name="ForgotPassword"
+              component={ForgotPasswordScreen}
+            />
           </>
         )}
       </Stack.Navigator>
@@ -45,7 +132,15 @@ function Navigation() {
 export default function App() {
   return (
     <AuthProvider>
-      <Navigation />
+      <UserProfilesProvider>
+        <PresenceProvider>
+          <NotificationsProvider>
+            <OutboxProvider>
+              <Navigation />
+            </OutboxProvider>
+          </NotificationsProvider>
+        </PresenceProvider>
+      </UserProfilesProvider>
     </AuthProvider>
   );
 }
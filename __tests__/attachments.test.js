@@ -0,0 +1,47 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  MAX_ATTACHMENT_SIZE,
+  validateAttachment,
+  formatFileSize,
+  attachmentPath,
+} from '../src/utils/attachments';
+
+describe('validateAttachment', () => {
+  it('accepts supported documents under the size limit', () => {
+    expect(validateAttachment({type: 'application/pdf', size: 1024})).toBe(
+      null,
+    );
+  });
+
+  it('rejects unsupported types and oversized files', () => {
+    expect(
+      validateAttachment({type: 'application/x-msdownload', size: 10}),
+    ).toMatch(/not supported/);
+    expect(
+      validateAttachment({
+        type: 'application/pdf',
+        size: MAX_ATTACHMENT_SIZE + 1,
+      }),
+    ).toMatch(/smaller than/);
+  });
+});
+
+describe('formatFileSize', () => {
+  it('uses the largest sensible unit', () => {
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(2048)).toBe('2 KB');
+    expect(formatFileSize(3.5 * 1024 * 1024)).toBe('3.5 MB');
+  });
+});
+
+describe('attachmentPath', () => {
+  it('keeps the original name without path separators', () => {
+    expect(attachmentPath('w1', 'u1', 'Q3/report?.pdf', 42)).toBe(
+      'workspaces/w1/chat-files/u1/42_Q3_report_.pdf',
+    );
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  MIN_PASSWORD_LENGTH,
+  authErrorMessage,
+  newPasswordError,
+} from '../src/utils/authErrors';
+import {usernameTakenError} from '../src/utils/usernames';
+
+describe('authErrorMessage', () => {
+  it('maps known auth codes to friendly text', () => {
+    expect(authErrorMessage({code: 'auth/invalid-credential'}, 'x')).toBe(
+      'Invalid username/email or password',
+    );
+    expect(authErrorMessage({code: 'auth/too-many-requests'}, 'x')).toMatch(
+      /try again later/,
+    );
+    expect(authErrorMessage(usernameTakenError(), 'x')).toBe(
+      'Username already taken',
+    );
+  });
+
+  it('prefers screen-specific overrides', () => {
+    const overrides = {'auth/wrong-password': 'Current password is incorrect'};
+    expect(
+      authErrorMessage({code: 'auth/wrong-password'}, 'x', overrides),
+    ).toBe('Current password is incorrect');
+    expect(authErrorMessage({code: 'auth/invalid-email'}, 'x', overrides)).toBe(
+      'Invalid email address',
+    );
+  });
+
+  it('falls back to the error message, then the fallback', () => {
+    expect(authErrorMessage(new Error('Offline'), 'Failed')).toBe('Offline');
+    expect(authErrorMessage({code: 'auth/unknown'}, 'Failed')).toBe('Failed');
+    expect(authErrorMessage(undefined, 'Failed')).toBe('Failed');
+  });
+});
+
+describe('newPasswordError', () => {
+  it('accepts matching passwords of the minimum length', () => {
+    const password = 'a'.repeat(MIN_PASSWORD_LENGTH);
+    expect(newPasswordError(password, password)).toBe(null);
+  });
+
+  it('rejects mismatched or short passwords', () => {
+    expect(newPasswordError('secret1', 'secret2')).toBe(
+      'Passwords do not match',
+    );
+    expect(newPasswordError('abc', 'abc')).toMatch(/at least/);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  CONVERSATION_TABS,
+  arrangeConversations,
+  formatActivityTime,
+  lastActivityMillis,
+  previewSenderLabel,
+} from '../src/utils/conversationList';
+
+const NOW = 1_700_000_000_000;
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const at = millis => ({toMillis: () => millis});
+
+const groups = [
+  {id: 'design', name: 'Design', createdAt: at(NOW - 5 * DAY)},
+  {id: 'news', name: 'News', isChannel: true, createdAt: at(NOW - 2 * DAY)},
+  {
+    id: 'dm',
+    name: 'Alice Smith',
+    isDirect: true,
+    directUser: {username: 'alice'},
+    createdAt: at(NOW - 10 * DAY),
+  },
+];
+
+const lastMessages = {
+  design: {createdAt: at(NOW - HOUR)},
+  dm: {createdAt: at(NOW - MINUTE)},
+};
+
+const ids = list => list.map(group => group.id);
+
+describe('lastActivityMillis', () => {
+  it('uses the last message, then the creation time', () => {
+    expect(lastActivityMillis(groups[0], lastMessages.design, NOW)).toBe(
+      NOW - HOUR,
+    );
+    expect(lastActivityMillis(groups[1], undefined, NOW)).toBe(NOW - 2 * DAY);
+    expect(lastActivityMillis({id: 'x'}, undefined, NOW)).toBe(0);
+  });
+
+  it('treats pending server timestamps as now', () => {
+    expect(lastActivityMillis(groups[0], {createdAt: null}, NOW)).toBe(NOW);
+  });
+});
+
+describe('arrangeConversations', () => {
+  it('orders by most recent activity', () => {
+    const {pinned, others} = arrangeConversations(groups, {
+      lastMessages,
+      now: NOW,
+    });
+    expect(pinned).toEqual([]);
+    expect(ids(others)).toEqual(['dm', 'design', 'news']);
+  });
+
+  it('splits out pinned conversations', () => {
+    const {pinned, others} = arrangeConversations(groups, {
+      lastMessages,
+      pinnedIds: ['news'],
+      now: NOW,
+    });
+    expect(ids(pinned)).toEqual(['news']);
+    expect(ids(others)).toEqual(['dm', 'design']);
+  });
+
+  it('filters by tab and by name or username', () => {
+    const channels = arrangeConversations(groups, {
+      tab: CONVERSATION_TABS.CHANNELS,
+      now: NOW,
+    });
+    expect(ids(channels.others)).toEqual(['news']);
+
+    const byUsername = arrangeConversations(groups, {query: 'ALI', now: NOW});
+    expect(ids(byUsername.others)).toEqual(['dm']);
+
+    const byName = arrangeConversations(groups, {query: ' des ', now: NOW});
+    expect(ids(byName.others)).toEqual(['design']);
+  });
+});
+
+describe('previewSenderLabel', () => {
+  const options = {userId: 'me', isDirect: false};
+
+  it('credits the sender in groups', () => {
+    expect(
+      previewSenderLabel({senderId: 'u1', senderName: 'Bob'}, options),
+    ).toBe('Bob');
+    expect(previewSenderLabel({senderId: 'me'}, options)).toBe('You');
+  });
+
+  it('leaves out the other person in direct messages and system messages', () => {
+    expect(
+      previewSenderLabel(
+        {senderId: 'u1', senderName: 'Bob'},
+        {...options, isDirect: true},
+      ),
+    ).toBe(null);
+    expect(previewSenderLabel({type: 'system', senderId: 'u1'}, options)).toBe(
+      null,
+    );
+  });
+});
+
+describe('formatActivityTime', () => {
+  it('formats recent activity relative to now', () => {
+    expect(formatActivityTime(NOW - 10 * 1000, NOW)).toBe('now');
+    expect(formatActivityTime(NOW - 5 * MINUTE, NOW)).toBe('5m');
+    expect(formatActivityTime(NOW - 3 * HOUR, NOW)).toBe('3h');
+    expect(formatActivityTime(NOW - 30 * HOUR, NOW)).toBe('Yesterday');
+    expect(formatActivityTime(NOW - 4 * DAY, NOW)).toBe('4d');
+    expect(formatActivityTime(0, NOW)).toBe('');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  INVITE_CODE_ALPHABET,
+  INVITE_CODE_LENGTH,
+  generateInviteCode,
+  inviteLink,
+  parseInviteInput,
+  inviteProblem,
+  inviteSummary,
+} from '../src/utils/groupInvites';
+
+const NOW = 1700000000000;
+const HOUR = 60 * 60 * 1000;
+const timestamp = millis => ({toMillis: () => millis});
+
+describe('generateInviteCode', () => {
+  it('uses only unambiguous characters', () => {
+    const code = generateInviteCode();
+    expect(code).toHaveLength(INVITE_CODE_LENGTH);
+    expect([...code].every(char => INVITE_CODE_ALPHABET.includes(char))).toBe(
+      true,
+    );
+  });
+
+  it('maps each random byte onto the alphabet', () => {
+    const bytes = [0, 31, 32, 255, 1, 2, 3, 4];
+    expect(generateInviteCode(length => bytes.slice(0, length))).toBe(
+      'A9A9BCDE',
+    );
+  });
+});
+
+describe('parseInviteInput', () => {
+  it('accepts bare codes however they were typed', () => {
+    expect(parseInviteInput(' abcd-2345 ')).toEqual({
+      code: 'ABCD2345',
+      workspaceId: null,
+    });
+  });
+
+  it('reads the code and workspace out of links', () => {
+    expect(parseInviteInput(inviteLink('acme', 'ABCD2345'))).toEqual({
+      code: 'ABCD2345',
+      workspaceId: 'acme',
+    });
+  });
+});
+
+describe('inviteProblem', () => {
+  it('allows open invites', () => {
+    expect(inviteProblem({uses: 3}, NOW)).toBeNull();
+    expect(
+      inviteProblem(
+        {expiresAt: timestamp(NOW + HOUR), maxUses: 5, uses: 4},
+        NOW,
+      ),
+    ).toBeNull();
+  });
+
+  it('refuses missing, revoked, expired and used up invites', () => {
+    expect(inviteProblem(null, NOW)).toMatch(/not valid/);
+    expect(inviteProblem({revoked: true}, NOW)).toMatch(/revoked/);
+    expect(inviteProblem({expiresAt: timestamp(NOW)}, NOW)).toMatch(/expired/);
+    expect(inviteProblem({maxUses: 1, uses: 1}, NOW)).toMatch(/maximum/);
+  });
+});
+
+describe('inviteSummary', () => {
+  it('describes uses and time left', () => {
+    expect(inviteSummary({uses: 1}, NOW)).toBe('1 use · never expires');
+    expect(
+      inviteSummary(
+        {maxUses: 5, uses: 2, expiresAt: timestamp(NOW + 3 * 24 * HOUR)},
+        NOW,
+      ),
+    ).toBe('2 of 5 uses · expires in 3 days');
+    expect(inviteSummary({expiresAt: timestamp(NOW + HOUR)}, NOW)).toBe(
+      '0 uses · expires in 1 hour',
+    );
+  });
+
+  it('says why an invite stopped working', () => {
+    expect(inviteSummary({revoked: true}, NOW)).toBe('Revoked');
+    expect(inviteSummary({expiresAt: timestamp(NOW - 1)}, NOW)).toBe('Expired');
+    expect(inviteSummary({maxUses: 1, uses: 1}, NOW)).toBe('Used up');
+  });
+});
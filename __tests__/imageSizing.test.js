@@ -0,0 +1,52 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  MAX_ALBUM_TILES,
+  fitWithin,
+  messageImages,
+  albumTiles,
+} from '../src/utils/imageSizing';
+
+describe('fitWithin', () => {
+  it('scales down keeping the aspect ratio', () => {
+    expect(fitWithin(1600, 1200, 220, 280)).toEqual({width: 220, height: 165});
+    expect(fitWithin(900, 1600, 220, 280)).toEqual({width: 158, height: 280});
+  });
+
+  it('never scales small images up', () => {
+    expect(fitWithin(100, 80, 220, 280)).toEqual({width: 100, height: 80});
+  });
+
+  it('falls back to a square without dimensions', () => {
+    expect(fitWithin(undefined, undefined, 220, 280)).toEqual({
+      width: 220,
+      height: 220,
+    });
+  });
+});
+
+describe('messageImages', () => {
+  it('prefers the images array and falls back to legacy mediaUrl', () => {
+    const images = [{url: 'a'}, {url: 'b'}];
+    expect(messageImages({mediaType: 'image', mediaUrl: 'a', images})).toBe(
+      images,
+    );
+    expect(messageImages({mediaType: 'image', mediaUrl: 'old'})).toEqual([
+      {url: 'old'},
+    ]);
+    expect(messageImages({mediaType: 'file', mediaUrl: 'doc'})).toEqual([]);
+  });
+});
+
+describe('albumTiles', () => {
+  it('caps visible tiles and counts the rest', () => {
+    const images = Array.from({length: 7}, (_, index) => ({url: `${index}`}));
+    const {visible, hiddenCount} = albumTiles(images);
+    expect(visible).toHaveLength(MAX_ALBUM_TILES);
+    expect(hiddenCount).toBe(7 - MAX_ALBUM_TILES);
+    expect(albumTiles(images.slice(0, 2)).hiddenCount).toBe(0);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  getActiveMention,
+  insertMention,
+  filterMentionCandidates,
+  extractMentions,
+  splitMentionSegments,
+} from '../src/screens/Chat/mentions';
+
+const members = [
+  {id: 'u1', name: 'Priya Raman', username: 'priya'},
+  {id: 'u2', name: 'Arun Kumar', username: 'arun_k'},
+  {id: 'u3', name: 'Meena S', username: 'meena'},
+];
+
+describe('getActiveMention', () => {
+  it('finds the partial mention before the cursor', () => {
+    expect(getActiveMention('hey @pri', 8)).toEqual({query: 'pri', start: 4});
+  });
+
+  it('ignores @ inside words such as emails', () => {
+    expect(getActiveMention('mail me at a@b', 14)).toBeNull();
+  });
+});
+
+describe('insertMention', () => {
+  it('replaces the partial mention with the username', () => {
+    const text = 'hey @pri how are you';
+    const result = insertMention(text, {query: 'pri', start: 4}, 8, 'priya');
+    expect(result.text).toBe('hey @priya how are you');
+    expect(result.cursor).toBe(10);
+  });
+
+  it('adds a trailing space at the end of the text', () => {
+    const result = insertMention('hi @me', {query: 'me', start: 3}, 6, 'meena');
+    expect(result.text).toBe('hi @meena ');
+    expect(result.cursor).toBe(10);
+  });
+});
+
+describe('filterMentionCandidates', () => {
+  it('matches usernames and name parts, excluding the current user', () => {
+    expect(filterMentionCandidates(members, 'ku', 'u1')).toEqual([members[1]]);
+    expect(filterMentionCandidates(members, 'pri', 'u1')).toEqual([]);
+  });
+});
+
+describe('extractMentions', () => {
+  it('returns each mentioned member once', () => {
+    expect(
+      extractMentions('@Priya and @arun_k, cc @priya @nobody', members),
+    ).toEqual([
+      {userId: 'u1', username: 'priya', name: 'Priya Raman'},
+      {userId: 'u2', username: 'arun_k', name: 'Arun Kumar'},
+    ]);
+  });
+});
+
+describe('splitMentionSegments', () => {
+  it('splits text around known mentions only', () => {
+    const mentions = [{userId: 'u3', username: 'meena', name: 'Meena S'}];
+    expect(splitMentionSegments('ping @meena and @bob', mentions)).toEqual([
+      {text: 'ping '},
+      {text: '@meena', mention: mentions[0]},
+      {text: ' and @bob'},
+    ]);
+  });
+});
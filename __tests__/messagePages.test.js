@@ -0,0 +1,49 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {livePageBounds, mergePages} from '../src/utils/messagePages';
+
+describe('livePageBounds', () => {
+  const cursor = {id: 'm50'};
+  const lastDoc = {id: 'm100'};
+
+  it('leaves the newest page open to new messages', () => {
+    expect(livePageBounds(null, lastDoc)).toEqual({
+      startAfter: null,
+      endAt: lastDoc,
+    });
+    expect(livePageBounds(null, undefined)).toEqual({
+      startAfter: null,
+      endAt: null,
+    });
+  });
+
+  it('bounds older pages between the previous page and their last message', () => {
+    expect(livePageBounds(cursor, lastDoc)).toEqual({
+      startAfter: cursor,
+      endAt: lastDoc,
+    });
+  });
+
+  it('stops at the start of the conversation', () => {
+    expect(livePageBounds(cursor, undefined)).toBe(null);
+  });
+});
+
+describe('mergePages', () => {
+  it('joins pages in order, keeping each message once', () => {
+    const pages = [
+      [{id: 'm3'}, {id: 'm2'}],
+      [{id: 'm2', stale: true}, {id: 'm1'}],
+    ];
+    expect(mergePages(pages)).toEqual([{id: 'm3'}, {id: 'm2'}, {id: 'm1'}]);
+  });
+
+  it('skips pages that are still loading', () => {
+    const pages = [[{id: 'm3'}]];
+    pages[2] = [{id: 'm1'}];
+    expect(mergePages(pages).map(message => message.id)).toEqual(['m3', 'm1']);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  tokenize,
+  searchTokens,
+  primaryTerm,
+  matchesTerms,
+  searchableText,
+  highlightSegments,
+  buildSnippet,
+} from '../src/utils/messageSearch';
+
+describe('searchTokens', () => {
+  it('lowercases, splits on punctuation and drops duplicates', () => {
+    expect(searchTokens('Plan: plan, Q3 & a PR!')).toEqual([
+      'pl',
+      'pla',
+      'plan',
+      'q3',
+      'pr',
+    ]);
+  });
+
+  it('indexes prefixes so partly typed words match', () => {
+    const tokens = searchTokens('Quarterly meeting');
+    expect(tokens).toContain('meet');
+    expect(tokens).toContain('meeting');
+    expect(tokens).toContain(primaryTerm(['meet']));
+  });
+
+  it('caps very long words at the indexed prefix length', () => {
+    const word = 'internationalization';
+    expect(searchTokens(word)).not.toContain(word);
+    expect(searchTokens(word)).toContain(primaryTerm([word]));
+  });
+
+  it('keeps accented words intact', () => {
+    expect(tokenize('Café déjà-vu')).toEqual(['café', 'déjà', 'vu']);
+  });
+});
+
+describe('matchesTerms', () => {
+  it('requires every term to start a word', () => {
+    expect(matchesTerms('Quarterly budget meeting', ['budget', 'meet'])).toBe(
+      true,
+    );
+    expect(matchesTerms('Quarterly budget meeting', ['budget', 'eting'])).toBe(
+      false,
+    );
+  });
+});
+
+describe('searchableText', () => {
+  it('includes file and image names', () => {
+    expect(
+      searchableText({text: '', images: [{name: 'whiteboard.jpg'}, {}]}),
+    ).toBe('whiteboard.jpg');
+    expect(searchableText({text: 'Notes', fileName: 'plan.pdf'})).toBe(
+      'Notes plan.pdf',
+    );
+  });
+});
+
+describe('primaryTerm', () => {
+  it('picks the longest term for the server query', () => {
+    expect(primaryTerm(['q3', 'budget', 'plan'])).toBe('budget');
+  });
+});
+
+describe('highlightSegments', () => {
+  it('marks matches case-insensitively', () => {
+    expect(highlightSegments('The Budget is final', ['budget'])).toEqual([
+      {text: 'The ', match: false},
+      {text: 'Budget', match: true},
+      {text: ' is final', match: false},
+    ]);
+  });
+});
+
+describe('buildSnippet', () => {
+  it('centres long text on the first match', () => {
+    const text = `${'x '.repeat(60)}budget ${'y '.repeat(60)}`;
+    const snippet = buildSnippet(text, ['budget']);
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('budget');
+  });
+
+  it('leaves short text untouched', () => {
+    expect(buildSnippet('budget ok', ['budget'])).toBe('budget ok');
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  parseArgs,
+  assignUsernames,
+  profileRole,
+} from '../scripts/migrate-to-workspaces';
+
+const signedUpAt = millis => ({toMillis: () => millis});
+
+describe('parseArgs', () => {
+  it('needs a name and an owner', () => {
+    expect(() => parseArgs(['--name', 'Acme'])).toThrow(/--owner/);
+    expect(
+      parseArgs(['--name', 'Acme', '--owner', 'Meena@Acme.com', '--dry-run']),
+    ).toEqual({
+      name: 'Acme',
+      owner: 'meena@acme.com',
+      workspace: 'default',
+      domain: null,
+      dryRun: true,
+    });
+  });
+});
+
+describe('assignUsernames', () => {
+  it('keeps usernames that are valid and unique', () => {
+    expect(
+      assignUsernames([
+        {id: 'u1', data: {username: 'meena'}},
+        {id: 'u2', data: {username: 'raj'}},
+      ]),
+    ).toEqual({u1: 'meena', u2: 'raj'});
+  });
+
+  it('gives a duplicate to whoever signed up first', () => {
+    expect(
+      assignUsernames([
+        {id: 'late', data: {username: 'meena', createdAt: signedUpAt(2)}},
+        {id: 'early', data: {username: 'meena', createdAt: signedUpAt(1)}},
+      ]),
+    ).toEqual({early: 'meena', late: 'meena_late'});
+  });
+
+  it('leaves usernames already in the index with their owner', () => {
+    expect(
+      assignUsernames([{id: 'u2', data: {username: 'meena'}}], {meena: 'u1'}),
+    ).toEqual({u2: 'meena_u2'});
+  });
+
+  it('fixes usernames that break the format rules', () => {
+    expect(
+      assignUsernames([
+        {id: 'u1', data: {username: 'Meena K.'}},
+        {id: 'u2', data: {}},
+        {id: 'u3', data: {username: 'x'.repeat(40)}},
+      ]),
+    ).toEqual({
+      u1: 'meenak_u1',
+      u2: 'user_u2',
+      u3: `${'x'.repeat(27)}_u3`,
+    });
+  });
+});
+
+describe('profileRole', () => {
+  it('keeps admins and makes the owner one', () => {
+    expect(profileRole({role: 'admin'}, 'a@x.com', 'o@x.com')).toBe('admin');
+    expect(profileRole({}, 'o@x.com', 'o@x.com')).toBe('admin');
+    expect(profileRole({role: 'member'}, 'a@x.com', 'o@x.com')).toBe('member');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  NOTIFICATION_LEVELS,
+  groupNotificationLevel,
+  isDoNotDisturb,
+  shouldNotify,
+  badgeCount,
+  formatMinutes,
+} from '../src/utils/notificationSettings';
+import {createLogTransport} from '../src/utils/notificationTransport';
+
+const NOW = new Date(2024, 0, 15, 12, 0);
+const at = (hours, minutes = 0) => new Date(2024, 0, 15, hours, minutes);
+
+const settings = {
+  groups: {
+    muted: {muted: true, mutedUntil: null},
+    expired: {
+      level: 'mentions',
+      muted: true,
+      mutedUntil: {toMillis: () => NOW.getTime() - 1000},
+    },
+    mentions: {level: 'mentions'},
+  },
+};
+
+describe('groupNotificationLevel', () => {
+  it('defaults to all messages and honours mutes until they expire', () => {
+    expect(groupNotificationLevel(settings, 'other', NOW.getTime())).toBe(
+      NOTIFICATION_LEVELS.ALL,
+    );
+    expect(groupNotificationLevel(settings, 'muted', NOW.getTime())).toBe(
+      NOTIFICATION_LEVELS.MUTED,
+    );
+    expect(groupNotificationLevel(settings, 'expired', NOW.getTime())).toBe(
+      NOTIFICATION_LEVELS.MENTIONS,
+    );
+  });
+});
+
+describe('isDoNotDisturb', () => {
+  const overnight = {enabled: true, start: 22 * 60, end: 7 * 60};
+
+  it('handles schedules that wrap past midnight', () => {
+    expect(isDoNotDisturb(overnight, at(23))).toBe(true);
+    expect(isDoNotDisturb(overnight, at(6, 59))).toBe(true);
+    expect(isDoNotDisturb(overnight, at(7))).toBe(false);
+    expect(isDoNotDisturb({...overnight, enabled: false}, at(23))).toBe(false);
+  });
+
+  it('handles daytime schedules', () => {
+    const daytime = {enabled: true, start: 9 * 60, end: 17 * 60};
+    expect(isDoNotDisturb(daytime, at(12))).toBe(true);
+    expect(isDoNotDisturb(daytime, at(18))).toBe(false);
+  });
+});
+
+describe('shouldNotify', () => {
+  const options = {userId: 'me', activeGroupId: 'open', date: NOW};
+
+  it('skips own messages, the open chat and muted groups', () => {
+    expect(
+      shouldNotify(settings, {groupId: 'other', senderId: 'me'}, options),
+    ).toBe(false);
+    expect(
+      shouldNotify(settings, {groupId: 'open', senderId: 'u1'}, options),
+    ).toBe(false);
+    expect(
+      shouldNotify(settings, {groupId: 'muted', senderId: 'u1'}, options),
+    ).toBe(false);
+    expect(
+      shouldNotify(settings, {groupId: 'other', senderId: 'u1'}, options),
+    ).toBe(true);
+  });
+
+  it('only notifies about mentions in mentions-only groups', () => {
+    const message = {groupId: 'mentions', senderId: 'u1'};
+    expect(shouldNotify(settings, message, options)).toBe(false);
+    expect(
+      shouldNotify(settings, {...message, mentionIds: ['me']}, options),
+    ).toBe(true);
+  });
+
+  it('stays quiet during do not disturb', () => {
+    const quiet = {
+      ...settings,
+      doNotDisturb: {enabled: true, start: 0, end: 23 * 60},
+    };
+    expect(
+      shouldNotify(quiet, {groupId: 'other', senderId: 'u1'}, options),
+    ).toBe(false);
+  });
+});
+
+describe('badgeCount', () => {
+  it('counts according to the group level', () => {
+    const unread = {total: 5, mentions: 2};
+    expect(badgeCount(settings, 'other', unread, NOW.getTime())).toBe(5);
+    expect(badgeCount(settings, 'mentions', unread, NOW.getTime())).toBe(2);
+    expect(badgeCount(settings, 'muted', unread, NOW.getTime())).toBe(0);
+    expect(badgeCount(settings, 'other', undefined, NOW.getTime())).toBe(0);
+  });
+});
+
+describe('formatMinutes', () => {
+  it('formats minutes after midnight as HH:MM', () => {
+    expect(formatMinutes(7 * 60 + 5)).toBe('07:05');
+    expect(formatMinutes(22 * 60)).toBe('22:00');
+  });
+});
+
+describe('createLogTransport', () => {
+  it('records delivered notifications', () => {
+    const lines = [];
+    const transport = createLogTransport(line => lines.push(line));
+    transport.deliver({title: 'Alice', body: 'Hi'});
+    expect(transport.delivered).toHaveLength(1);
+    expect(lines).toEqual(['[notification] Alice: Hi']);
+  });
+});
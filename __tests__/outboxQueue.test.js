@@ -0,0 +1,150 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  OUTBOX_STATUS,
+  MAX_AUTO_ATTEMPTS,
+  retryDelay,
+  isTransientError,
+  dueItems,
+  nextRetryAt,
+  mergeOutboxMessages,
+  applyUploadUrls,
+  uploadedPaths,
+} from '../src/utils/outboxQueue';
+
+const item = overrides => ({
+  id: 'm1',
+  message: {text: 'hi', groupId: 'g1'},
+  uploads: [],
+  status: OUTBOX_STATUS.PENDING,
+  attempts: 0,
+  retryable: true,
+  nextAttemptAt: 0,
+  queuedAt: 1000,
+  ...overrides,
+});
+
+describe('retryDelay', () => {
+  it('backs off exponentially up to a minute', () => {
+    expect(retryDelay(1)).toBe(2000);
+    expect(retryDelay(3)).toBe(8000);
+    expect(retryDelay(20)).toBe(60000);
+  });
+});
+
+describe('isTransientError', () => {
+  it('treats network errors as retryable and permission errors as final', () => {
+    expect(isTransientError({code: 'firestore/unavailable'})).toBe(true);
+    expect(isTransientError({code: 'firestore/permission-denied'})).toBe(false);
+    expect(isTransientError(new Error('offline'))).toBe(true);
+  });
+});
+
+describe('dueItems', () => {
+  it('picks pending items and failed items whose backoff has elapsed', () => {
+    const pending = item({id: 'a'});
+    const due = item({
+      id: 'b',
+      status: OUTBOX_STATUS.FAILED,
+      attempts: 1,
+      nextAttemptAt: 50,
+    });
+    const waiting = item({
+      id: 'c',
+      status: OUTBOX_STATUS.FAILED,
+      attempts: 1,
+      nextAttemptAt: 500,
+    });
+    const exhausted = item({
+      id: 'd',
+      status: OUTBOX_STATUS.FAILED,
+      attempts: MAX_AUTO_ATTEMPTS,
+    });
+    const rejected = item({
+      id: 'e',
+      status: OUTBOX_STATUS.FAILED,
+      retryable: false,
+    });
+    const sending = item({id: 'f', status: OUTBOX_STATUS.SENDING});
+
+    expect(
+      dueItems([pending, due, waiting, exhausted, rejected, sending], 100).map(
+        i => i.id,
+      ),
+    ).toEqual(['a', 'b']);
+    expect(nextRetryAt([pending, due, waiting, exhausted, rejected])).toBe(50);
+  });
+});
+
+describe('mergeOutboxMessages', () => {
+  it('shows undelivered items first and drops ones the server already has', () => {
+    const messages = [{id: 'server1', text: 'old'}];
+    const merged = mergeOutboxMessages(messages, [
+      item({id: 'server1'}),
+      item({id: 'q1', queuedAt: 1}),
+      item({
+        id: 'q2',
+        queuedAt: 2,
+        uploads: [
+          {
+            localUri: 'file:///photo.jpg',
+            path: 'chat-images/u1/1.jpg',
+            target: 'mediaUrl',
+            url: null,
+          },
+        ],
+        status: OUTBOX_STATUS.FAILED,
+        message: {text: '', mediaType: 'image'},
+      }),
+    ]);
+
+    expect(merged.map(m => m.id)).toEqual(['q2', 'q1', 'server1']);
+    expect(merged[0]).toMatchObject({
+      mediaUrl: 'file:///photo.jpg',
+      outboxStatus: OUTBOX_STATUS.FAILED,
+      createdAt: null,
+      hasUploads: true,
+    });
+  });
+});
+
+describe('uploads', () => {
+  const album = {
+    text: '',
+    mediaType: 'image',
+    images: [{path: 'a.jpg'}, {path: 'b.jpg'}],
+  };
+
+  it('fills image URLs and mirrors the first one into mediaUrl', () => {
+    const message = applyUploadUrls(album, [
+      {target: 'images.0.url', url: 'https://a'},
+      {target: 'images.0.thumbnailUrl', url: 'https://a-thumb'},
+      {target: 'images.1.url', url: null},
+    ]);
+
+    expect(message.images[0]).toEqual({
+      path: 'a.jpg',
+      url: 'https://a',
+      thumbnailUrl: 'https://a-thumb',
+    });
+    expect(message.images[1]).toEqual({path: 'b.jpg'});
+    expect(message.mediaUrl).toBe('https://a');
+    expect(album.images[0].url).toBeUndefined();
+  });
+
+  it('lists only the files that finished uploading', () => {
+    expect(
+      uploadedPaths(
+        item({
+          uploads: [
+            {path: 'a.jpg', url: 'https://a'},
+            {path: 'b.jpg', url: null},
+          ],
+        }),
+      ),
+    ).toEqual(['a.jpg']);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  GROUP_ROLES,
+  groupRole,
+  canPostInGroup,
+  canManageMembers,
+  canManageGroupRoles,
+  canRemoveMember,
+  canModerateMessages,
+  canCreateGroups,
+} from '../src/utils/permissions';
+
+const admin = {id: 'admin', role: 'admin'};
+const owner = {id: 'owner', role: 'member'};
+const moderator = {id: 'mod', role: 'member'};
+const member = {id: 'member', role: 'member'};
+
+const channel = {
+  isChannel: true,
+  createdBy: 'owner',
+  members: ['owner', 'mod', 'member'],
+  roles: {owner: GROUP_ROLES.OWNER, mod: GROUP_ROLES.MODERATOR},
+};
+
+describe('groupRole', () => {
+  it('reads the roles map and defaults to member', () => {
+    expect(groupRole(channel, 'mod')).toBe(GROUP_ROLES.MODERATOR);
+    expect(groupRole(channel, 'member')).toBe(GROUP_ROLES.MEMBER);
+  });
+
+  it('treats the creator of a group without roles as owner', () => {
+    expect(groupRole({createdBy: 'owner'}, 'owner')).toBe(GROUP_ROLES.OWNER);
+  });
+});
+
+describe('direct conversation permissions', () => {
+  const direct = {isDirect: true, createdBy: 'a', members: ['a', 'b']};
+  const starter = {id: 'a', role: 'member'};
+
+  it("doesn't make whoever started the conversation its owner", () => {
+    expect(groupRole(direct, 'a')).toBe(GROUP_ROLES.MEMBER);
+    expect(canModerateMessages(starter, direct)).toBe(false);
+    expect(canManageGroupRoles(starter, direct)).toBe(false);
+  });
+
+  it('still lets org admins moderate messages', () => {
+    expect(canModerateMessages(admin, direct)).toBe(true);
+  });
+});
+
+describe('channel permissions', () => {
+  it('lets admins and group staff post, but not plain members', () => {
+    expect(canPostInGroup(admin, channel)).toBe(true);
+    expect(canPostInGroup(owner, channel)).toBe(true);
+    expect(canPostInGroup(moderator, channel)).toBe(true);
+    expect(canPostInGroup(member, channel)).toBe(false);
+    expect(canPostInGroup(member, {...channel, isChannel: false})).toBe(true);
+  });
+
+  it('limits member and message management to admins and group staff', () => {
+    expect(canManageMembers(moderator, channel)).toBe(true);
+    expect(canManageMembers(member, channel)).toBe(false);
+    expect(canManageMembers(admin, {isDirect: true, members: ['a', 'b']})).toBe(
+      false,
+    );
+    expect(canModerateMessages(owner, channel)).toBe(true);
+    expect(canModerateMessages(member, channel)).toBe(false);
+  });
+
+  it('only lets owners and admins change group roles', () => {
+    expect(canManageGroupRoles(owner, channel)).toBe(true);
+    expect(canManageGroupRoles(admin, channel)).toBe(true);
+    expect(canManageGroupRoles(moderator, channel)).toBe(false);
+  });
+
+  it('stops moderators from removing the owner or themselves', () => {
+    expect(canRemoveMember(moderator, channel, 'member')).toBe(true);
+    expect(canRemoveMember(moderator, channel, 'owner')).toBe(false);
+    expect(canRemoveMember(moderator, channel, 'mod')).toBe(false);
+    expect(canRemoveMember(admin, channel, 'owner')).toBe(true);
+  });
+});
+
+describe('canCreateGroups', () => {
+  it('is reserved for org admins', () => {
+    expect(canCreateGroups(admin)).toBe(true);
+    expect(canCreateGroups(member)).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  PRESENCE_STATES,
+  presenceState,
+  presenceText,
+  roundedLastSeenMillis,
+  LAST_SEEN_ROUNDING_MS,
+} from '../src/utils/presence';
+
+const NOW = 1_700_000_000_000;
+const MINUTE = 60 * 1000;
+
+const presenceAt = (state, minutesAgo, extra = {}) => ({
+  state,
+  updatedAt: {toMillis: () => NOW - minutesAgo * MINUTE},
+  lastSeenHidden: false,
+  ...extra,
+});
+
+describe('presenceState', () => {
+  it('reports fresh online and away records', () => {
+    expect(presenceState(presenceAt('online', 1), NOW)).toBe(
+      PRESENCE_STATES.ONLINE,
+    );
+    expect(presenceState(presenceAt('away', 5), NOW)).toBe(
+      PRESENCE_STATES.AWAY,
+    );
+  });
+
+  it('treats stale records and missing presence as offline', () => {
+    expect(presenceState(presenceAt('online', 10), NOW)).toBe(
+      PRESENCE_STATES.OFFLINE,
+    );
+    expect(presenceState(presenceAt('away', 30), NOW)).toBe(
+      PRESENCE_STATES.OFFLINE,
+    );
+    expect(presenceState({}, NOW)).toBe(PRESENCE_STATES.OFFLINE);
+    expect(presenceState(undefined, NOW)).toBe(PRESENCE_STATES.OFFLINE);
+  });
+
+  it('counts a pending server timestamp as now', () => {
+    expect(presenceState({state: 'online', updatedAt: null}, NOW)).toBe(
+      PRESENCE_STATES.ONLINE,
+    );
+  });
+
+  it('allows for the rounding of hidden last seen times', () => {
+    expect(
+      presenceState(presenceAt('online', 14, {lastSeenHidden: true}), NOW),
+    ).toBe(PRESENCE_STATES.ONLINE);
+    expect(
+      presenceState(presenceAt('online', 20, {lastSeenHidden: true}), NOW),
+    ).toBe(PRESENCE_STATES.OFFLINE);
+  });
+});
+
+describe('presenceText', () => {
+  it('formats last seen times', () => {
+    expect(presenceText(presenceAt('online', 0), NOW)).toBe('online');
+    expect(presenceText(presenceAt('offline', 10), NOW)).toBe(
+      'last seen 10 min ago',
+    );
+    expect(presenceText(presenceAt('offline', 180), NOW)).toBe(
+      'last seen 3 h ago',
+    );
+    expect(presenceText(presenceAt('offline', 60 * 30), NOW)).toBe(
+      'last seen yesterday',
+    );
+  });
+
+  it('hides last seen but not online status when asked', () => {
+    expect(
+      presenceText(presenceAt('offline', 10, {lastSeenHidden: true}), NOW),
+    ).toBe(null);
+    expect(
+      presenceText(presenceAt('online', 0, {lastSeenHidden: true}), NOW),
+    ).toBe('online');
+  });
+});
+
+describe('roundedLastSeenMillis', () => {
+  it('rounds down to the rounding step', () => {
+    const rounded = roundedLastSeenMillis(NOW);
+    expect(rounded % LAST_SEEN_ROUNDING_MS).toBe(0);
+    expect(rounded).toBeLessThanOrEqual(NOW);
+    expect(NOW - rounded).toBeLessThan(LAST_SEEN_ROUNDING_MS);
+    expect(roundedLastSeenMillis(rounded)).toBe(rounded);
+  });
+});
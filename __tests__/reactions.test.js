@@ -0,0 +1,31 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {activeReactions, hasReacted} from '../src/screens/Chat/reactions';
+
+describe('hasReacted', () => {
+  it("checks the user's entry for one emoji", () => {
+    const reactions = {'👍': ['u1', 'u2'], '❤️': ['u2']};
+    expect(hasReacted(reactions, '👍', 'u1')).toBe(true);
+    expect(hasReacted(reactions, '❤️', 'u1')).toBe(false);
+    expect(hasReacted(undefined, '👍', 'u1')).toBe(false);
+  });
+});
+
+describe('activeReactions', () => {
+  it('lists emojis that still have users, in picker order', () => {
+    const reactions = {'🙏': ['u1'], '😂': [], '👍': ['u2'], '🎉': ['u3']};
+    expect(activeReactions(reactions)).toEqual([
+      ['👍', ['u2']],
+      ['🙏', ['u1']],
+      ['🎉', ['u3']],
+    ]);
+  });
+
+  it('handles messages without reactions', () => {
+    expect(activeReactions(undefined)).toEqual([]);
+    expect(activeReactions({'👍': null})).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  buildReplyPreview,
+  missingQuotedIds,
+  replyPreviewText,
+  withLiveQuote,
+} from '../src/utils/replyQuotes';
+
+const reply = {
+  id: 'm2',
+  text: 'Agreed',
+  replyTo: {
+    messageId: 'm1',
+    senderId: 'u1',
+    senderName: 'Alice',
+    text: 'Secret plan',
+    mediaType: null,
+  },
+};
+
+describe('buildReplyPreview', () => {
+  it('keeps what the quote needs, with the text shortened', () => {
+    const preview = buildReplyPreview({
+      id: 'm1',
+      senderId: 'u1',
+      text: 'x'.repeat(300),
+      reactions: {'👍': ['u2']},
+    });
+    expect(preview).toEqual({
+      messageId: 'm1',
+      senderId: 'u1',
+      senderName: 'Unknown User',
+      text: 'x'.repeat(200),
+      mediaType: null,
+    });
+  });
+});
+
+describe('replyPreviewText', () => {
+  it('describes media and deleted messages', () => {
+    expect(replyPreviewText({text: 'Hi'})).toBe('Hi');
+    expect(replyPreviewText({text: '', mediaType: 'image'})).toBe('📷 Photo');
+    expect(replyPreviewText({text: '', mediaType: 'file'})).toBe('📎 File');
+    expect(replyPreviewText({text: ''})).toBe('Message');
+    expect(replyPreviewText({text: 'Hi', deleted: true})).toBe(
+      '🚫 This message was deleted',
+    );
+  });
+});
+
+describe('missingQuotedIds', () => {
+  it('lists quoted messages that are not loaded, once each', () => {
+    const other = {id: 'm3', replyTo: {messageId: 'm1'}};
+    expect(missingQuotedIds([reply, other])).toEqual(['m1']);
+    expect(missingQuotedIds([{id: 'm1'}, reply])).toEqual([]);
+    expect(missingQuotedIds([{id: 'm4'}])).toEqual([]);
+  });
+});
+
+describe('withLiveQuote', () => {
+  it('keeps the snapshot until the original loads', () => {
+    expect(withLiveQuote(reply, {})).toBe(reply);
+    expect(withLiveQuote({id: 'm4'}, {m1: {id: 'm1'}})).toEqual({id: 'm4'});
+  });
+
+  it('follows edits to the original', () => {
+    const resolved = withLiveQuote(reply, {
+      m1: {id: 'm1', text: 'Revised plan'},
+    });
+    expect(resolved.replyTo.text).toBe('Revised plan');
+    expect(resolved.replyTo.senderName).toBe('Alice');
+  });
+
+  it('drops the quoted text once the original is deleted or gone', () => {
+    [{id: 'm1', deleted: true, text: ''}, null].forEach(original => {
+      const {replyTo} = withLiveQuote(reply, {m1: original});
+      expect(replyTo.deleted).toBe(true);
+      expect(replyTo.text).toBe('');
+    });
+  });
+});
@@ -0,0 +1,880 @@
+/**
+ * @format
+ */
+
+import {readFileSync} from 'fs';
+import {describe, it, beforeAll, beforeEach, afterAll} from '@jest/globals';
+import {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} from '@firebase/rules-unit-testing';
+import firebase from 'firebase/compat/app';
+import 'firebase/compat/firestore';
+
+const {FieldValue} = firebase.firestore;
+
+let testEnv;
+
+const W = 'workspaces/acme';
+
+// Everyone below is in the acme workspace. admin is its admin; owner and mod run "general"; alice and bob are
+// plain members; carol belongs to no group. dave is invited but hasn't
+// joined yet and erin has nothing to do with acme.
+const USERS = {
+  admin: {role: 'admin', username: 'admin'},
+  owner: {role: 'member', username: 'owner'},
+  mod: {role: 'member', username: 'mod'},
+  alice: {role: 'member', username: 'alice'},
+  bob: {role: 'member', username: 'bob'},
+  carol: {role: 'member', username: 'carol'},
+};
+
+// People with accounts but no profile in acme
+const OUTSIDERS = ['dave', 'erin', 'frank', 'invited'];
+
+const emailFor = uid => `${uid}@example.com`;
+const as = uid =>
+  testEnv.authenticatedContext(uid, {email: emailFor(uid)}).firestore();
+
+const newMessage = (groupId, senderId, extra = {}) => ({
+  groupId,
+  senderId,
+  senderName: senderId,
+  text: 'Hello',
+  type: 'message',
+  createdAt: FieldValue.serverTimestamp(),
+  ...extra,
+});
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-company-chat',
+    firestore: {rules: readFileSync('firestore.rules', 'utf8')},
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async context => {
+    const db = context.firestore();
+    await db.doc(W).set({
+      name: 'Acme',
+      emailDomain: 'acme.com',
+      ownerId: 'admin',
+      ownerEmails: ['invited@example.com'],
+      invitedEmails: [emailFor('dave')],
+    });
+
+    for (const [uid, user] of Object.entries(USERS)) {
+      await db.doc(`${W}/users/${uid}`).set({...user, email: emailFor(uid)});
+      await db.doc(`${W}/usernames/${user.username}`).set({uid});
+    }
+
+    // Everyone has an account with their login username reserved, whatever
+    // workspaces they're in
+    for (const uid of [...Object.keys(USERS), ...OUTSIDERS]) {
+      await db
+        .doc(`accounts/${uid}`)
+        .set({email: emailFor(uid), username: uid});
+      await db.doc(`usernames/${uid}`).set({uid});
+    }
+
+    await db.doc(`${W}/groups/general`).set({
+      name: 'General',
+      isChannel: false,
+      createdBy: 'owner',
+      members: ['owner', 'mod', 'alice', 'bob'],
+      roles: {owner: 'owner', mod: 'moderator'},
+    });
+    await db.doc(`${W}/groups/news`).set({
+      name: 'News',
+      isChannel: true,
+      discoverable: true,
+      createdBy: 'owner',
+      members: ['owner', 'mod', 'alice'],
+      roles: {owner: 'owner', mod: 'moderator'},
+    });
+    await db.doc(`${W}/groups/dm_alice_bob`).set({
+      isDirect: true,
+      isChannel: false,
+      createdBy: 'alice',
+      members: ['alice', 'bob'],
+    });
+    await db.doc(`${W}/messages/m1`).set({
+      ...newMessage('general', 'alice'),
+      createdAt: new Date(),
+      mentionIds: ['carol'],
+    });
+
+    const invites = {
+      OPENCODE: {},
+      USEDCODE: {maxUses: 1, uses: 1},
+      OLDCODE: {expiresAt: new Date(Date.now() - 1000)},
+    };
+    for (const [code, invite] of Object.entries(invites)) {
+      await db.doc(`${W}/groups/general/invites/${code}`).set({
+        groupId: 'general',
+        groupName: 'General',
+        createdBy: 'owner',
+        expiresAt: null,
+        maxUses: null,
+        uses: 0,
+        revoked: false,
+        ...invite,
+      });
+      await db.doc(`${W}/inviteCodes/${code}`).set({groupId: 'general'});
+    }
+  });
+});
+
+describe('users', () => {
+  it('are only visible inside their workspace', async () => {
+    await assertSucceeds(as('bob').doc(`${W}/users/alice`).get());
+    await assertFails(as('erin').doc(`${W}/users/alice`).get());
+  });
+
+  it('lets users edit their own profile but not their role or email', async () => {
+    const db = as('alice');
+    await assertSucceeds(
+      db.doc(`${W}/users/alice`).update({statusText: 'In a meeting'}),
+    );
+    await assertFails(db.doc(`${W}/users/alice`).update({role: 'admin'}));
+    await assertFails(
+      db.doc(`${W}/users/alice`).update({email: 'someone@example.com'}),
+    );
+    await assertFails(db.doc(`${W}/users/bob`).update({statusText: 'Hacked'}));
+  });
+
+  it('lets admins change other roles and nothing else', async () => {
+    const db = as('admin');
+    await assertSucceeds(db.doc(`${W}/users/alice`).update({role: 'admin'}));
+    await assertFails(db.doc(`${W}/users/bob`).update({name: 'Robert'}));
+  });
+
+  it('keeps settings private', async () => {
+    const path = `${W}/users/alice/settings/notifications`;
+    await assertSucceeds(as('alice').doc(path).set({doNotDisturb: {}}));
+    await assertFails(as('bob').doc(path).get());
+  });
+});
+
+describe('workspaces', () => {
+  it('are readable by members and by people who may join', async () => {
+    await assertSucceeds(as('alice').doc(W).get());
+    await assertSucceeds(as('dave').doc(W).get());
+    await assertFails(as('erin').doc(W).get());
+    await assertSucceeds(
+      as('dave')
+        .collection('workspaces')
+        .where('invitedEmails', 'array-contains', emailFor('dave'))
+        .get(),
+    );
+  });
+
+  it('only let admins invite people', async () => {
+    const invite = db =>
+      db
+        .doc(W)
+        .update({invitedEmails: FieldValue.arrayUnion(emailFor('erin'))});
+    await assertSucceeds(invite(as('admin')));
+    await assertFails(invite(as('alice')));
+    await assertFails(as('admin').doc(W).update({ownerId: 'alice'}));
+  });
+
+  it('keep accounts private', async () => {
+    await assertSucceeds(
+      as('alice').doc('accounts/alice').set({currentWorkspaceId: 'acme'}),
+    );
+    await assertFails(as('bob').doc('accounts/alice').get());
+  });
+});
+
+describe('joining', () => {
+  const join = (db, uid, role, username = uid, email = emailFor(uid)) => {
+    const batch = db.batch();
+    batch.set(db.doc(`${W}/usernames/${username}`), {uid});
+    batch.set(db.doc(`${W}/users/${uid}`), {email, username, role});
+    return batch.commit();
+  };
+
+  it('adds invited people as members with their own username', async () => {
+    await assertSucceeds(join(as('dave'), 'dave', 'member'));
+  });
+
+  it('refuses people who were not invited', async () => {
+    await assertFails(join(as('erin'), 'erin', 'member'));
+  });
+
+  it('lets verified addresses at the workspace domain join', async () => {
+    const colleague = verified =>
+      testEnv
+        .authenticatedContext('frank', {
+          email: 'frank@acme.com',
+          email_verified: verified,
+        })
+        .firestore();
+    await assertFails(
+      join(colleague(false), 'frank', 'member', 'frank', 'frank@acme.com'),
+    );
+    await assertSucceeds(
+      join(colleague(true), 'frank', 'member', 'frank', 'frank@acme.com'),
+    );
+  });
+
+  it('refuses taken usernames and unreserved ones', async () => {
+    await assertFails(join(as('dave'), 'dave', 'member', 'alice'));
+    await assertFails(
+      as('dave')
+        .doc(`${W}/users/dave`)
+        .set({
+          email: emailFor('dave'),
+          username: 'nobody',
+          role: 'member',
+        }),
+    );
+  });
+
+  it('only needs the username to be free in this workspace', async () => {
+    await assertSucceeds(join(as('dave'), 'dave', 'member', 'erin'));
+  });
+
+  it('only makes invited owners admin', async () => {
+    await assertFails(join(as('dave'), 'dave', 'admin'));
+
+    const invited = testEnv
+      .authenticatedContext('invited', {email: 'invited@example.com'})
+      .firestore();
+    await assertSucceeds(
+      join(invited, 'invited', 'admin', 'invited', 'invited@example.com'),
+    );
+  });
+
+  it('makes the creator of a new workspace its admin', async () => {
+    const create = (uid, workspace) => {
+      const db = as(uid);
+      const batch = db.batch();
+      batch.set(db.doc('workspaces/newco'), {
+        name: 'NewCo',
+        emailDomain: null,
+        ownerId: uid,
+        ownerEmails: [],
+        invitedEmails: [],
+        ...workspace,
+      });
+      batch.set(db.doc(`workspaces/newco/users/${uid}`), {
+        email: emailFor(uid),
+        username: uid,
+        role: 'admin',
+      });
+      batch.set(db.doc(`workspaces/newco/usernames/${uid}`), {uid});
+      return batch.commit();
+    };
+    // Claiming someone else's domain would let anyone there in
+    await assertFails(create('erin', {emailDomain: 'acme.com'}));
+    await assertFails(create('erin', {invitedEmails: [emailFor('carol')]}));
+    await assertSucceeds(create('erin', {}));
+  });
+});
+
+describe('login usernames', () => {
+  it('can be looked up by uid when signed in but not listed', async () => {
+    const anonymous = testEnv.unauthenticatedContext().firestore();
+    await assertFails(anonymous.doc('usernames/alice').get());
+    await assertSucceeds(as('erin').doc('usernames/alice').get());
+    await assertFails(as('erin').collection('usernames').get());
+  });
+
+  it('are reserved along with the account at signup', async () => {
+    const signup = (username, reservation = {uid: 'grace'}) => {
+      const db = as('grace');
+      const batch = db.batch();
+      batch.set(db.doc(`usernames/${username}`), reservation);
+      batch.set(db.doc('accounts/grace'), {email: emailFor('grace'), username});
+      return batch.commit();
+    };
+    await assertFails(signup('alice'));
+    // Anyone signed in can read it, so it mustn't hold the email
+    await assertFails(
+      signup('grace', {uid: 'grace', email: emailFor('grace')}),
+    );
+    await assertSucceeds(signup('grace'));
+  });
+
+  it("can't be claimed for someone else or taken from them", async () => {
+    const db = as('alice');
+    await assertFails(db.doc('usernames/squatted').set({uid: 'alice'}));
+    await assertFails(db.doc('usernames/bob').delete());
+    await assertFails(db.doc('accounts/alice').update({username: 'bob'}));
+  });
+});
+
+describe('workspace usernames', () => {
+  it('are looked up by members and people who may join', async () => {
+    await assertSucceeds(as('bob').doc(`${W}/usernames/alice`).get());
+    await assertSucceeds(as('dave').doc(`${W}/usernames/alice`).get());
+    await assertFails(as('erin').doc(`${W}/usernames/alice`).get());
+    await assertFails(as('bob').collection(`${W}/usernames`).get());
+  });
+
+  it('moves to a new username and releases the old one', async () => {
+    const db = as('alice');
+    const batch = db.batch();
+    batch.set(db.doc(`${W}/usernames/alice_new`), {uid: 'alice'});
+    batch.delete(db.doc(`${W}/usernames/alice`));
+    batch.update(db.doc(`${W}/users/alice`), {username: 'alice_new'});
+    await assertSucceeds(batch.commit());
+  });
+
+  it("can't be claimed for someone else or taken from them", async () => {
+    const db = as('alice');
+    await assertFails(db.doc(`${W}/usernames/squatted`).set({uid: 'alice'}));
+    await assertFails(db.doc(`${W}/usernames/bob`).delete());
+    await assertFails(db.doc(`${W}/users/alice`).update({username: 'bob'}));
+  });
+});
+
+describe('presence', () => {
+  const ROUNDING = 15 * 60 * 1000;
+  const publish = (db, uid, data) =>
+    db.doc(`${W}/presence/${uid}`).set({state: 'online', ...data});
+
+  it('is published by its owner and readable in the workspace', async () => {
+    const live = {
+      updatedAt: FieldValue.serverTimestamp(),
+      lastSeenHidden: false,
+    };
+    await assertSucceeds(publish(as('alice'), 'alice', live));
+    await assertFails(publish(as('bob'), 'alice', live));
+    await assertFails(
+      publish(as('alice'), 'alice', {...live, updatedAt: new Date()}),
+    );
+    await assertSucceeds(as('bob').doc(`${W}/presence/alice`).get());
+    await assertFails(as('erin').doc(`${W}/presence/alice`).get());
+  });
+
+  it('only has a rounded time for people who hide their last seen', async () => {
+    await testEnv.withSecurityRulesDisabled(context =>
+      context.firestore().doc(`${W}/users/alice`).update({hideLastSeen: true}),
+    );
+    const rounded = Date.now() - (Date.now() % ROUNDING);
+    const db = as('alice');
+
+    await assertFails(
+      publish(db, 'alice', {
+        updatedAt: FieldValue.serverTimestamp(),
+        lastSeenHidden: true,
+      }),
+    );
+    await assertFails(
+      publish(db, 'alice', {
+        updatedAt: new Date(rounded + 1000),
+        lastSeenHidden: true,
+      }),
+    );
+    await assertSucceeds(
+      publish(db, 'alice', {
+        updatedAt: new Date(rounded),
+        lastSeenHidden: true,
+      }),
+    );
+  });
+});
+
+describe('groups', () => {
+  it('are only readable by members', async () => {
+    await assertSucceeds(as('alice').doc(`${W}/groups/general`).get());
+    await assertFails(as('carol').doc(`${W}/groups/general`).get());
+    await assertSucceeds(
+      as('alice')
+        .collection(`${W}/groups`)
+        .where('members', 'array-contains', 'alice')
+        .get(),
+    );
+  });
+
+  it('allows reading a conversation that does not exist yet', async () => {
+    await assertSucceeds(as('carol').doc(`${W}/groups/dm_alice_carol`).get());
+  });
+
+  it('only lets admins create groups', async () => {
+    const group = uid => ({
+      name: 'New',
+      isChannel: false,
+      createdBy: uid,
+      members: [uid],
+      roles: {[uid]: 'owner'},
+    });
+    await assertSucceeds(
+      as('admin').doc(`${W}/groups/new`).set(group('admin')),
+    );
+    await assertFails(as('alice').doc(`${W}/groups/other`).set(group('alice')));
+  });
+
+  it('creates direct conversations under their pair id only', async () => {
+    const dm = {
+      isDirect: true,
+      isChannel: false,
+      createdBy: 'alice',
+      members: ['alice', 'carol'],
+    };
+    await assertSucceeds(as('alice').doc(`${W}/groups/dm_alice_carol`).set(dm));
+    await assertFails(as('alice').doc(`${W}/groups/dm_carol_alice`).set(dm));
+    await assertFails(
+      as('alice')
+        .doc(`${W}/groups/dm_alice_erin`)
+        .set({...dm, members: ['alice', 'erin']}),
+    );
+    await assertFails(
+      as('alice')
+        .doc(`${W}/groups/dm_alice_bob`)
+        .update({members: ['alice', 'carol']}),
+    );
+  });
+
+  it('lets members leave but not add people', async () => {
+    await assertFails(
+      as('alice')
+        .doc(`${W}/groups/general`)
+        .update({members: FieldValue.arrayUnion('carol')}),
+    );
+    await assertSucceeds(
+      as('alice')
+        .doc(`${W}/groups/general`)
+        .update({
+          members: FieldValue.arrayRemove('alice'),
+          'roles.alice': FieldValue.delete(),
+        }),
+    );
+  });
+
+  it('lets staff manage members, except moderators removing owners', async () => {
+    const db = as('mod');
+    await assertSucceeds(
+      db
+        .doc(`${W}/groups/general`)
+        .update({members: FieldValue.arrayUnion('carol')}),
+    );
+    await assertSucceeds(
+      db.doc(`${W}/groups/general`).update({
+        members: FieldValue.arrayRemove('bob'),
+        'roles.bob': FieldValue.delete(),
+      }),
+    );
+    await assertFails(
+      db.doc(`${W}/groups/general`).update({
+        members: FieldValue.arrayRemove('owner'),
+        'roles.owner': FieldValue.delete(),
+      }),
+    );
+  });
+
+  it('only lets owners and admins hand out roles', async () => {
+    await assertSucceeds(
+      as('owner')
+        .doc(`${W}/groups/general`)
+        .update({'roles.alice': 'moderator'}),
+    );
+    await assertFails(
+      as('mod').doc(`${W}/groups/general`).update({'roles.bob': 'moderator'}),
+    );
+    await assertFails(
+      as('alice').doc(`${W}/groups/general`).update({'roles.alice': 'owner'}),
+    );
+  });
+
+  it('keeps read markers per user', async () => {
+    const marker = uid => ({
+      userId: uid,
+      lastReadAt: FieldValue.serverTimestamp(),
+    });
+    await assertSucceeds(
+      as('alice').doc(`${W}/groups/general/reads/alice`).set(marker('alice')),
+    );
+    await assertFails(
+      as('alice').doc(`${W}/groups/general/reads/bob`).set(marker('bob')),
+    );
+    await assertFails(
+      as('carol').doc(`${W}/groups/general/reads/carol`).set(marker('carol')),
+    );
+    await assertSucceeds(
+      as('alice').collectionGroup('reads').where('userId', '==', 'alice').get(),
+    );
+  });
+});
+
+describe('invites', () => {
+  const redeem = (uid, code) =>
+    as(uid).runTransaction(async transaction => {
+      const db = as(uid);
+      const invite = db.doc(`${W}/groups/general/invites/${code}`);
+      await transaction.get(invite);
+      transaction.update(db.doc(`${W}/groups/general`), {
+        members: FieldValue.arrayUnion(uid),
+      });
+      transaction.update(invite, {uses: FieldValue.increment(1)});
+      transaction.set(db.doc(`${W}/groups/general/joins/${uid}`), {
+        code,
+        joinedAt: FieldValue.serverTimestamp(),
+      });
+      transaction.set(
+        db.doc(`${W}/messages/j1`),
+        newMessage('general', uid, {
+          type: 'system',
+          text: `${uid} joined`,
+          systemEvent: {event: 'joined', targetIds: []},
+        }),
+      );
+    });
+
+  it('let people in the workspace join with a usable code', async () => {
+    await assertSucceeds(redeem('carol', 'OPENCODE'));
+  });
+
+  it('refuse used up, expired and made up codes', async () => {
+    await assertFails(redeem('carol', 'USEDCODE'));
+    await assertFails(redeem('carol', 'OLDCODE'));
+    await assertFails(redeem('carol', 'NOSUCHCODE'));
+  });
+
+  it("can't be used from outside the workspace", async () => {
+    await assertFails(redeem('erin', 'OPENCODE'));
+  });
+
+  it('are created and revoked by group staff only', async () => {
+    const create = (uid, code) => {
+      const db = as(uid);
+      const batch = db.batch();
+      batch.set(db.doc(`${W}/groups/general/invites/${code}`), {
+        groupId: 'general',
+        groupName: 'General',
+        createdBy: uid,
+        createdAt: FieldValue.serverTimestamp(),
+        expiresAt: null,
+        maxUses: 5,
+        uses: 0,
+        revoked: false,
+      });
+      batch.set(db.doc(`${W}/inviteCodes/${code}`), {groupId: 'general'});
+      return batch.commit();
+    };
+    await assertSucceeds(create('mod', 'NEWCODE1'));
+    await assertFails(create('alice', 'NEWCODE2'));
+
+    const invite = `${W}/groups/general/invites/OPENCODE`;
+    await assertFails(as('alice').doc(invite).update({revoked: true}));
+    await assertSucceeds(as('mod').doc(invite).update({revoked: true}));
+    await assertFails(redeem('carol', 'OPENCODE'));
+  });
+
+  it('are only listed for staff', async () => {
+    const invites = db => db.collection(`${W}/groups/general/invites`).get();
+    await assertSucceeds(invites(as('owner')));
+    await assertFails(invites(as('alice')));
+  });
+});
+
+describe('requests to join', () => {
+  const request = (uid, groupId) =>
+    as(uid)
+      .doc(`${W}/groups/${groupId}/joinRequests/${uid}`)
+      .set({userId: uid, name: uid, createdAt: FieldValue.serverTimestamp()});
+
+  it('can be made for discoverable groups only', async () => {
+    await assertSucceeds(as('bob').doc(`${W}/groups/news`).get());
+    await assertSucceeds(request('bob', 'news'));
+    await assertFails(request('carol', 'general'));
+    await assertFails(request('erin', 'news'));
+  });
+
+  it('are reviewed by staff', async () => {
+    await assertSucceeds(request('bob', 'news'));
+    const path = `${W}/groups/news/joinRequests/bob`;
+    await assertFails(as('alice').doc(path).get());
+    await assertSucceeds(
+      as('bob')
+        .collectionGroup('joinRequests')
+        .where('userId', '==', 'bob')
+        .get(),
+    );
+
+    const db = as('mod');
+    const batch = db.batch();
+    batch.update(db.doc(`${W}/groups/news`), {
+      members: FieldValue.arrayUnion('bob'),
+    });
+    batch.delete(db.doc(path));
+    await assertSucceeds(batch.commit());
+  });
+
+  it('are switched on by staff', async () => {
+    await assertSucceeds(
+      as('owner').doc(`${W}/groups/general`).update({discoverable: true}),
+    );
+    await assertFails(
+      as('alice').doc(`${W}/groups/general`).update({discoverable: false}),
+    );
+  });
+});
+
+describe('messages', () => {
+  it('lets members post as themselves', async () => {
+    await assertSucceeds(
+      as('bob').doc(`${W}/messages/new`).set(newMessage('general', 'bob')),
+    );
+    await assertFails(
+      as('bob').doc(`${W}/messages/new`).set(newMessage('general', 'alice')),
+    );
+    await assertFails(
+      as('carol').doc(`${W}/messages/new`).set(newMessage('general', 'carol')),
+    );
+  });
+
+  it('limits channel posts to staff and admins', async () => {
+    await assertFails(
+      as('alice').doc(`${W}/messages/new`).set(newMessage('news', 'alice')),
+    );
+    await assertSucceeds(
+      as('mod').doc(`${W}/messages/new`).set(newMessage('news', 'mod')),
+    );
+  });
+
+  it('is readable by members, mentioned users and the outbox check', async () => {
+    await assertSucceeds(as('bob').doc(`${W}/messages/m1`).get());
+    await assertSucceeds(
+      as('bob')
+        .collection(`${W}/messages`)
+        .where('groupId', '==', 'general')
+        .get(),
+    );
+    await assertFails(as('admin').doc(`${W}/messages/m1`).get());
+    await assertSucceeds(
+      as('carol')
+        .collection(`${W}/messages`)
+        .where('mentionIds', 'array-contains', 'carol')
+        .get(),
+    );
+    await assertSucceeds(as('bob').doc(`${W}/messages/not-sent-yet`).get());
+  });
+
+  it('allows searching across the groups a member is in', async () => {
+    const search = (uid, groupIds) =>
+      as(uid)
+        .collection(`${W}/messages`)
+        .where('groupId', 'in', groupIds)
+        .where('searchTokens', 'array-contains', 'hel')
+        .orderBy('createdAt', 'desc')
+        .get();
+    await assertSucceeds(search('bob', ['general', 'dm_alice_bob']));
+    await assertFails(search('bob', ['general', 'news']));
+  });
+
+  it('only lets the sender edit, with history only for moderators', async () => {
+    const edit = db => {
+      const batch = db.batch();
+      batch.set(db.doc(`${W}/messages/m1/edits/e1`), {
+        text: 'Hello',
+        editedBy: 'alice',
+        replacedAt: FieldValue.serverTimestamp(),
+      });
+      batch.update(db.doc(`${W}/messages/m1`), {
+        text: 'Hello again',
+        searchTokens: ['hello', 'again'],
+        editedAt: FieldValue.serverTimestamp(),
+      });
+      return batch.commit();
+    };
+    await assertSucceeds(edit(as('alice')));
+    await assertFails(
+      as('bob').doc(`${W}/messages/m1`).update({text: 'Not mine'}),
+    );
+    await assertFails(as('bob').doc(`${W}/messages/m1/edits/e1`).get());
+    await assertSucceeds(as('mod').doc(`${W}/messages/m1/edits/e1`).get());
+  });
+
+  it('lets senders and moderators delete, leaving a tombstone', async () => {
+    const tombstone = uid => ({
+      deleted: true,
+      deletedBy: uid,
+      deletedAt: FieldValue.serverTimestamp(),
+      text: '',
+    });
+    await assertFails(
+      as('bob').doc(`${W}/messages/m1`).update(tombstone('bob')),
+    );
+    await testEnv.withSecurityRulesDisabled(context =>
+      context
+        .firestore()
+        .doc(`${W}/messages/m1/edits/e1`)
+        .set({text: 'Hello', editedBy: 'alice', replacedAt: new Date()}),
+    );
+    await assertFails(as('mod').doc(`${W}/messages/m1/edits/e1`).delete());
+    await assertSucceeds(
+      as('mod').doc(`${W}/messages/m1`).update(tombstone('mod')),
+    );
+    await assertFails(as('alice').doc(`${W}/messages/m1`).delete());
+    await assertFails(as('alice').doc(`${W}/messages/m1/edits/e1`).delete());
+    await assertSucceeds(as('mod').collection(`${W}/messages/m1/edits`).get());
+    await assertSucceeds(as('mod').doc(`${W}/messages/m1/edits/e1`).delete());
+  });
+
+  it("doesn't let whoever started a direct conversation moderate it", async () => {
+    await testEnv.withSecurityRulesDisabled(context =>
+      context
+        .firestore()
+        .doc(`${W}/messages/d1`)
+        .set({...newMessage('dm_alice_bob', 'bob'), createdAt: new Date()}),
+    );
+    await assertFails(
+      as('alice').doc(`${W}/messages/d1`).update({
+        deleted: true,
+        deletedBy: 'alice',
+        deletedAt: FieldValue.serverTimestamp(),
+        text: '',
+      }),
+    );
+    await assertFails(as('alice').doc(`${W}/messages/d1/edits/e1`).get());
+  });
+
+  it('lets members post with mentions of members only', async () => {
+    await assertSucceeds(
+      as('bob')
+        .doc(`${W}/messages/new`)
+        .set(newMessage('general', 'bob', {mentionIds: ['alice']})),
+    );
+    await assertFails(
+      as('bob')
+        .doc(`${W}/messages/other`)
+        .set(newMessage('general', 'bob', {mentionIds: ['carol']})),
+    );
+  });
+
+  it('lets members change only their own reactions', async () => {
+    const react = (uid, emoji, change) =>
+      as(uid)
+        .doc(`${W}/messages/m1`)
+        .update(new firebase.firestore.FieldPath('reactions', emoji), change);
+    await assertSucceeds(react('bob', '👍', FieldValue.arrayUnion('bob')));
+    await assertFails(react('bob', '👍', FieldValue.arrayUnion('alice')));
+    await assertSucceeds(react('alice', '👍', FieldValue.arrayUnion('alice')));
+    await assertFails(react('bob', '👍', FieldValue.arrayRemove('alice')));
+    await assertSucceeds(react('bob', '👍', FieldValue.arrayRemove('bob')));
+    await assertFails(
+      as('bob')
+        .doc(`${W}/messages/m1`)
+        .update({reactions: {'👍': ['bob'], '❤️': ['bob']}}),
+    );
+  });
+
+  it('only counts thread replies written alongside the reply', async () => {
+    const reply = (uid, {create = true, increment = 1} = {}) => {
+      const db = as(uid);
+      const batch = db.batch();
+      if (create) {
+        batch.set(
+          db.doc(`${W}/messages/r1`),
+          newMessage('general', uid, {type: 'reply', threadId: 'm1'}),
+        );
+      }
+      batch.update(db.doc(`${W}/messages/m1`), {
+        replyCount: FieldValue.increment(increment),
+        lastReplyAt: FieldValue.serverTimestamp(),
+        lastReplyId: 'r1',
+      });
+      return batch.commit();
+    };
+    await assertFails(reply('bob', {create: false}));
+    await assertFails(reply('bob', {increment: 5}));
+    await assertSucceeds(reply('bob'));
+  });
+
+  describe('system messages', () => {
+    const systemMessage = (uid, event, targetIds = [], text) =>
+      newMessage('general', uid, {
+        type: 'system',
+        text:
+          text ||
+          `${uid} ${event}${
+            targetIds.length ? ` ${targetIds.join(' and ')}` : ''
+          }`,
+        systemEvent: {event, targetIds},
+      });
+
+    const withChange = (uid, groupUpdate, message) => {
+      const db = as(uid);
+      const batch = db.batch();
+      batch.update(db.doc(`${W}/groups/general`), groupUpdate);
+      batch.set(db.doc(`${W}/messages/s1`), message);
+      return batch.commit();
+    };
+
+    it('are only accepted with the membership change they describe', async () => {
+      await assertFails(
+        as('mod')
+          .doc(`${W}/messages/s1`)
+          .set(systemMessage('mod', 'added', ['carol'])),
+      );
+      await assertFails(
+        as('bob').doc(`${W}/messages/s1`).set(systemMessage('bob', 'left')),
+      );
+      await assertSucceeds(
+        withChange(
+          'mod',
+          {members: FieldValue.arrayUnion('carol')},
+          systemMessage('mod', 'added', ['carol']),
+        ),
+      );
+    });
+
+    it('have to name who came or went', async () => {
+      await assertFails(
+        withChange(
+          'mod',
+          {members: FieldValue.arrayUnion('carol')},
+          systemMessage('mod', 'added', ['admin']),
+        ),
+      );
+      await assertFails(
+        withChange(
+          'mod',
+          {
+            members: FieldValue.arrayRemove('bob'),
+            'roles.bob': FieldValue.delete(),
+          },
+          systemMessage('mod', 'removed', ['alice']),
+        ),
+      );
+    });
+
+    it('have to say what happened', async () => {
+      const leave = {
+        members: FieldValue.arrayRemove('bob'),
+        'roles.bob': FieldValue.delete(),
+      };
+      await assertFails(
+        withChange(
+          'bob',
+          leave,
+          systemMessage('bob', 'left', [], 'Free pizza in the kitchen'),
+        ),
+      );
+      await assertSucceeds(
+        withChange('bob', leave, systemMessage('bob', 'left')),
+      );
+    });
+
+    it('only come from staff for other people', async () => {
+      await assertFails(
+        withChange(
+          'bob',
+          {members: FieldValue.arrayUnion('carol')},
+          systemMessage('bob', 'added', ['carol']),
+        ),
+      );
+    });
+  });
+});
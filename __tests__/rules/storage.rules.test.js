@@ -0,0 +1,200 @@
+/**
+ * @format
+ */
+
+import {readFileSync} from 'fs';
+import {describe, it, beforeAll, beforeEach, afterAll} from '@jest/globals';
+import {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} from '@firebase/rules-unit-testing';
+import 'firebase/compat/storage';
+
+let testEnv;
+
+const IMAGE = {
+  contentType: 'image/jpeg',
+  customMetadata: {groupId: 'general'},
+};
+const bytes = size => new Uint8Array(size);
+
+const W = 'workspaces/acme';
+
+const as = uid => testEnv.authenticatedContext(uid).storage();
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-company-chat',
+    // Storage rules look up the uploader's workspace profile in Firestore
+    firestore: {rules: readFileSync('firestore.rules', 'utf8')},
+    storage: {rules: readFileSync('storage.rules', 'utf8')},
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.clearStorage();
+  await testEnv.withSecurityRulesDisabled(async context => {
+    await context.firestore().doc(`${W}/users/admin`).set({role: 'admin'});
+    await context.firestore().doc(`${W}/users/alice`).set({role: 'member'});
+    await context.firestore().doc(`${W}/users/bob`).set({role: 'member'});
+    await context.firestore().doc(`${W}/users/mod`).set({role: 'member'});
+    await context
+      .firestore()
+      .doc(`${W}/groups/general`)
+      .set({
+        createdBy: 'mod',
+        members: ['mod', 'alice', 'bob'],
+        roles: {mod: 'moderator'},
+      });
+    await context
+      .firestore()
+      .doc(`${W}/groups/dm_alice_bob`)
+      .set({
+        isDirect: true,
+        createdBy: 'bob',
+        members: ['alice', 'bob'],
+      });
+    await context
+      .storage()
+      .ref(`${W}/chat-images/alice/photo.jpg`)
+      .put(bytes(10), IMAGE);
+  });
+});
+
+describe('chat images', () => {
+  it('can only be uploaded into your own folder', async () => {
+    await assertSucceeds(
+      as('alice').ref(`${W}/chat-images/alice/new.jpg`).put(bytes(10), IMAGE),
+    );
+    await assertFails(
+      as('bob').ref(`${W}/chat-images/alice/new.jpg`).put(bytes(10), IMAGE),
+    );
+    await assertFails(
+      as('erin').ref(`${W}/chat-images/erin/new.jpg`).put(bytes(10), IMAGE),
+    );
+    await assertFails(
+      testEnv
+        .unauthenticatedContext()
+        .storage()
+        .ref(`${W}/chat-images/alice/new.jpg`)
+        .put(bytes(10), IMAGE),
+    );
+  });
+
+  it('have to name a group the uploader is in', async () => {
+    await assertFails(
+      as('alice')
+        .ref(`${W}/chat-images/alice/new.jpg`)
+        .put(bytes(10), {contentType: 'image/jpeg'}),
+    );
+    await assertFails(
+      as('alice')
+        .ref(`${W}/chat-images/alice/new.jpg`)
+        .put(bytes(10), {...IMAGE, customMetadata: {groupId: 'secret'}}),
+    );
+  });
+
+  it('must be images', async () => {
+    await assertFails(
+      as('alice')
+        .ref(`${W}/chat-images/alice/notes.txt`)
+        .put(bytes(10), {contentType: 'text/plain'}),
+    );
+  });
+
+  it('are readable by anyone in the workspace', async () => {
+    await assertSucceeds(
+      as('bob').ref(`${W}/chat-images/alice/photo.jpg`).getDownloadURL(),
+    );
+    await assertFails(
+      as('erin').ref(`${W}/chat-images/alice/photo.jpg`).getDownloadURL(),
+    );
+    await assertFails(
+      testEnv
+        .unauthenticatedContext()
+        .storage()
+        .ref(`${W}/chat-images/alice/photo.jpg`)
+        .getDownloadURL(),
+    );
+  });
+
+  it('can be deleted by their uploader or an admin', async () => {
+    await assertFails(
+      as('bob').ref(`${W}/chat-images/alice/photo.jpg`).delete(),
+    );
+    await assertSucceeds(
+      as('admin').ref(`${W}/chat-images/alice/photo.jpg`).delete(),
+    );
+  });
+
+  it("can be deleted by the group's moderators", async () => {
+    await assertSucceeds(
+      as('mod').ref(`${W}/chat-images/alice/photo.jpg`).delete(),
+    );
+  });
+
+  it("can't be deleted by whoever started a direct conversation", async () => {
+    await testEnv.withSecurityRulesDisabled(context =>
+      context
+        .storage()
+        .ref(`${W}/chat-images/alice/direct.jpg`)
+        .put(bytes(10), {...IMAGE, customMetadata: {groupId: 'dm_alice_bob'}}),
+    );
+    await assertFails(
+      as('bob').ref(`${W}/chat-images/alice/direct.jpg`).delete(),
+    );
+  });
+});
+
+describe('chat files', () => {
+  it('accept any type from the owner', async () => {
+    await assertSucceeds(
+      as('alice')
+        .ref(`${W}/chat-files/alice/report.pdf`)
+        .put(bytes(10), {...IMAGE, contentType: 'application/pdf'}),
+    );
+    await assertFails(
+      as('bob')
+        .ref(`${W}/chat-files/alice/report.pdf`)
+        .put(bytes(10), {contentType: 'application/pdf'}),
+    );
+  });
+});
+
+describe('profile pictures', () => {
+  it('are only managed by their owner', async () => {
+    await assertSucceeds(
+      as('alice')
+        .ref(`${W}/profile-pictures/alice/1.jpg`)
+        .put(bytes(10), IMAGE),
+    );
+    await assertFails(
+      as('bob').ref(`${W}/profile-pictures/alice/2.jpg`).put(bytes(10), IMAGE),
+    );
+    await assertFails(
+      as('admin').ref(`${W}/profile-pictures/alice/1.jpg`).delete(),
+    );
+  });
+
+  it('are size limited', async () => {
+    await assertFails(
+      as('alice')
+        .ref(`${W}/profile-pictures/alice/huge.jpg`)
+        .put(bytes(5 * 1024 * 1024), IMAGE),
+    );
+  });
+});
+
+describe('other paths', () => {
+  it('are closed', async () => {
+    await assertFails(
+      as('alice').ref('anything/else.jpg').put(bytes(10), IMAGE),
+    );
+  });
+});
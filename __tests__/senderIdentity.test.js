@@ -0,0 +1,40 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {senderIds, withSenderIdentity} from '../src/utils/senderIdentity';
+
+const message = {
+  id: 'm1',
+  senderId: 'u1',
+  senderName: 'Old Name',
+  senderProfilePic: 'old.jpg',
+  replyTo: {messageId: 'm0', senderId: 'u2', senderName: 'Old Bob'},
+};
+
+describe('senderIds', () => {
+  it('collects unique senders and quoted senders', () => {
+    expect(
+      senderIds([message, {senderId: 'u1'}, {senderId: 'u3'}]).sort(),
+    ).toEqual(['u1', 'u2', 'u3']);
+  });
+});
+
+describe('withSenderIdentity', () => {
+  it('prefers the live profile over the stored snapshot', () => {
+    const resolved = withSenderIdentity(message, {
+      u1: {name: 'New Name', profilePictureUrl: null},
+      u2: {name: 'Bob'},
+    });
+    expect(resolved.senderName).toBe('New Name');
+    expect(resolved.senderProfilePic).toBe(null);
+    expect(resolved.replyTo.senderName).toBe('Bob');
+    expect(message.senderName).toBe('Old Name');
+  });
+
+  it('falls back to the snapshot for missing or deleted accounts', () => {
+    expect(withSenderIdentity(message, {u1: null})).toBe(message);
+    expect(withSenderIdentity(message, {})).toBe(message);
+  });
+});
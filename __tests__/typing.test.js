@@ -0,0 +1,78 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  TYPING_THROTTLE,
+  TYPING_TTL,
+  activeTypingNames,
+  formatTypingText,
+  shouldPublishTyping,
+  stampTypingEntries,
+} from '../src/utils/typing';
+
+const NOW = 1_700_000_000_000;
+const timestamp = millis => ({toMillis: () => millis});
+
+describe('formatTypingText', () => {
+  it('names up to two people and counts the rest', () => {
+    expect(formatTypingText([])).toBe('');
+    expect(formatTypingText(['Ann'])).toBe('Ann is typing…');
+    expect(formatTypingText(['Ann', 'Bo'])).toBe('Ann and Bo are typing…');
+    expect(formatTypingText(['Ann', 'Bo', 'Cy'])).toBe('3 people are typing…');
+  });
+});
+
+describe('stampTypingEntries', () => {
+  it('keeps when an unchanged entry was first seen', () => {
+    const first = stampTypingEntries(
+      [{id: 'u2', name: 'Bo', updatedAt: timestamp(5)}],
+      {},
+      NOW,
+    );
+    expect(first.entries[0].seenAt).toBe(NOW);
+
+    const again = stampTypingEntries(
+      [{id: 'u2', name: 'Bo', updatedAt: timestamp(5)}],
+      first.seen,
+      NOW + 2000,
+    );
+    expect(again.entries[0].seenAt).toBe(NOW);
+  });
+
+  it('restarts the clock when the typist refreshes their entry', () => {
+    const {seen} = stampTypingEntries(
+      [{id: 'u2', updatedAt: timestamp(5)}],
+      {},
+      NOW,
+    );
+    const refreshed = stampTypingEntries(
+      [{id: 'u2', updatedAt: timestamp(3005)}],
+      seen,
+      NOW + 3000,
+    );
+    expect(refreshed.entries[0].seenAt).toBe(NOW + 3000);
+  });
+});
+
+describe('activeTypingNames', () => {
+  const entries = [
+    {id: 'u1', name: 'Me', seenAt: NOW},
+    {id: 'u2', name: 'Bo', seenAt: NOW},
+    {id: 'u3', name: 'Cy', seenAt: NOW - TYPING_TTL},
+  ];
+
+  it('leaves out the user and entries past the TTL', () => {
+    expect(activeTypingNames(entries, 'u1', NOW)).toEqual(['Bo']);
+    expect(activeTypingNames(entries, 'u1', NOW + TYPING_TTL)).toEqual([]);
+  });
+});
+
+describe('shouldPublishTyping', () => {
+  it('publishes at most once per throttle interval', () => {
+    expect(shouldPublishTyping(0, NOW)).toBe(true);
+    expect(shouldPublishTyping(NOW, NOW + TYPING_THROTTLE - 1)).toBe(false);
+    expect(shouldPublishTyping(NOW, NOW + TYPING_THROTTLE)).toBe(true);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  UNREAD_COUNT_LIMIT,
+  countUnread,
+  formatUnreadCount,
+} from '../src/utils/unreadCounts';
+
+describe('countUnread', () => {
+  it("counts other people's messages and mentions of the user", () => {
+    const messages = [
+      {senderId: 'u2', mentionIds: ['u1']},
+      {senderId: 'u3'},
+      {senderId: 'u1', mentionIds: ['u1']},
+    ];
+    expect(countUnread(messages, 'u1')).toEqual({total: 2, mentions: 1});
+  });
+
+  it('skips deleted messages', () => {
+    const messages = [
+      {senderId: 'u2', deleted: true, mentionIds: ['u1']},
+      {senderId: 'u2'},
+    ];
+    expect(countUnread(messages, 'u1')).toEqual({total: 1, mentions: 0});
+  });
+
+  it('has nothing to count in an empty group', () => {
+    expect(countUnread([], 'u1')).toEqual({total: 0, mentions: 0});
+  });
+});
+
+describe('formatUnreadCount', () => {
+  it('caps large counts', () => {
+    expect(formatUnreadCount(5)).toBe('5');
+    expect(formatUnreadCount(UNREAD_COUNT_LIMIT)).toBe(`${UNREAD_COUNT_LIMIT}`);
+    expect(formatUnreadCount(UNREAD_COUNT_LIMIT + 1)).toBe(
+      `${UNREAD_COUNT_LIMIT}+`,
+    );
+  });
+});
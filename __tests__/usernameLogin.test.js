@@ -0,0 +1,38 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {authErrorCode, normalizeUsername} from '../functions/usernameLogin';
+
+describe('normalizeUsername', () => {
+  it('matches the app and ignores anything but strings', () => {
+    expect(normalizeUsername('  Alice_1 ')).toBe('alice_1');
+    expect(normalizeUsername(undefined)).toBe('');
+    expect(normalizeUsername({username: 'alice'})).toBe('');
+  });
+});
+
+describe('authErrorCode', () => {
+  it("doesn't tell an unknown account from a wrong password", () => {
+    expect(authErrorCode('EMAIL_NOT_FOUND')).toBe('auth/invalid-credential');
+    expect(authErrorCode('INVALID_PASSWORD')).toBe('auth/invalid-credential');
+    expect(authErrorCode('INVALID_LOGIN_CREDENTIALS')).toBe(
+      'auth/invalid-credential',
+    );
+  });
+
+  it('reads codes that come with an explanation', () => {
+    expect(
+      authErrorCode(
+        'TOO_MANY_ATTEMPTS_TRY_LATER : Access to this account has been temporarily disabled',
+      ),
+    ).toBe('auth/too-many-requests');
+    expect(authErrorCode('USER_DISABLED')).toBe('auth/user-disabled');
+  });
+
+  it('leaves other failures to the server', () => {
+    expect(authErrorCode('API_KEY_INVALID')).toBe(null);
+    expect(authErrorCode(undefined)).toBe(null);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {
+  USERNAME_TAKEN,
+  MAX_USERNAME_LENGTH,
+  normalizeUsername,
+  usernameError,
+  usernameTakenError,
+} from '../src/utils/usernames';
+
+describe('normalizeUsername', () => {
+  it('trims and lowercases', () => {
+    expect(normalizeUsername('  Alice_01 ')).toBe('alice_01');
+    expect(normalizeUsername(undefined)).toBe('');
+  });
+});
+
+describe('usernameError', () => {
+  it('accepts letters, numbers and underscores', () => {
+    expect(usernameError('alice_01')).toBe(null);
+  });
+
+  it('rejects empty, malformed and overlong usernames', () => {
+    expect(usernameError('')).toBe('Please enter a username');
+    expect(usernameError('alice smith')).toMatch(/letters, numbers/);
+    expect(usernameError('a/b')).toMatch(/letters, numbers/);
+    expect(usernameError('a'.repeat(MAX_USERNAME_LENGTH + 1))).toMatch(
+      /at most/,
+    );
+  });
+});
+
+describe('usernameTakenError', () => {
+  it('carries the username/taken code', () => {
+    const error = usernameTakenError();
+    expect(error).toBeInstanceOf(Error);
+    expect(error.code).toBe(USERNAME_TAKEN);
+  });
+});
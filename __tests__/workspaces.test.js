@@ -0,0 +1,66 @@
+/**
+ * @format
+ */
+
+import {describe, it, expect} from '@jest/globals';
+import {ORG_ROLES} from '../src/utils/permissions';
+import {
+  MAX_WORKSPACE_NAME_LENGTH,
+  workspaceNameError,
+  emailDomain,
+  claimableDomain,
+  canJoinWorkspace,
+  joinRole,
+} from '../src/utils/workspaces';
+
+describe('workspaceNameError', () => {
+  it('requires a name of reasonable length', () => {
+    expect(workspaceNameError('Acme')).toBe(null);
+    expect(workspaceNameError('   ')).toBe('Please enter a workspace name');
+    expect(
+      workspaceNameError('a'.repeat(MAX_WORKSPACE_NAME_LENGTH + 1)),
+    ).toMatch(/at most/);
+  });
+});
+
+describe('emailDomain', () => {
+  it('lowercases the part after the @', () => {
+    expect(emailDomain('Meena@Acme.COM')).toBe('acme.com');
+    expect(emailDomain('not-an-email')).toBe(null);
+    expect(emailDomain(undefined)).toBe(null);
+  });
+});
+
+describe('claimableDomain', () => {
+  it('ignores public email providers', () => {
+    expect(claimableDomain('meena@acme.com')).toBe('acme.com');
+    expect(claimableDomain('meena@gmail.com')).toBe(null);
+  });
+});
+
+describe('canJoinWorkspace', () => {
+  const workspace = {
+    emailDomain: 'acme.com',
+    invitedEmails: ['guest@example.com'],
+    ownerEmails: ['boss@example.com'],
+  };
+
+  it('lets in invited people and the workspace domain', () => {
+    expect(canJoinWorkspace(workspace, 'Guest@example.com')).toBe(true);
+    expect(canJoinWorkspace(workspace, 'boss@example.com')).toBe(true);
+    expect(canJoinWorkspace(workspace, 'priya@acme.com')).toBe(true);
+  });
+
+  it('keeps everyone else out', () => {
+    expect(canJoinWorkspace(workspace, 'priya@other.com')).toBe(false);
+    expect(canJoinWorkspace({}, 'priya@acme.com')).toBe(false);
+  });
+});
+
+describe('joinRole', () => {
+  it('makes invited owners admins', () => {
+    const workspace = {ownerEmails: ['boss@example.com']};
+    expect(joinRole(workspace, 'Boss@example.com')).toBe(ORG_ROLES.ADMIN);
+    expect(joinRole(workspace, 'priya@acme.com')).toBe(ORG_ROLES.MEMBER);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Username login and password reset. The usernames index only maps a
+ * username to a uid, so the email behind it is looked up here instead of
+ * being readable by anyone who knows the username. Deploy with:
+ *
+ *   firebase deploy --only functions
+ *
+ * WEB_API_KEY (the Web API key from the Firebase console's project settings)
+ * goes in functions/.env, or is asked for on the first deploy.
+ *
+ * @format
+ */
+
+const {initializeApp} = require('firebase-admin/app');
+const {getAuth} = require('firebase-admin/auth');
+const {getFirestore} = require('firebase-admin/firestore');
+const {onCall, HttpsError} = require('firebase-functions/v2/https');
+const {defineString} = require('firebase-functions/params');
+const {authErrorCode, normalizeUsername} = require('./usernameLogin');
+
+initializeApp();
+
+// Identity Toolkit is what the client SDKs call to check a password and
+// send reset emails; the Admin SDK can do neither
+const webApiKey = defineString('WEB_API_KEY');
+const IDENTITY_TOOLKIT_URL =
+  'https://identitytoolkit.googleapis.com/v1/accounts';
+
+const INVALID_CREDENTIAL = 'auth/invalid-credential';
+
+// null if nobody has the username
+async function emailForUsername(username) {
+  const usernameDoc = await getFirestore()
+    .collection('usernames')
+    .doc(normalizeUsername(username) || '-')
+    .get();
+  if (!usernameDoc.exists) {
+    return null;
+  }
+
+  try {
+    return (await getAuth().getUser(usernameDoc.data().uid)).email || null;
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function identityToolkit(method, body) {
+  const response = await fetch(
+    `${IDENTITY_TOOLKIT_URL}:${method}?key=${webApiKey.value()}`,
+    {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify(body),
+    },
+  );
+  const result = await response.json();
+  if (!response.ok) {
+    const code = authErrorCode(result.error?.message);
+    if (!code) {
+      throw new Error(`Identity Toolkit ${method}: ${result.error?.message}`);
+    }
+    throw new HttpsError(
+      code === 'auth/too-many-requests'
+        ? 'resource-exhausted'
+        : 'unauthenticated',
+      'Invalid username or password',
+      {code},
+    );
+  }
+  return result;
+}
+
+// Returns a custom token for the app to sign in with. Failures carry the
+// auth/... code in their details.
+exports.signInWithUsername = onCall(async request => {
+  const {username, password} = request.data || {};
+  if (typeof password !== 'string' || !password) {
+    throw new HttpsError('invalid-argument', 'Invalid username or password', {
+      code: INVALID_CREDENTIAL,
+    });
+  }
+
+  const email = await emailForUsername(username);
+  if (!email) {
+    throw new HttpsError('unauthenticated', 'Invalid username or password', {
+      code: INVALID_CREDENTIAL,
+    });
+  }
+
+  const {localId} = await identityToolkit('signInWithPassword', {
+    email,
+    password,
+    returnSecureToken: false,
+  });
+  return {token: await getAuth().createCustomToken(localId)};
+});
+
+// Succeeds whether or not the username exists, so it can't be used to find
+// out who has an account
+exports.sendPasswordResetForUsername = onCall(async request => {
+  const email = await emailForUsername(request.data?.username);
+  if (email) {
+    await identityToolkit('sendOobCode', {
+      requestType: 'PASSWORD_RESET',
+      email,
+    });
+  }
+  return {};
+});
@@ -0,0 +1,31 @@
+/**
+ * The parts of username login that don't need Firebase, so they can be
+ * tested from the app's test suite.
+ *
+ * @format
+ */
+
+// Matches normalizeUsername in src/utils/usernames.js
+function normalizeUsername(username) {
+  return (typeof username === 'string' ? username : '').trim().toLowerCase();
+}
+
+// Identity Toolkit errors are a code, sometimes followed by " : " and an
+// explanation. A wrong password and an unknown account read the same, so
+// login can't be used to find out who has one.
+const AUTH_ERROR_CODES = {
+  EMAIL_NOT_FOUND: 'auth/invalid-credential',
+  INVALID_PASSWORD: 'auth/invalid-credential',
+  INVALID_LOGIN_CREDENTIALS: 'auth/invalid-credential',
+  USER_DISABLED: 'auth/user-disabled',
+  TOO_MANY_ATTEMPTS_TRY_LATER: 'auth/too-many-requests',
+};
+
+// The auth/... code the app shows a message for, or null for anything that
+// isn't the caller's fault
+function authErrorCode(identityToolkitMessage) {
+  const code = (identityToolkitMessage || '').split(' ')[0];
+  return AUTH_ERROR_CODES[code] || null;
+}
+
+module.exports = {normalizeUsername, authErrorCode};
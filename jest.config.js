@@ -1,3 +1,5 @@
 module.exports = {
   preset: 'react-native',
+  // Security rules tests need the Firebase emulators; see jest.rules.config.js
+  testPathIgnorePatterns: ['/node_modules/', '<rootDir>/__tests__/rules/'],
 };
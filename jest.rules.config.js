@@ -0,0 +1,6 @@
+// Runs the security rules tests against the local Firebase emulators:
+//   npm run test:rules
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/__tests__/rules/**/*.test.js'],
+};
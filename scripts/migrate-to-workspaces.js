@@ -0,0 +1,263 @@
+/**
+ * Moves data from before workspaces existed into one workspace, so it stays
+ * readable once the workspace security rules are deployed. Run it before
+ * deploying them:
+ *
+ *   GOOGLE_APPLICATION_CREDENTIALS=service-account.json \
+ *     npm run migrate:workspaces -- --name "Acme" --owner you@acme.com
+ *
+ * Options:
+ *   --name <name>       the workspace's name (required)
+ *   --owner <email>     who owns the workspace; they become its admin (required)
+ *   --workspace <id>    the workspace's id (default: "default")
+ *   --domain <domain>   let anyone with a verified address there join
+ *   --dry-run           report what would be copied without writing anything
+ *
+ * The top-level users, groups and messages collections are copied under
+ * workspaces/<id>, with their subcollections, and each person gets an account
+ * and their username reserved both for login and in the workspace. Nothing is
+ * deleted except the emails the usernames index used to hold, and running it
+ * again copies the same documents over themselves.
+ *
+ * @format
+ */
+
+// Copied as they are; users are copied separately since they also need
+// accounts and usernames
+const SHARED_COLLECTIONS = ['groups', 'messages'];
+
+// Matches usernameError in src/utils/usernames.js
+const MAX_USERNAME_LENGTH = 30;
+const USERNAME_PATTERN = /^[a-z0-9_]+$/;
+
+function parseArgs(argv) {
+  const options = {workspace: 'default', domain: null, dryRun: false};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+
+  if (!options.name || !options.owner) {
+    throw new Error('Usage: --name <workspace name> --owner <email>');
+  }
+  return {...options, owner: options.owner.toLowerCase()};
+}
+
+const toMillis = value => (value?.toMillis ? value.toMillis() : 0);
+
+// Usernames used to be checked with a query before signup, so two people can
+// have ended up with the same one, and some are older than the format rules.
+// A username already claimed in the index stays with its owner, and otherwise
+// goes to whoever signed up first; anyone else gets part of their uid added.
+function assignUsernames(users, claimed = {}) {
+  const owners = {...claimed};
+  const assigned = {};
+  const bySignup = [...users].sort(
+    (a, b) => toMillis(a.data.createdAt) - toMillis(b.data.createdAt),
+  );
+
+  bySignup.forEach(({id, data}) => {
+    const wanted = (data.username || '').trim().toLowerCase();
+    const valid =
+      USERNAME_PATTERN.test(wanted) && wanted.length <= MAX_USERNAME_LENGTH;
+
+    let username = wanted;
+    if (!valid || (owners[username] && owners[username] !== id)) {
+      const base = valid ? wanted : wanted.replace(/[^a-z0-9_]/g, '') || 'user';
+      const suffix = `_${id.slice(0, 8).toLowerCase()}`;
+      username = `${base.slice(
+        0,
+        MAX_USERNAME_LENGTH - suffix.length,
+      )}${suffix}`;
+    }
+
+    owners[username] = id;
+    assigned[id] = username;
+  });
+
+  return assigned;
+}
+
+// Everyone who signed up before roles existed was made an admin, and stays
+// one until demoted from Manage Users. The owner is one either way.
+function profileRole(data, email, ownerEmail) {
+  return data.role === 'admin' || email === ownerEmail ? 'admin' : 'member';
+}
+
+// Copies a document and everything under it, keeping its id
+async function copyTree(doc, targetRef, writer, transform = data => data) {
+  writer.set(targetRef, transform(doc.data()), {merge: true});
+
+  const subcollections = await doc.ref.listCollections();
+  for (const collection of subcollections) {
+    const snapshot = await collection.get();
+    for (const child of snapshot.docs) {
+      await copyTree(
+        child,
+        targetRef.collection(collection.id).doc(child.id),
+        writer,
+      );
+    }
+  }
+}
+
+async function migrate(db, FieldValue, options) {
+  const workspaceRef = db.collection('workspaces').doc(options.workspace);
+  const [usersSnapshot, usernamesSnapshot, organizationDoc] = await Promise.all(
+    [
+      db.collection('users').get(),
+      db.collection('usernames').get(),
+      db.collection('config').doc('organization').get(),
+    ],
+  );
+
+  const users = usersSnapshot.docs.map(doc => ({id: doc.id, data: doc.data()}));
+  const owner = users.find(
+    user => (user.data.email || '').toLowerCase() === options.owner,
+  );
+  if (!owner) {
+    throw new Error(`Nobody with the email ${options.owner} has signed up`);
+  }
+
+  const claimed = {};
+  usernamesSnapshot.docs.forEach(doc => {
+    claimed[doc.id] = doc.data().uid;
+  });
+  const usernames = assignUsernames(users, claimed);
+
+  const counts = {users: users.length};
+  for (const name of SHARED_COLLECTIONS) {
+    counts[name] = (await db.collection(name).count().get()).data().count;
+  }
+  console.log(
+    `Copying ${counts.users} users, ${counts.groups} groups and ${counts.messages} messages into workspaces/${options.workspace}`,
+  );
+  users.forEach(({id, data}) => {
+    if (usernames[id] !== data.username) {
+      console.log(
+        `  ${data.email}: @${data.username || ''} becomes @${usernames[id]}`,
+      );
+    }
+  });
+  if (options.dryRun) {
+    return;
+  }
+
+  const writer = db.bulkWriter();
+  const now = FieldValue.serverTimestamp();
+
+  writer.set(
+    workspaceRef,
+    {
+      name: options.name,
+      emailDomain: options.domain ? options.domain.toLowerCase() : null,
+      ownerId: owner.id,
+      ownerEmails: organizationDoc.exists
+        ? organizationDoc.data().ownerEmails || []
+        : [],
+      invitedEmails: [],
+      createdAt: now,
+    },
+    {merge: true},
+  );
+
+  for (const doc of usersSnapshot.docs) {
+    const data = doc.data();
+    const email = (data.email || '').toLowerCase();
+    const username = usernames[doc.id];
+
+    await copyTree(
+      doc,
+      workspaceRef.collection('users').doc(doc.id),
+      writer,
+      () => ({
+        ...data,
+        email,
+        username,
+        role: profileRole(data, email, options.owner),
+        profilePictureUrl: data.profilePictureUrl || null,
+      }),
+    );
+
+    writer.set(db.collection('usernames').doc(username), {
+      uid: doc.id,
+      createdAt: now,
+    });
+    writer.set(workspaceRef.collection('usernames').doc(username), {
+      uid: doc.id,
+      createdAt: now,
+    });
+
+    // Merged, so accounts that already exist keep the workspace they have
+    // open
+    const accountRef = db.collection('accounts').doc(doc.id);
+    const accountDoc = await accountRef.get();
+    writer.set(
+      accountRef,
+      {
+        email,
+        name: data.name || email,
+        username,
+        workspaceIds: FieldValue.arrayUnion(options.workspace),
+        ...(accountDoc.get('currentWorkspaceId')
+          ? {}
+          : {currentWorkspaceId: options.workspace}),
+        ...(accountDoc.exists ? {} : {createdAt: data.createdAt || now}),
+      },
+      {merge: true},
+    );
+  }
+
+  // Anyone signed in can look a username up, so entries nobody was given
+  // above lose the email they used to hold too
+  const assigned = new Set(Object.values(usernames));
+  usernamesSnapshot.docs
+    .filter(doc => !assigned.has(doc.id))
+    .forEach(doc => {
+      writer.set(doc.ref, {
+        uid: doc.data().uid,
+        createdAt: doc.data().createdAt || now,
+      });
+    });
+
+  // In pages, since there can be far more messages than fit in memory
+  for (const name of SHARED_COLLECTIONS) {
+    let query = db.collection(name).orderBy('__name__').limit(500);
+    let snapshot = await query.get();
+    while (!snapshot.empty) {
+      for (const doc of snapshot.docs) {
+        await copyTree(doc, workspaceRef.collection(name).doc(doc.id), writer);
+      }
+      query = query.startAfter(snapshot.docs[snapshot.docs.length - 1]);
+      snapshot = await query.get();
+    }
+  }
+
+  await writer.close();
+  console.log(
+    'Done. The old collections are untouched; delete them once the app works.',
+  );
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const {initializeApp, applicationDefault} = require('firebase-admin/app');
+  const {getFirestore, FieldValue} = require('firebase-admin/firestore');
+
+  initializeApp({credential: applicationDefault()});
+  await migrate(getFirestore(), FieldValue, options);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {parseArgs, assignUsernames, profileRole};
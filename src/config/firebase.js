@@ -6,6 +6,18 @@ export const db = firestore();
 export const authInstance = auth();
 export const storageInstance = storage();
 
+// Everything a company shares (people, usernames, groups, messages) lives
+// under its workspace document
+export const workspaceRef = workspaceId =>
+  firestore().collection('workspaces').doc(workspaceId);
+
+// Usernames are unique within a workspace; this reserves one for its owner
+export const usernameRef = (workspaceId, username) =>
+  workspaceRef(workspaceId).collection('usernames').doc(username);
+
+// Which workspaces someone belongs to, and which one they have open
+export const accountRef = uid => firestore().collection('accounts').doc(uid);
+
 export default {
   auth: authInstance,
   db,
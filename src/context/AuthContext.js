@@ -1,22 +1,78 @@
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, {createContext, useState, useEffect, useContext} from 'react';
 import auth from '@react-native-firebase/auth';
 import firestore from '@react-native-firebase/firestore';
+import functions from '@react-native-firebase/functions';
+import {accountRef, usernameRef, workspaceRef} from '../config/firebase';
+import {PRESENCE_STATES} from '../utils/presence';
+import {setPresence} from '../hooks/usePresenceTracking';
+import {normalizeUsername, usernameTakenError} from '../utils/usernames';
 
-const AuthContext = createContext({});
+/**
+ * What useAuth() returns. Written out so App.tsx can type-check against it.
+ * @typedef {object} AuthContextValue
+ * @property {import('@react-native-firebase/auth').FirebaseAuthTypes.User | null} currentUser
+ * @property {Record<string, any> | null} account
+ * @property {string | null} workspaceId
+ * @property {Record<string, any> | null} workspace
+ * @property {Record<string, any> | null} userData
+ * @property {boolean} emailVerified
+ * @property {(email: string, password: string, additionalData: Record<string, any>) => Promise<any>} signup
+ * @property {(usernameOrEmail: string, password: string) => Promise<any>} login
+ * @property {() => Promise<void>} logout
+ * @property {(usernameOrEmail: string) => Promise<void>} resetPassword
+ * @property {() => Promise<void>} sendVerificationEmail
+ * @property {() => Promise<boolean>} refreshEmailVerification
+ * @property {(currentPassword: string, newPassword: string) => Promise<void>} changePassword
+ * @property {(updates: Record<string, any>) => Promise<void>} updateUserProfile
+ * @property {(newUsername: string) => Promise<void>} changeUsername
+ */
+
+/** @type {React.Context<AuthContextValue>} */
+const AuthContext = createContext(/** @type {AuthContextValue} */ ({}));
+
+// The username people log in with is unique across workspaces, so
+// usernames/{username} sits outside any of them. It maps to a uid only;
+// functions/index.js turns it into an email on the server, so knowing
+// someone's username doesn't reveal their address.
+const loginUsernameRef = username =>
+  firestore().collection('usernames').doc(username);
+
+// Login and password reset take either; anything with an @ is an email
+const isEmail = usernameOrEmail => usernameOrEmail.includes('@');
+
+// Callable functions report auth failures as their details, so screens can
+// treat them like the ones Firebase Auth throws
+function callableAuthError(error) {
+  if (!error?.details?.code) {
+    return error;
+  }
+  const authError = new Error(error.message);
+  authError.code = error.details.code;
+  return authError;
+}
 
 export function useAuth() {
   return useContext(AuthContext);
 }
 
-export function AuthProvider({ children }) {
+// The signed-in person has one account (accounts/{uid}) and a profile in each
+// workspace they belong to. userData is the profile in the workspace they
+// have open, so roles and usernames are per workspace; the account keeps the
+// username used to log in.
+export function AuthProvider({children}) {
   const [currentUser, setCurrentUser] = useState(null);
+  const [account, setAccount] = useState(null);
+  const [workspace, setWorkspace] = useState(null);
   const [userData, setUserData] = useState(null);
+  const [emailVerified, setEmailVerified] = useState(false);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     const unsubscribe = auth().onAuthStateChanged(user => {
       setCurrentUser(user);
+      setEmailVerified(!!user?.emailVerified);
       if (!user) {
+        setAccount(null);
         setUserData(null);
         setLoading(false);
       }
@@ -25,72 +81,282 @@ export function AuthProvider({ children }) {
     return unsubscribe;
   }, []);
 
+  const uid = currentUser?.uid;
+  const workspaceId = account?.currentWorkspaceId || null;
+
   useEffect(() => {
-    if (!currentUser) return;
+    if (!uid) {
+      return;
+    }
 
-    const unsubscribe = firestore()
+    setLoading(true);
+    const unsubscribe = accountRef(uid).onSnapshot(
+      doc => {
+        const data = doc.exists ? doc.data() : null;
+        setAccount(data);
+        // Without a workspace there's no profile to wait for
+        if (!data?.currentWorkspaceId) {
+          setLoading(false);
+        }
+      },
+      error => {
+        console.error('Error fetching account:', error);
+        setLoading(false);
+      },
+    );
+
+    return unsubscribe;
+  }, [uid]);
+
+  // Loading again while switching workspaces unmounts everything below, so
+  // no listener or cache from the previous workspace survives
+  useEffect(() => {
+    setWorkspace(null);
+    setUserData(null);
+    if (!uid || !workspaceId) {
+      return;
+    }
+
+    setLoading(true);
+
+    const unsubscribeWorkspace = workspaceRef(workspaceId).onSnapshot(
+      doc => {
+        setWorkspace(doc.exists ? {id: doc.id, ...doc.data()} : null);
+      },
+      error => {
+        console.error('Error fetching workspace:', error);
+      },
+    );
+
+    const unsubscribeUser = workspaceRef(workspaceId)
       .collection('users')
-      .doc(currentUser.uid)
+      .doc(uid)
       .onSnapshot(
         doc => {
-          if (doc.exists) {
-            setUserData({ id: doc.id, ...doc.data() });
-          }
+          setUserData(doc.exists ? {id: doc.id, ...doc.data()} : null);
           setLoading(false);
         },
         error => {
           console.error('Error fetching user data:', error);
           setLoading(false);
-        }
+        },
       );
 
-    return unsubscribe;
-  }, [currentUser]);
+    return () => {
+      unsubscribeWorkspace();
+      unsubscribeUser();
+    };
+  }, [uid, workspaceId]);
 
+  // Creates the account and reserves its login username; the name and
+  // username are what the person starts with in each workspace they join or
+  // create. The username can only be checked once signed in, so a taken one
+  // removes the new user again.
   async function signup(email, password, additionalData) {
-    const userCredential = await auth().createUserWithEmailAndPassword(email, password);
+    const normalizedEmail = email.toLowerCase();
+    const reservedRef = loginUsernameRef(additionalData.username);
 
-    await firestore()
-      .collection('users')
-      .doc(userCredential.user.uid)
-      .set({
-        email: email.toLowerCase(),
-        createdAt: firestore.FieldValue.serverTimestamp(),
-        ...additionalData,
+    const userCredential = await auth().createUserWithEmailAndPassword(
+      email,
+      password,
+    );
+    try {
+      await firestore().runTransaction(async transaction => {
+        const reservedDoc = await transaction.get(reservedRef);
+        if (reservedDoc.exists) {
+          throw usernameTakenError();
+        }
+
+        transaction.set(reservedRef, {
+          uid: userCredential.user.uid,
+          createdAt: firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.set(accountRef(userCredential.user.uid), {
+          email: normalizedEmail,
+          name: additionalData.name,
+          username: additionalData.username,
+          workspaceIds: [],
+          currentWorkspaceId: null,
+          createdAt: firestore.FieldValue.serverTimestamp(),
+        });
       });
+    } catch (error) {
+      try {
+        await userCredential.user.delete();
+      } catch (deleteError) {
+        console.error('Error removing incomplete account:', deleteError);
+      }
+      throw error;
+    }
+
+    // The account is usable either way; the verify screen can resend
+    try {
+      await userCredential.user.sendEmailVerification();
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
 
     return userCredential;
   }
 
-  async function login(email, password) {
-    return auth().signInWithEmailAndPassword(email, password);
+  async function login(usernameOrEmail, password) {
+    const input = usernameOrEmail.trim();
+    if (isEmail(input)) {
+      return auth().signInWithEmailAndPassword(input.toLowerCase(), password);
+    }
+
+    let result;
+    try {
+      result = await functions().httpsCallable('signInWithUsername')({
+        username: normalizeUsername(input),
+        password,
+      });
+    } catch (error) {
+      throw callableAuthError(error);
+    }
+    return auth().signInWithCustomToken(result.data.token);
   }
 
   async function logout() {
+    // Must happen while we can still write our own presence doc
+    if (currentUser) {
+      try {
+        if (workspaceId) {
+          await setPresence(
+            workspaceId,
+            currentUser.uid,
+            PRESENCE_STATES.OFFLINE,
+            userData?.hideLastSeen,
+          );
+        }
+      } catch (error) {
+        console.error('Error clearing presence:', error);
+      }
+    }
     return auth().signOut();
   }
 
-  async function resetPassword(email) {
-    return auth().sendPasswordResetEmail(email);
+  // For a username, nothing says whether it exists, so it can't be used to
+  // find out who has an account
+  async function resetPassword(usernameOrEmail) {
+    const input = usernameOrEmail.trim();
+    if (isEmail(input)) {
+      return auth().sendPasswordResetEmail(input.toLowerCase());
+    }
+
+    try {
+      await functions().httpsCallable('sendPasswordResetForUsername')({
+        username: normalizeUsername(input),
+      });
+    } catch (error) {
+      throw callableAuthError(error);
+    }
+  }
+
+  async function sendVerificationEmail() {
+    if (!currentUser) {
+      return;
+    }
+    await currentUser.sendEmailVerification();
+  }
+
+  // Verification happens in a browser, so the only way to notice is to
+  // reload the user. The token is refreshed too so its email_verified claim
+  // catches up.
+  async function refreshEmailVerification() {
+    if (!currentUser) {
+      return false;
+    }
+    await currentUser.reload();
+    const verified = !!auth().currentUser?.emailVerified;
+    if (verified) {
+      await currentUser.getIdToken(true);
+    }
+    setEmailVerified(verified);
+    return verified;
+  }
+
+  // Firebase only lets recently signed-in users change their password, so
+  // the current one is checked again first
+  async function changePassword(currentPassword, newPassword) {
+    if (!currentUser) {
+      return;
+    }
+
+    const credential = auth.EmailAuthProvider.credential(
+      currentUser.email,
+      currentPassword,
+    );
+    await currentUser.reauthenticateWithCredential(credential);
+    await currentUser.updatePassword(newPassword);
   }
 
   async function updateUserProfile(updates) {
-    if (!currentUser) return;
+    if (!currentUser || !workspaceId) {
+      return;
+    }
 
-    await firestore()
+    await workspaceRef(workspaceId)
       .collection('users')
       .doc(currentUser.uid)
       .update(updates);
   }
 
+  // Claims the new username in the open workspace and releases the old one
+  // in one step. The login username stays as it is.
+  async function changeUsername(newUsername) {
+    if (!currentUser || !workspaceId) {
+      return;
+    }
+
+    const userRef = workspaceRef(workspaceId)
+      .collection('users')
+      .doc(currentUser.uid);
+
+    await firestore().runTransaction(async transaction => {
+      const userDoc = await transaction.get(userRef);
+      const previousUsername = userDoc.data().username;
+      if (previousUsername === newUsername) {
+        return;
+      }
+
+      const newDoc = await transaction.get(
+        usernameRef(workspaceId, newUsername),
+      );
+      if (newDoc.exists && newDoc.data().uid !== currentUser.uid) {
+        throw usernameTakenError();
+      }
+      const previousDoc = previousUsername
+        ? await transaction.get(usernameRef(workspaceId, previousUsername))
+        : null;
+
+      transaction.set(usernameRef(workspaceId, newUsername), {
+        uid: currentUser.uid,
+        createdAt: firestore.FieldValue.serverTimestamp(),
+      });
+      if (previousDoc?.exists && previousDoc.data().uid === currentUser.uid) {
+        transaction.delete(usernameRef(workspaceId, previousUsername));
+      }
+      transaction.update(userRef, {username: newUsername});
+    });
+  }
+
   const value = {
     currentUser,
+    account,
+    workspaceId,
+    workspace,
     userData,
+    emailVerified,
     signup,
     login,
     logout,
     resetPassword,
+    sendVerificationEmail,
+    refreshEmailVerification,
+    changePassword,
     updateUserProfile,
+    changeUsername,
   };
 
   return (
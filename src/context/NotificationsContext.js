@@ -0,0 +1,158 @@
+import React, {
+  createContext,
+  useState,
+  useEffect,
+  useContext,
+  useRef,
+  useCallback,
+  useMemo,
+} from 'react';
+import {View, StyleSheet} from 'react-native';
+import firestore from '@react-native-firebase/firestore';
+import {useAuth} from './AuthContext';
+import {workspaceRef} from '../config/firebase';
+import NotificationBanner from '../screens/Notifications/NotificationBanner';
+import {shouldNotify} from '../utils/notificationSettings';
+
+const NotificationsContext = createContext({});
+
+export function useNotifications() {
+  return useContext(NotificationsContext);
+}
+
+const BANNER_DURATION_MS = 4000;
+
+// Kept per workspace, like the groups they refer to
+const settingsDoc = (workspaceId, uid) =>
+  workspaceRef(workspaceId)
+    .collection('users')
+    .doc(uid)
+    .collection('settings')
+    .doc('notifications');
+
+// Holds the user's notification settings and decides which incoming
+// messages become notifications. Delivery goes through `transport`
+// (see utils/notificationTransport); without one, notifications are shown
+// as in-app banners.
+export function NotificationsProvider({children, transport = null}) {
+  const {currentUser, workspaceId} = useAuth();
+  const [settings, setSettings] = useState({});
+  const [banner, setBanner] = useState(null);
+  const settingsRef = useRef(settings);
+  const activeGroupIdRef = useRef(null);
+
+  const uid = currentUser?.uid;
+  settingsRef.current = settings;
+
+  useEffect(() => {
+    if (!uid || !workspaceId) {
+      setSettings({});
+      return;
+    }
+
+    const unsubscribe = settingsDoc(workspaceId, uid).onSnapshot(
+      doc => {
+        setSettings(doc.exists ? doc.data() : {});
+      },
+      error => {
+        console.error('Error fetching notification settings:', error);
+      },
+    );
+
+    return unsubscribe;
+  }, [workspaceId, uid]);
+
+  useEffect(() => {
+    if (!banner) {
+      return;
+    }
+
+    const timeout = setTimeout(() => setBanner(null), BANNER_DURATION_MS);
+    return () => clearTimeout(timeout);
+  }, [banner]);
+
+  const bannerTransport = useMemo(() => ({deliver: setBanner}), []);
+
+  // The open chat doesn't notify about its own messages
+  const setActiveGroupId = useCallback(groupId => {
+    activeGroupIdRef.current = groupId;
+  }, []);
+
+  const notify = useCallback(
+    (message, notification) => {
+      const allowed = shouldNotify(settingsRef.current, message, {
+        userId: uid,
+        activeGroupId: activeGroupIdRef.current,
+      });
+      if (!allowed) {
+        return;
+      }
+
+      (transport || bannerTransport).deliver(notification);
+    },
+    [uid, transport, bannerTransport],
+  );
+
+  function updateGroupSettings(groupId, updates) {
+    return settingsDoc(workspaceId, uid).set(
+      {groups: {[groupId]: updates}},
+      {merge: true},
+    );
+  }
+
+  function setGroupLevel(groupId, level) {
+    return updateGroupSettings(groupId, {
+      level,
+      muted: false,
+      mutedUntil: null,
+    });
+  }
+
+  // durationMs of null mutes until the user unmutes
+  function muteGroup(groupId, durationMs) {
+    return updateGroupSettings(groupId, {
+      muted: true,
+      mutedUntil: durationMs
+        ? firestore.Timestamp.fromMillis(Date.now() + durationMs)
+        : null,
+    });
+  }
+
+  function unmuteGroup(groupId) {
+    return updateGroupSettings(groupId, {muted: false, mutedUntil: null});
+  }
+
+  function setDoNotDisturb(doNotDisturb) {
+    return settingsDoc(workspaceId, uid).set({doNotDisturb}, {merge: true});
+  }
+
+  const value = {
+    settings,
+    notify,
+    setActiveGroupId,
+    setGroupLevel,
+    muteGroup,
+    unmuteGroup,
+    setDoNotDisturb,
+  };
+
+  return (
+    <NotificationsContext.Provider value={value}>
+      <View style={styles.container}>
+        {children}
+        {banner && (
+          <NotificationBanner
+            notification={banner}
+            onDismiss={() => setBanner(null)}
+          />
+        )}
+      </View>
+    </NotificationsContext.Provider>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+});
@@ -0,0 +1,325 @@
+import React, {
+  createContext,
+  useState,
+  useEffect,
+  useContext,
+  useRef,
+  useCallback,
+} from 'react';
+import {AppState} from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import firestore from '@react-native-firebase/firestore';
+import storage from '@react-native-firebase/storage';
+import {useAuth} from './AuthContext';
+import {workspaceRef} from '../config/firebase';
+import {
+  OUTBOX_STATUS,
+  retryDelay,
+  isTransientError,
+  dueItems,
+  nextRetryAt,
+  applyUploadUrls,
+  uploadedPaths,
+} from '../utils/outboxQueue';
+
+const OutboxContext = createContext({});
+
+export function useOutbox() {
+  return useContext(OutboxContext);
+}
+
+// One queue per workspace; messages queued in another workspace wait until
+// the user switches back to it
+const storageKey = (uid, workspaceId) => `outbox:${uid}:${workspaceId}`;
+
+// Queues outgoing messages so they show up instantly, survive app restarts
+// and are retried with backoff until they reach Firestore. Each item gets
+// its message id up front, which makes retries idempotent.
+export function OutboxProvider({children}) {
+  const {currentUser, workspaceId} = useAuth();
+  const [items, setItems] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [isConnected, setIsConnected] = useState(true);
+  const [retryTick, setRetryTick] = useState(0);
+  // Upload progress (0-1) per item; kept out of `items` so it isn't persisted
+  const [progress, setProgress] = useState({});
+  const inFlightRef = useRef(new Set());
+  const connectedRef = useRef(true);
+  const uploadTasksRef = useRef(new Map());
+  const cancelledRef = useRef(new Set());
+
+  const uid = currentUser?.uid;
+
+  // Load the persisted queue for the signed-in user
+  useEffect(() => {
+    setItems([]);
+    setLoaded(false);
+    if (!uid || !workspaceId) {
+      return;
+    }
+
+    let cancelled = false;
+    AsyncStorage.getItem(storageKey(uid, workspaceId))
+      .then(stored => {
+        if (cancelled || !stored) {
+          return;
+        }
+        // Anything that was mid-send when the app died starts over
+        setItems(
+          JSON.parse(stored).map(item =>
+            item.status === OUTBOX_STATUS.SENDING
+              ? {...item, status: OUTBOX_STATUS.PENDING}
+              : item,
+          ),
+        );
+      })
+      .catch(error => {
+        console.error('Error loading outbox:', error);
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoaded(true);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [uid, workspaceId]);
+
+  useEffect(() => {
+    if (!uid || !workspaceId || !loaded) {
+      return;
+    }
+
+    AsyncStorage.setItem(
+      storageKey(uid, workspaceId),
+      JSON.stringify(items),
+    ).catch(error => {
+      console.error('Error saving outbox:', error);
+    });
+  }, [uid, workspaceId, loaded, items]);
+
+  const updateItem = useCallback((id, updates) => {
+    setItems(prev =>
+      prev.map(item => (item.id === id ? {...item, ...updates} : item)),
+    );
+  }, []);
+
+  const removeItem = useCallback(id => {
+    setItems(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  const sendItem = useCallback(
+    async item => {
+      inFlightRef.current.add(item.id);
+      updateItem(item.id, {status: OUTBOX_STATUS.SENDING});
+
+      try {
+        // Uploads that finished on an earlier attempt keep their URL and are skipped
+        let uploads = item.uploads;
+        const remaining = uploads.filter(upload => !upload.url);
+
+        for (const [index, upload] of remaining.entries()) {
+          if (cancelledRef.current.has(item.id)) {
+            throw new Error('Upload cancelled');
+          }
+
+          const reference = storage().ref(upload.path);
+          // The group lets its moderators delete the file with the message
+          const task = reference.putFile(upload.localUri, {
+            ...(upload.contentType ? {contentType: upload.contentType} : {}),
+            customMetadata: {groupId: item.message.groupId},
+          });
+          uploadTasksRef.current.set(item.id, task);
+          task.on('state_changed', snapshot => {
+            const fraction = snapshot.totalBytes
+              ? snapshot.bytesTransferred / snapshot.totalBytes
+              : 0;
+            setProgress(prev => ({
+              ...prev,
+              [item.id]: (index + fraction) / remaining.length,
+            }));
+          });
+          await task;
+          if (cancelledRef.current.has(item.id)) {
+            // Finished just as it was cancelled; don't leave the file behind
+            await reference.delete();
+            throw new Error('Upload cancelled');
+          }
+
+          const url = await reference.getDownloadURL();
+          uploads = uploads.map(existing =>
+            existing.path === upload.path ? {...existing, url} : existing,
+          );
+          updateItem(item.id, {uploads});
+        }
+
+        const message = applyUploadUrls(item.message, uploads);
+        const messageRef = workspaceRef(workspaceId)
+          .collection('messages')
+          .doc(item.id);
+        await firestore().runTransaction(async transaction => {
+          const doc = await transaction.get(messageRef);
+          if (!doc.exists) {
+            transaction.set(messageRef, {
+              ...message,
+              createdAt: firestore.FieldValue.serverTimestamp(),
+            });
+          }
+        });
+
+        removeItem(item.id);
+      } catch (error) {
+        // A cancelled item has already been removed from the queue
+        if (cancelledRef.current.has(item.id)) {
+          cancelledRef.current.delete(item.id);
+          return;
+        }
+        console.error('Error sending queued message:', error);
+        const attempts = item.attempts + 1;
+        updateItem(item.id, {
+          status: OUTBOX_STATUS.FAILED,
+          retryable: isTransientError(error),
+          attempts,
+          nextAttemptAt: Date.now() + retryDelay(attempts),
+          error: error.message || 'Failed to send message',
+        });
+      } finally {
+        inFlightRef.current.delete(item.id);
+        uploadTasksRef.current.delete(item.id);
+        setProgress(prev => {
+          const {[item.id]: _done, ...rest} = prev;
+          return rest;
+        });
+      }
+    },
+    [workspaceId, updateItem, removeItem],
+  );
+
+  // Send whatever is due, then wake up again for the next scheduled retry
+  useEffect(() => {
+    if (!uid || !loaded || !isConnected) {
+      return;
+    }
+
+    const now = Date.now();
+    dueItems(items, now)
+      .filter(item => !inFlightRef.current.has(item.id))
+      .forEach(sendItem);
+
+    const retryAt = nextRetryAt(items);
+    if (retryAt === null) {
+      return;
+    }
+
+    const timer = setTimeout(
+      () => setRetryTick(tick => tick + 1),
+      Math.max(retryAt - now, 0),
+    );
+    return () => clearTimeout(timer);
+  }, [uid, loaded, isConnected, items, retryTick, sendItem]);
+
+  useEffect(() => {
+    const unsubscribe = NetInfo.addEventListener(state => {
+      const connected = state.isConnected !== false;
+      if (connected && !connectedRef.current) {
+        // Back online: retry failed sends now instead of waiting out the backoff
+        setItems(prev =>
+          prev.map(item =>
+            item.status === OUTBOX_STATUS.FAILED && item.retryable
+              ? {...item, nextAttemptAt: 0}
+              : item,
+          ),
+        );
+      }
+      connectedRef.current = connected;
+      setIsConnected(connected);
+    });
+
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        setRetryTick(tick => tick + 1);
+      }
+    });
+
+    return () => subscription.remove();
+  }, []);
+
+  // uploads: [{ localUri, path, contentType, target }], see applyUploadUrls
+  function enqueueMessage(message, uploads = []) {
+    const id = workspaceRef(workspaceId).collection('messages').doc().id;
+
+    setItems(prev => [
+      ...prev,
+      {
+        id,
+        message,
+        uploads: uploads.map(upload => ({...upload, url: null})),
+        status: OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        retryable: true,
+        nextAttemptAt: 0,
+        queuedAt: Date.now(),
+        error: null,
+      },
+    ]);
+
+    return id;
+  }
+
+  function retryItem(id) {
+    updateItem(id, {
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      retryable: true,
+      nextAttemptAt: 0,
+      error: null,
+    });
+  }
+
+  function discardItem(id) {
+    const item = items.find(outboxItem => outboxItem.id === id);
+    removeItem(id);
+
+    // Clean up files that were uploaded before the message write failed
+    if (item) {
+      uploadedPaths(item).forEach(path => {
+        storage()
+          .ref(path)
+          .delete()
+          .catch(error => {
+            console.error('Error deleting discarded upload:', error);
+          });
+      });
+    }
+  }
+
+  // Stops an upload in progress and drops the message
+  function cancelItem(id) {
+    if (inFlightRef.current.has(id)) {
+      cancelledRef.current.add(id);
+      uploadTasksRef.current.get(id)?.cancel();
+    }
+    discardItem(id);
+  }
+
+  const value = {
+    items,
+    progress,
+    isConnected,
+    enqueueMessage,
+    retryItem,
+    discardItem,
+    cancelItem,
+  };
+
+  return (
+    <OutboxContext.Provider value={value}>{children}</OutboxContext.Provider>
+  );
+}
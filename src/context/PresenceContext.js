@@ -0,0 +1,25 @@
+import React, {createContext, useContext} from 'react';
+import {useLiveDocCache, useRetainedDocs} from './liveDocCache';
+
+const PresenceContext = createContext({
+  docs: {},
+  retain: () => () => {},
+});
+
+// Presence lives in workspaces/{id}/presence/{uid} rather than on the
+// profile, so the heartbeat only wakes the screens that show it
+export function PresenceProvider({children}) {
+  const value = useLiveDocCache('presence');
+
+  return (
+    <PresenceContext.Provider value={value}>
+      {children}
+    </PresenceContext.Provider>
+  );
+}
+
+// Subscribes to the given users' presence for as long as the caller is
+// mounted and returns it keyed by uid
+export function usePresence(userIds) {
+  return useRetainedDocs(useContext(PresenceContext), userIds);
+}
@@ -0,0 +1,25 @@
+import React, {createContext, useContext} from 'react';
+import {useLiveDocCache, useRetainedDocs} from './liveDocCache';
+
+const UserProfilesContext = createContext({
+  docs: {},
+  retain: () => () => {},
+});
+
+// Shared, live cache of user profiles keyed by uid. A profile is null once
+// we know the account no longer exists.
+export function UserProfilesProvider({children}) {
+  const value = useLiveDocCache('users');
+
+  return (
+    <UserProfilesContext.Provider value={value}>
+      {children}
+    </UserProfilesContext.Provider>
+  );
+}
+
+// Subscribes to the given users for as long as the caller is mounted and
+// returns the whole cache, keyed by uid
+export function useUserProfiles(userIds) {
+  return useRetainedDocs(useContext(UserProfilesContext), userIds);
+}
@@ -0,0 +1,93 @@
+import {useState, useEffect, useRef, useCallback} from 'react';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from './AuthContext';
+
+// Listeners outlive their last user briefly, so a screen whose id list
+// changes (or that is reopened) doesn't tear down and rebuild them
+const RELEASE_DELAY_MS = 5000;
+
+// Live cache of documents in one of the open workspace's collections, keyed
+// by id. Each document has one listener no matter how many screens use it,
+// released when the last one unmounts. Released documents stay cached so
+// reopening a screen is instant. A document is null once we know it doesn't
+// exist. AuthContext remounts the providers using this when the user
+// switches workspaces.
+export function useLiveDocCache(collectionName) {
+  const {currentUser, workspaceId} = useAuth();
+  const [docs, setDocs] = useState({});
+  const subscriptionsRef = useRef(new Map());
+
+  const uid = currentUser?.uid;
+
+  useEffect(() => {
+    setDocs({});
+  }, [uid, workspaceId]);
+
+  const retain = useCallback(
+    ids => {
+      ids.forEach(id => {
+        const existing = subscriptionsRef.current.get(id);
+        if (existing) {
+          existing.count += 1;
+          return;
+        }
+
+        const unsubscribe = workspaceRef(workspaceId)
+          .collection(collectionName)
+          .doc(id)
+          .onSnapshot(
+            doc => {
+              setDocs(prev => ({
+                ...prev,
+                [id]: doc.exists ? {id: doc.id, ...doc.data()} : null,
+              }));
+            },
+            error => {
+              console.error(`Error fetching ${collectionName}/${id}:`, error);
+            },
+          );
+        subscriptionsRef.current.set(id, {count: 1, unsubscribe});
+      });
+
+      return () => {
+        ids.forEach(id => {
+          const subscription = subscriptionsRef.current.get(id);
+          if (!subscription) {
+            return;
+          }
+
+          subscription.count -= 1;
+          if (subscription.count > 0) {
+            return;
+          }
+
+          setTimeout(() => {
+            if (subscription.count > 0) {
+              return;
+            }
+            subscription.unsubscribe();
+            subscriptionsRef.current.delete(id);
+          }, RELEASE_DELAY_MS);
+        });
+      };
+    },
+    [workspaceId, collectionName],
+  );
+
+  return {docs, retain};
+}
+
+// Subscribes to the given ids in a cache from useLiveDocCache for as long as
+// the caller is mounted and returns the whole cache, keyed by id
+export function useRetainedDocs({docs, retain}, ids) {
+  const idsKey = [...new Set((ids || []).filter(Boolean))].sort().join(',');
+
+  useEffect(() => {
+    if (!idsKey) {
+      return;
+    }
+    return retain(idsKey.split(','));
+  }, [idsKey, retain]);
+
+  return docs;
+}
@@ -0,0 +1,43 @@
+import {useState, useEffect} from 'react';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+
+// Live invites for a group, newest first. Revoked invites are left out;
+// expired and used up ones stay so staff can see what happened to them.
+// Only group staff and admins can read invites.
+export default function useGroupInvites(groupId) {
+  const {workspaceId} = useAuth();
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!groupId) {
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = workspaceRef(workspaceId)
+      .collection('groups')
+      .doc(groupId)
+      .collection('invites')
+      .orderBy('createdAt', 'desc')
+      .onSnapshot(
+        snapshot => {
+          setInvites(
+            snapshot.docs
+              .map(doc => ({code: doc.id, ...doc.data()}))
+              .filter(invite => !invite.revoked),
+          );
+          setLoading(false);
+        },
+        error => {
+          console.error('Error fetching invites:', error);
+          setLoading(false);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId, groupId]);
+
+  return {invites, loading};
+}
@@ -0,0 +1,9 @@
+import {useUserProfiles} from '../context/UserProfilesContext';
+
+// Live profiles of the given users, from the shared profile cache. Users
+// whose profile hasn't loaded yet, or no longer exists, are left out.
+export default function useGroupMembers(memberIds) {
+  const profiles = useUserProfiles(memberIds);
+
+  return (memberIds || []).map(memberId => profiles[memberId]).filter(Boolean);
+}
@@ -0,0 +1,71 @@
+import {useState, useEffect} from 'react';
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+
+// Each member's last-read marker lives in groups/{groupId}/reads/{userId}.
+// userId is duplicated into the document so the Dashboard can query all of
+// a user's markers with a collection group query.
+export function markGroupRead(workspaceId, groupId, userId) {
+  return workspaceRef(workspaceId)
+    .collection('groups')
+    .doc(groupId)
+    .collection('reads')
+    .doc(userId)
+    .set(
+      {
+        userId,
+        lastReadAt: firestore.FieldValue.serverTimestamp(),
+      },
+      {merge: true},
+    );
+}
+
+// A marker we just wrote reads back as null until the server confirms it
+export function readMarkerFromDoc(doc) {
+  return doc.data().lastReadAt || firestore.Timestamp.now();
+}
+
+export function isAfter(timestamp, marker) {
+  if (!marker) {
+    return true;
+  }
+  // Pending server timestamps are null locally and always the newest
+  if (!timestamp?.toMillis) {
+    return true;
+  }
+  return timestamp.toMillis() > marker.toMillis();
+}
+
+// Live map of userId -> lastReadAt for every member of a group
+export default function useGroupReads(groupId) {
+  const {workspaceId} = useAuth();
+  const [reads, setReads] = useState({});
+
+  useEffect(() => {
+    if (!groupId) {
+      return;
+    }
+
+    const unsubscribe = workspaceRef(workspaceId)
+      .collection('groups')
+      .doc(groupId)
+      .collection('reads')
+      .onSnapshot(
+        snapshot => {
+          const markers = {};
+          snapshot.docs.forEach(doc => {
+            markers[doc.id] = readMarkerFromDoc(doc);
+          });
+          setReads(markers);
+        },
+        error => {
+          console.error('Error fetching read markers:', error);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId, groupId]);
+
+  return reads;
+}
@@ -0,0 +1,130 @@
+import {useState, useEffect} from 'react';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+import {useUserProfiles} from '../context/UserProfilesContext';
+import {
+  otherMemberId,
+  withDirectProfiles,
+} from '../screens/Direct/directMessages';
+
+// Live list of the groups, channels and direct conversations the user
+// belongs to, with direct conversations named after the other person
+export default function useGroups(userId) {
+  const {workspaceId} = useAuth();
+  const [rawGroups, setRawGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+
+    const unsubscribe = workspaceRef(workspaceId)
+      .collection('groups')
+      .where('members', 'array-contains', userId)
+      .onSnapshot(
+        snapshot => {
+          setRawGroups(
+            snapshot.docs.map(doc => ({
+              id: doc.id,
+              ...doc.data(),
+            })),
+          );
+          setLoading(false);
+        },
+        error => {
+          console.error('Error fetching groups:', error);
+          setLoading(false);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId, userId]);
+
+  const profiles = useUserProfiles(
+    rawGroups
+      .filter(group => group.isDirect)
+      .map(group => otherMemberId(group, userId)),
+  );
+
+  return {
+    groups: withDirectProfiles(rawGroups, userId, profiles),
+    loading,
+  };
+}
+
+// A single group, live. `group` is null once it's gone or the user is no
+// longer a member.
+export function useGroup(groupId, userId) {
+  const {workspaceId} = useAuth();
+  const [groupData, setGroupData] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!groupId) {
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = workspaceRef(workspaceId)
+      .collection('groups')
+      .doc(groupId)
+      .onSnapshot(
+        doc => {
+          setGroupData(doc.exists ? {id: doc.id, ...doc.data()} : null);
+          setLoading(false);
+        },
+        error => {
+          // Reading a group the user has been removed from is denied
+          console.error('Error fetching group:', error);
+          setGroupData(null);
+          setLoading(false);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId, groupId]);
+
+  const isMember = !!groupData?.members?.includes(userId);
+  const profiles = useUserProfiles(
+    isMember && groupData.isDirect ? [otherMemberId(groupData, userId)] : [],
+  );
+
+  return {
+    group: isMember
+      ? withDirectProfiles([groupData], userId, profiles)[0]
+      : null,
+    loading,
+  };
+}
+
+// Groups anyone in the workspace can find and ask to join, by name
+export function useDiscoverableGroups() {
+  const {workspaceId} = useAuth();
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const unsubscribe = workspaceRef(workspaceId)
+      .collection('groups')
+      .where('discoverable', '==', true)
+      .onSnapshot(
+        snapshot => {
+          setGroups(
+            snapshot.docs
+              .map(doc => ({id: doc.id, ...doc.data()}))
+              .sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+          );
+          setLoading(false);
+        },
+        error => {
+          console.error('Error fetching discoverable groups:', error);
+          setLoading(false);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId]);
+
+  return {groups, loading};
+}
@@ -0,0 +1,65 @@
+import {useEffect, useRef} from 'react';
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+
+// Calls onMessage for each message that arrives in the given groups while
+// mounted. Messages that already existed, and our own, are ignored.
+export default function useIncomingMessages(groups, userId, onMessage) {
+  const {workspaceId} = useAuth();
+  const onMessageRef = useRef(onMessage);
+  onMessageRef.current = onMessage;
+
+  const groupIdsKey = groups.map(group => group.id).join(',');
+
+  useEffect(() => {
+    if (!userId || !groupIdsKey) {
+      return;
+    }
+
+    const unsubscribers = groupIdsKey.split(',').map(groupId => {
+      const subscribedAt = firestore.Timestamp.now();
+      let initialSnapshot = true;
+
+      return workspaceRef(workspaceId)
+        .collection('messages')
+        .where('groupId', '==', groupId)
+        .where('type', '==', 'message')
+        .orderBy('createdAt', 'desc')
+        .limit(1)
+        .onSnapshot(
+          snapshot => {
+            if (initialSnapshot) {
+              initialSnapshot = false;
+              return;
+            }
+
+            snapshot.docChanges().forEach(change => {
+              if (change.type !== 'added') {
+                return;
+              }
+
+              const message = {id: change.doc.id, ...change.doc.data()};
+              // Deleting the newest message brings an older one into the window
+              if (
+                message.createdAt &&
+                message.createdAt.toMillis() < subscribedAt.toMillis()
+              ) {
+                return;
+              }
+              if (message.senderId === userId) {
+                return;
+              }
+
+              onMessageRef.current(message);
+            });
+          },
+          error => {
+            console.error('Error listening for new messages:', error);
+          },
+        );
+    });
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [workspaceId, userId, groupIdsKey]);
+}
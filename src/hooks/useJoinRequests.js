@@ -0,0 +1,71 @@
+import {useState, useEffect} from 'react';
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+
+// Live queue of requests to join a group, oldest first. Only group staff can
+// read it, so pass enabled = false for anyone else.
+export default function useJoinRequests(groupId, enabled) {
+  const {workspaceId} = useAuth();
+  const [requests, setRequests] = useState([]);
+
+  useEffect(() => {
+    if (!groupId || !enabled) {
+      setRequests([]);
+      return;
+    }
+
+    const unsubscribe = workspaceRef(workspaceId)
+      .collection('groups')
+      .doc(groupId)
+      .collection('joinRequests')
+      .orderBy('createdAt', 'asc')
+      .onSnapshot(
+        snapshot => {
+          setRequests(snapshot.docs.map(doc => ({id: doc.id, ...doc.data()})));
+        },
+        error => {
+          console.error('Error fetching join requests:', error);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId, groupId, enabled]);
+
+  return requests;
+}
+
+// Ids of the groups the user has asked to join and is still waiting on
+export function usePendingJoinRequests(userId) {
+  const {workspaceId} = useAuth();
+  const [groupIds, setGroupIds] = useState([]);
+
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+
+    const unsubscribe = firestore()
+      .collectionGroup('joinRequests')
+      .where('userId', '==', userId)
+      .onSnapshot(
+        snapshot => {
+          // The query spans every workspace the user is in
+          setGroupIds(
+            snapshot.docs
+              .filter(doc =>
+                doc.ref.path.startsWith(`workspaces/${workspaceId}/`),
+              )
+              .map(doc => doc.ref.parent.parent.id),
+          );
+        },
+        error => {
+          console.error('Error fetching join requests:', error);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId, userId]);
+
+  return groupIds;
+}
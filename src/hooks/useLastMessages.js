@@ -0,0 +1,44 @@
+import {useState, useEffect} from 'react';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+import {ACTIVITY_MESSAGE_TYPES} from './usePaginatedMessages';
+
+// Live newest message per group: { [groupId]: message | null }.
+// Groups that haven't reported yet are missing from the map.
+export default function useLastMessages(groups) {
+  const {workspaceId} = useAuth();
+  const [lastMessages, setLastMessages] = useState({});
+
+  const groupIdsKey = groups.map(group => group.id).join(',');
+
+  useEffect(() => {
+    if (!groupIdsKey) {
+      return;
+    }
+
+    const unsubscribers = groupIdsKey.split(',').map(groupId =>
+      workspaceRef(workspaceId)
+        .collection('messages')
+        .where('groupId', '==', groupId)
+        .where('type', 'in', ACTIVITY_MESSAGE_TYPES)
+        .orderBy('createdAt', 'desc')
+        .limit(1)
+        .onSnapshot(
+          snapshot => {
+            const doc = snapshot.docs[0];
+            setLastMessages(prev => ({
+              ...prev,
+              [groupId]: doc ? {id: doc.id, ...doc.data()} : null,
+            }));
+          },
+          error => {
+            console.error('Error fetching last message:', error);
+          },
+        ),
+    );
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [workspaceId, groupIdsKey]);
+
+  return lastMessages;
+}
@@ -0,0 +1,54 @@
+import {useState, useEffect} from 'react';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+
+const MENTIONS_LIMIT = 50;
+
+export function isUnreadMention(message, lastReadAt) {
+  if (!lastReadAt?.toMillis) {
+    return true;
+  }
+  if (!message.createdAt?.toMillis) {
+    return false;
+  }
+  return message.createdAt.toMillis() > lastReadAt.toMillis();
+}
+
+// Most recent messages across the workspace's groups that mention the
+// given user
+export default function useMentions(userId) {
+  const {workspaceId} = useAuth();
+  const [mentions, setMentions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+
+    const unsubscribe = workspaceRef(workspaceId)
+      .collection('messages')
+      .where('mentionIds', 'array-contains', userId)
+      .orderBy('createdAt', 'desc')
+      .limit(MENTIONS_LIMIT)
+      .onSnapshot(
+        snapshot => {
+          setMentions(
+            snapshot.docs.map(doc => ({
+              id: doc.id,
+              ...doc.data(),
+            })),
+          );
+          setLoading(false);
+        },
+        error => {
+          console.error('Error fetching mentions:', error);
+          setLoading(false);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId, userId]);
+
+  return {mentions, loading};
+}
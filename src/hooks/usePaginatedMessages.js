@@ -0,0 +1,142 @@
+import {useState, useEffect, useRef, useCallback, useMemo} from 'react';
+import {Alert} from 'react-native';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+import {livePageBounds, mergePages} from '../utils/messagePages';
+
+export const MESSAGE_PAGE_SIZE = 50;
+
+// Message types shown in the main group timeline. Thread replies
+// (type 'reply') are only shown in their ThreadScreen; 'system' messages
+// record membership changes.
+export const TIMELINE_MESSAGE_TYPES = ['message', 'system'];
+
+// Timeline types that count towards unread badges and chat-list previews.
+// Membership changes show in the timeline but aren't conversation activity.
+export const ACTIVITY_MESSAGE_TYPES = ['message'];
+
+function groupMessagesQuery(workspaceId, groupId) {
+  return workspaceRef(workspaceId)
+    .collection('messages')
+    .where('groupId', '==', groupId)
+    .where('type', 'in', TIMELINE_MESSAGE_TYPES)
+    .orderBy('createdAt', 'desc');
+}
+
+// Messages are loaded in pages of MESSAGE_PAGE_SIZE, newest first. Each page
+// is fetched once to find its boundary document and then kept live with a
+// listener bounded to that range, so pages never overlap and edits to older
+// messages still come through. The newest page has no upper bound and grows
+// as new messages arrive.
+export default function usePaginatedMessages(groupId) {
+  const {workspaceId} = useAuth();
+  const [pages, setPages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [initialLoading, setInitialLoading] = useState(true);
+  const cursorRef = useRef(null);
+  const loadingRef = useRef(false);
+  const unsubscribersRef = useRef([]);
+  const generationRef = useRef(0);
+
+  const loadPage = useCallback(
+    async (pageIndex, cursor) => {
+      const generation = generationRef.current;
+
+      let pageQuery = groupMessagesQuery(workspaceId, groupId);
+      if (cursor) {
+        pageQuery = pageQuery.startAfter(cursor);
+      }
+      const snapshot = await pageQuery.limit(MESSAGE_PAGE_SIZE).get();
+
+      if (generation !== generationRef.current) {
+        return;
+      }
+
+      const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      setHasMore(snapshot.docs.length === MESSAGE_PAGE_SIZE);
+
+      const bounds = livePageBounds(cursor, lastDoc);
+      if (!bounds) {
+        return;
+      }
+
+      cursorRef.current = lastDoc || null;
+
+      let liveQuery = groupMessagesQuery(workspaceId, groupId);
+      if (bounds.startAfter) {
+        liveQuery = liveQuery.startAfter(bounds.startAfter);
+      }
+      if (bounds.endAt) {
+        liveQuery = liveQuery.endAt(bounds.endAt);
+      }
+
+      const unsubscribe = liveQuery.onSnapshot(
+        pageSnapshot => {
+          const pageMessages = pageSnapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data(),
+          }));
+          setPages(prev => {
+            const next = [...prev];
+            next[pageIndex] = pageMessages;
+            return next;
+          });
+        },
+        error => {
+          console.error('Error fetching messages:', error);
+          Alert.alert('Error', error.message);
+        },
+      );
+      unsubscribersRef.current.push(unsubscribe);
+    },
+    [workspaceId, groupId],
+  );
+
+  useEffect(() => {
+    if (!groupId) {
+      return;
+    }
+
+    cursorRef.current = null;
+    setPages([]);
+    setHasMore(false);
+    setInitialLoading(true);
+
+    loadPage(0, null)
+      .catch(error => {
+        console.error('Error fetching messages:', error);
+        Alert.alert('Error', error.message);
+      })
+      .finally(() => setInitialLoading(false));
+
+    return () => {
+      // Invalidate any page fetch still in flight for this group
+      generationRef.current += 1;
+      unsubscribersRef.current.forEach(unsubscribe => unsubscribe());
+      unsubscribersRef.current = [];
+    };
+  }, [groupId, loadPage]);
+
+  const loadOlder = useCallback(async () => {
+    if (!hasMore || loadingRef.current || !cursorRef.current) {
+      return;
+    }
+
+    loadingRef.current = true;
+    setLoadingOlder(true);
+    try {
+      await loadPage(unsubscribersRef.current.length, cursorRef.current);
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+      Alert.alert('Error', 'Failed to load older messages');
+    } finally {
+      loadingRef.current = false;
+      setLoadingOlder(false);
+    }
+  }, [hasMore, loadPage]);
+
+  const messages = useMemo(() => mergePages(pages), [pages]);
+
+  return {messages, hasMore, loadingOlder, initialLoading, loadOlder};
+}
@@ -0,0 +1,47 @@
+import {useState, useEffect} from 'react';
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+
+// Pins are private, so they live with the user's other settings rather than
+// on the public profile
+const conversationsDoc = (workspaceId, uid) =>
+  workspaceRef(workspaceId)
+    .collection('users')
+    .doc(uid)
+    .collection('settings')
+    .doc('conversations');
+
+export default function usePinnedConversations(userId) {
+  const {workspaceId} = useAuth();
+  const [pinnedIds, setPinnedIds] = useState([]);
+
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+
+    const unsubscribe = conversationsDoc(workspaceId, userId).onSnapshot(
+      doc => {
+        setPinnedIds((doc.exists && doc.data().pinnedGroupIds) || []);
+      },
+      error => {
+        console.error('Error fetching pinned conversations:', error);
+      },
+    );
+
+    return unsubscribe;
+  }, [workspaceId, userId]);
+
+  const setPinned = (groupId, pinned) =>
+    conversationsDoc(workspaceId, userId).set(
+      {
+        pinnedGroupIds: pinned
+          ? firestore.FieldValue.arrayUnion(groupId)
+          : firestore.FieldValue.arrayRemove(groupId),
+      },
+      {merge: true},
+    );
+
+  return {pinnedIds, setPinned};
+}
@@ -0,0 +1,75 @@
+import {useEffect} from 'react';
+import {AppState} from 'react-native';
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../config/firebase';
+import {
+  PRESENCE_STATES,
+  PRESENCE_HEARTBEAT_MS,
+  roundedLastSeenMillis,
+} from '../utils/presence';
+
+export function setPresence(workspaceId, userId, state, hideLastSeen = false) {
+  return workspaceRef(workspaceId)
+    .collection('presence')
+    .doc(userId)
+    .set({
+      state,
+      updatedAt: hideLastSeen
+        ? firestore.Timestamp.fromMillis(roundedLastSeenMillis())
+        : firestore.FieldValue.serverTimestamp(),
+      lastSeenHidden: !!hideLastSeen,
+    });
+}
+
+// Publishes presence/{userId} in the open workspace from the app's
+// foreground state: online (refreshed on a heartbeat) while active, away
+// once backgrounded. Going offline on logout is handled by AuthContext.
+// Changing hideLastSeen republishes straight away.
+export default function usePresenceTracking(workspaceId, userId, hideLastSeen) {
+  useEffect(() => {
+    if (!workspaceId || !userId) {
+      return;
+    }
+
+    let heartbeat = null;
+
+    const publish = state => {
+      setPresence(workspaceId, userId, state, hideLastSeen).catch(error => {
+        console.error('Error updating presence:', error);
+      });
+    };
+
+    const goOnline = () => {
+      publish(PRESENCE_STATES.ONLINE);
+      clearInterval(heartbeat);
+      heartbeat = setInterval(
+        () => publish(PRESENCE_STATES.ONLINE),
+        PRESENCE_HEARTBEAT_MS,
+      );
+    };
+
+    const goAway = () => {
+      clearInterval(heartbeat);
+      heartbeat = null;
+      publish(PRESENCE_STATES.AWAY);
+    };
+
+    if (AppState.currentState === 'active') {
+      goOnline();
+    }
+
+    // 'inactive' is transient on iOS (app switcher, control centre)
+    const subscription = AppState.addEventListener('change', nextState => {
+      if (nextState === 'active') {
+        goOnline();
+      } else if (nextState === 'background') {
+        goAway();
+      }
+    });
+
+    return () => {
+      subscription.remove();
+      clearInterval(heartbeat);
+    };
+  }, [workspaceId, userId, hideLastSeen]);
+}
@@ -0,0 +1,19 @@
+import {useMemo} from 'react';
+import {useLiveDocCache, useRetainedDocs} from '../context/liveDocCache';
+import {missingQuotedIds} from '../utils/replyQuotes';
+
+// Live copies of the messages quoted by the given ones, keyed by id. Quotes
+// of loaded messages use those; only originals older than what's loaded get
+// a listener of their own.
+export default function useQuotedMessages(messages) {
+  const cache = useLiveDocCache('messages');
+  const fetched = useRetainedDocs(cache, missingQuotedIds(messages));
+
+  return useMemo(() => {
+    const originals = {...fetched};
+    messages.forEach(message => {
+      originals[message.id] = message;
+    });
+    return originals;
+  }, [messages, fetched]);
+}
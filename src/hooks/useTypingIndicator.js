@@ -0,0 +1,138 @@
+import {useState, useEffect, useRef, useCallback} from 'react';
+import {AppState} from 'react-native';
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+import {
+  activeTypingNames,
+  shouldPublishTyping,
+  stampTypingEntries,
+} from '../utils/typing';
+
+const EXPIRY_CHECK_INTERVAL = 1000;
+
+// Typing state lives in groups/{groupId}/typing/{userId}. Entries expire
+// TYPING_TTL after this device last saw them change, so a client that dies
+// mid-sentence doesn't leave its indicator up forever. Going by when the
+// snapshot arrived rather than the typist's clock keeps skewed devices from
+// hiding or pinning indicators.
+export default function useTypingIndicator(groupId, userId, userName) {
+  const {workspaceId} = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [now, setNow] = useState(Date.now());
+  const lastPublishedRef = useRef(0);
+  // userId -> { updatedAt, seenAt } for the version of each entry we last saw
+  const seenRef = useRef({});
+
+  useEffect(() => {
+    if (!groupId) {
+      return;
+    }
+    seenRef.current = {};
+
+    const unsubscribe = workspaceRef(workspaceId)
+      .collection('groups')
+      .doc(groupId)
+      .collection('typing')
+      .onSnapshot(
+        snapshot => {
+          const receivedAt = Date.now();
+          const {entries: stamped, seen} = stampTypingEntries(
+            snapshot.docs.map(doc => ({id: doc.id, ...doc.data()})),
+            seenRef.current,
+            receivedAt,
+          );
+          setEntries(stamped);
+          seenRef.current = seen;
+          setNow(receivedAt);
+        },
+        error => {
+          console.error('Error fetching typing state:', error);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId, groupId]);
+
+  const typingNames = activeTypingNames(entries, userId, now);
+  const someoneTyping = typingNames.length > 0;
+
+  // Re-check expiry while someone is shown as typing, since a stale entry
+  // produces no further snapshots
+  useEffect(() => {
+    if (!someoneTyping) {
+      return;
+    }
+
+    const interval = setInterval(
+      () => setNow(Date.now()),
+      EXPIRY_CHECK_INTERVAL,
+    );
+    return () => clearInterval(interval);
+  }, [someoneTyping]);
+
+  const clearTyping = useCallback(() => {
+    if (!groupId || !userId || !lastPublishedRef.current) {
+      return;
+    }
+
+    lastPublishedRef.current = 0;
+    workspaceRef(workspaceId)
+      .collection('groups')
+      .doc(groupId)
+      .collection('typing')
+      .doc(userId)
+      .delete()
+      .catch(error => {
+        console.error('Error clearing typing state:', error);
+      });
+  }, [workspaceId, groupId, userId]);
+
+  const notifyTyping = useCallback(
+    text => {
+      if (!groupId || !userId) {
+        return;
+      }
+
+      if (!text.trim()) {
+        clearTyping();
+        return;
+      }
+
+      const timestamp = Date.now();
+      if (!shouldPublishTyping(lastPublishedRef.current, timestamp)) {
+        return;
+      }
+
+      lastPublishedRef.current = timestamp;
+      workspaceRef(workspaceId)
+        .collection('groups')
+        .doc(groupId)
+        .collection('typing')
+        .doc(userId)
+        .set({
+          name: userName || 'Someone',
+          updatedAt: firestore.FieldValue.serverTimestamp(),
+        })
+        .catch(error => {
+          console.error('Error publishing typing state:', error);
+        });
+    },
+    [workspaceId, groupId, userId, userName, clearTyping],
+  );
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', state => {
+      if (state !== 'active') {
+        clearTyping();
+      }
+    });
+
+    return () => {
+      subscription.remove();
+      clearTyping();
+    };
+  }, [clearTyping]);
+
+  return {typingNames, notifyTyping, clearTyping};
+}
@@ -0,0 +1,137 @@
+import {useState, useEffect} from 'react';
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+import {readMarkerFromDoc} from './useGroupReads';
+import {ACTIVITY_MESSAGE_TYPES} from './usePaginatedMessages';
+import {UNREAD_COUNT_LIMIT, countUnread} from '../utils/unreadCounts';
+
+const NONE = {};
+
+// Live unread counts per group for the current user, based on the user's
+// read markers across all groups: { [groupId]: { total, mentions } }
+export default function useUnreadCounts(groups, userId) {
+  const {workspaceId} = useAuth();
+  // Markers and counts remember which workspace and user they're for, so
+  // nothing from the previous ones is shown or used to start listeners
+  const scope = `${workspaceId}/${userId}`;
+  const [loadedMarkers, setLoadedMarkers] = useState({scope: null});
+  const [loadedCounts, setLoadedCounts] = useState({scope: null});
+  const markersLoaded = loadedMarkers.scope === scope;
+  const markers = markersLoaded ? loadedMarkers.markers : NONE;
+
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+
+    const unsubscribe = firestore()
+      .collectionGroup('reads')
+      .where('userId', '==', userId)
+      .onSnapshot(
+        snapshot => {
+          // The query spans every workspace the user is in, and direct
+          // conversation ids repeat between workspaces
+          const nextMarkers = {};
+          snapshot.docs
+            .filter(doc =>
+              doc.ref.path.startsWith(`workspaces/${workspaceId}/`),
+            )
+            .forEach(doc => {
+              nextMarkers[doc.ref.parent.parent.id] = readMarkerFromDoc(doc);
+            });
+          setLoadedMarkers({
+            scope: `${workspaceId}/${userId}`,
+            markers: nextMarkers,
+          });
+        },
+        error => {
+          console.error('Error fetching read markers:', error);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId, userId]);
+
+  // One listener per group, keyed by group id and remembering the marker it
+  // was started from, so a marker change only restarts that group's listener
+  const [listeners] = useState(() => new Map());
+
+  // Stop them all when the workspace or user changes, and on unmount
+  useEffect(
+    () => () => {
+      listeners.forEach(listener => listener.unsubscribe());
+      listeners.clear();
+    },
+    [listeners, workspaceId, userId],
+  );
+
+  const groupIdsKey = groups.map(group => group.id).join(',');
+
+  useEffect(() => {
+    if (!userId || !markersLoaded) {
+      return;
+    }
+
+    const groupIds = groupIdsKey ? groupIdsKey.split(',') : [];
+    listeners.forEach((listener, groupId) => {
+      if (!groupIds.includes(groupId)) {
+        listener.unsubscribe();
+        listeners.delete(groupId);
+      }
+    });
+
+    groupIds.forEach(groupId => {
+      const marker = markers[groupId] || null;
+      const markerMillis = marker ? marker.toMillis() : null;
+      const existing = listeners.get(groupId);
+      if (existing && existing.markerMillis === markerMillis) {
+        return;
+      }
+      if (existing) {
+        existing.unsubscribe();
+      }
+
+      let query = workspaceRef(workspaceId)
+        .collection('messages')
+        .where('groupId', '==', groupId)
+        .where('type', 'in', ACTIVITY_MESSAGE_TYPES);
+      if (marker) {
+        query = query.where('createdAt', '>', marker);
+      }
+
+      const unsubscribe = query
+        .orderBy('createdAt', 'desc')
+        .limit(UNREAD_COUNT_LIMIT + 1)
+        .onSnapshot(
+          snapshot => {
+            const unread = countUnread(
+              snapshot.docs.map(doc => doc.data()),
+              userId,
+            );
+            setLoadedCounts(prev => ({
+              scope,
+              counts: {
+                ...(prev.scope === scope ? prev.counts : NONE),
+                [groupId]: unread,
+              },
+            }));
+          },
+          error => {
+            console.error('Error fetching unread count:', error);
+          },
+        );
+      listeners.set(groupId, {markerMillis, unsubscribe});
+    });
+  }, [
+    listeners,
+    scope,
+    workspaceId,
+    userId,
+    markersLoaded,
+    groupIdsKey,
+    markers,
+  ]);
+
+  return loadedCounts.scope === scope ? loadedCounts.counts : NONE;
+}
@@ -0,0 +1,53 @@
+import {useState, useEffect} from 'react';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+
+// Firestore has no substring search, so the directory is loaded and
+// filtered on the device. Company directories are small enough for this.
+const DIRECTORY_LIMIT = 500;
+
+export function searchUsers(users, query) {
+  const normalized = query.trim().toLowerCase().replace(/^@/, '');
+  if (!normalized) {
+    return users;
+  }
+
+  return users.filter(
+    user =>
+      (user.username || '').toLowerCase().includes(normalized) ||
+      (user.name || '').toLowerCase().includes(normalized),
+  );
+}
+
+// Everyone in the open workspace
+export default function useUserDirectory() {
+  const {workspaceId} = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const unsubscribe = workspaceRef(workspaceId)
+      .collection('users')
+      .orderBy('name')
+      .limit(DIRECTORY_LIMIT)
+      .onSnapshot(
+        snapshot => {
+          setUsers(
+            snapshot.docs.map(doc => ({
+              id: doc.id,
+              ...doc.data(),
+            })),
+          );
+          setLoading(false);
+        },
+        error => {
+          console.error('Error fetching user directory:', error);
+          setLoading(false);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId]);
+
+  return {users, loading};
+}
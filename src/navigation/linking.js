@@ -0,0 +1,50 @@
+import {Linking} from 'react-native';
+
+export const LINK_PREFIXES = ['companychat://'];
+
+// Links can open the app before anyone has signed in, when the chat routes
+// don't exist yet. Those are held back and replayed by flushPendingURL once
+// `isSignedIn()` is true.
+export function createLinking(config, isSignedIn) {
+  let pendingUrl = null;
+  let listener = null;
+
+  const holdUntilSignedIn = url => {
+    if (!url || isSignedIn()) {
+      return url;
+    }
+    pendingUrl = url;
+    return null;
+  };
+
+  return {
+    prefixes: LINK_PREFIXES,
+    config,
+    async getInitialURL() {
+      return holdUntilSignedIn(await Linking.getInitialURL());
+    },
+    subscribe(onReceiveURL) {
+      listener = onReceiveURL;
+      const subscription = Linking.addEventListener('url', ({url}) => {
+        const readyUrl = holdUntilSignedIn(url);
+        if (readyUrl) {
+          onReceiveURL(readyUrl);
+        }
+      });
+
+      return () => {
+        listener = null;
+        subscription.remove();
+      };
+    },
+    flushPendingURL() {
+      if (!pendingUrl || !listener || !isSignedIn()) {
+        return;
+      }
+
+      const url = pendingUrl;
+      pendingUrl = null;
+      listener(url);
+    },
+  };
+}
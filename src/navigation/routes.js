@@ -0,0 +1,313 @@
+import React, {useEffect, useCallback} from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import {workspaceRef} from '../config/firebase';
+import {useAuth} from '../context/AuthContext';
+import useGroups, {useGroup} from '../hooks/useGroups';
+import ChatRoomScreen from '../screens/Chat/ChatRoomScreen';
+import ThreadScreen from '../screens/Chat/ThreadScreen';
+import GroupInfoScreen from '../screens/Groups/GroupInfoScreen';
+import GroupInvitesScreen from '../screens/Groups/GroupInvitesScreen';
+import JoinGroupScreen from '../screens/Groups/JoinGroupScreen';
+import SearchScreen from '../screens/Search/SearchScreen';
+import MentionsScreen from '../screens/Mentions/MentionsScreen';
+import PeopleScreen from '../screens/Direct/PeopleScreen';
+import UserManagementScreen from '../screens/Admin/UserManagementScreen';
+import ProfileScreen from '../screens/Profile/ProfileScreen';
+import SettingsScreen from '../screens/Settings/SettingsScreen';
+import ChangePasswordScreen from '../screens/Settings/ChangePasswordScreen';
+
+// The screens themselves take plain callbacks; these adapt them to the
+// stack, loading whatever the route params only refer to by id.
+
+// Route params have to stay serializable, so only what's needed to find the
+// message again is passed along
+const focusParams = message => ({
+  id: message.id,
+  type: message.type,
+  threadId: message.threadId || null,
+});
+
+function GroupGate({groupId, navigation, children}) {
+  const {currentUser} = useAuth();
+  const {group, loading} = useGroup(groupId, currentUser?.uid);
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  if (!group) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.unavailableTitle}>Conversation unavailable</Text>
+        <Text style={styles.unavailableText}>
+          It may have been deleted, or you're no longer a member.
+        </Text>
+        <TouchableOpacity
+          style={styles.button}
+          onPress={() => navigation.goBack()}>
+          <Text style={styles.buttonText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return children(group);
+}
+
+export function ChatRoomRoute({navigation, route}) {
+  const {groupId, focusMessage} = route.params;
+
+  const openThread = useCallback(
+    message => navigation.navigate('Thread', {groupId, messageId: message.id}),
+    [navigation, groupId],
+  );
+
+  return (
+    <GroupGate groupId={groupId} navigation={navigation}>
+      {group => (
+        <ChatRoomScreen
+          group={group}
+          initialFocusMessage={focusMessage}
+          onBack={() => navigation.goBack()}
+          onOpenThread={openThread}
+          onOpenGroupInfo={() => navigation.navigate('GroupInfo', {groupId})}
+          onOpenSearch={() => navigation.navigate('Search', {groupId})}
+        />
+      )}
+    </GroupGate>
+  );
+}
+
+export function ThreadRoute({navigation, route}) {
+  const {groupId, messageId} = route.params;
+
+  return (
+    <GroupGate groupId={groupId} navigation={navigation}>
+      {group => (
+        <ThreadScreen
+          group={group}
+          parentMessageId={messageId}
+          onBack={() => navigation.goBack()}
+        />
+      )}
+    </GroupGate>
+  );
+}
+
+export function GroupInfoRoute({navigation, route}) {
+  return (
+    <GroupGate groupId={route.params.groupId} navigation={navigation}>
+      {group => (
+        <GroupInfoScreen
+          group={group}
+          onBack={() => navigation.goBack()}
+          onLeft={() => navigation.popToTop()}
+          onOpenInvites={() =>
+            navigation.navigate('GroupInvites', {groupId: group.id})
+          }
+        />
+      )}
+    </GroupGate>
+  );
+}
+
+export function GroupInvitesRoute({navigation, route}) {
+  return (
+    <GroupGate groupId={route.params.groupId} navigation={navigation}>
+      {group => (
+        <GroupInvitesScreen group={group} onBack={() => navigation.goBack()} />
+      )}
+    </GroupGate>
+  );
+}
+
+// companychat://join/<code>?workspace=<id> opens this with the code filled in
+export function JoinGroupRoute({navigation, route}) {
+  const {currentUser} = useAuth();
+  const {groups, loading} = useGroups(currentUser?.uid);
+
+  // Redeeming needs to know which groups the user is already in
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  return (
+    <JoinGroupScreen
+      groups={groups}
+      initialCode={route.params?.code}
+      linkWorkspaceId={route.params?.workspace}
+      onBack={() => navigation.goBack()}
+      onJoined={groupId => navigation.replace('ChatRoom', {groupId})}
+    />
+  );
+}
+
+export function SearchRoute({navigation, route}) {
+  const {currentUser} = useAuth();
+  const {groups} = useGroups(currentUser?.uid);
+  const groupId = route.params?.groupId;
+  const scopeGroup = groupId
+    ? groups.find(group => group.id === groupId)
+    : undefined;
+
+  return (
+    <SearchScreen
+      groups={groups}
+      scopeGroup={scopeGroup}
+      onBack={() => navigation.goBack()}
+      onOpenResult={message =>
+        navigation.navigate('ChatRoom', {
+          groupId: message.groupId,
+          focusMessage: focusParams(message),
+        })
+      }
+    />
+  );
+}
+
+export function MentionsRoute({navigation}) {
+  const {currentUser} = useAuth();
+  const {groups} = useGroups(currentUser?.uid);
+
+  return (
+    <MentionsScreen
+      groups={groups}
+      onBack={() => navigation.goBack()}
+      onOpenGroup={group =>
+        navigation.navigate('ChatRoom', {groupId: group.id})
+      }
+    />
+  );
+}
+
+export function PeopleRoute({navigation}) {
+  return (
+    <PeopleScreen
+      onBack={() => navigation.goBack()}
+      onOpenConversation={groupId => navigation.replace('ChatRoom', {groupId})}
+    />
+  );
+}
+
+export function UserManagementRoute({navigation}) {
+  return <UserManagementScreen onBack={() => navigation.goBack()} />;
+}
+
+export function ProfileRoute({navigation}) {
+  return <ProfileScreen onBack={() => navigation.goBack()} />;
+}
+
+export function SettingsRoute({navigation}) {
+  return (
+    <SettingsScreen
+      onBack={() => navigation.goBack()}
+      onEditProfile={() => navigation.navigate('Profile')}
+      onChangePassword={() => navigation.navigate('ChangePassword')}
+    />
+  );
+}
+
+export function ChangePasswordRoute({navigation}) {
+  return <ChangePasswordScreen onBack={() => navigation.goBack()} />;
+}
+
+// companychat://message/<id> only knows the message, so look up its
+// conversation and swap this route for it
+export function MessageLinkRoute({navigation, route}) {
+  const {messageId} = route.params;
+  const {workspaceId} = useAuth();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    workspaceRef(workspaceId)
+      .collection('messages')
+      .doc(messageId)
+      .get()
+      .then(doc => {
+        if (cancelled) {
+          return;
+        }
+        if (!doc.exists) {
+          Alert.alert(
+            'Message Not Found',
+            'This message may have been deleted.',
+          );
+          navigation.goBack();
+          return;
+        }
+
+        const message = {id: doc.id, ...doc.data()};
+        navigation.replace('ChatRoom', {
+          groupId: message.groupId,
+          focusMessage: focusParams(message),
+        });
+      })
+      .catch(error => {
+        if (cancelled) {
+          return;
+        }
+        console.error('Error opening message link:', error);
+        Alert.alert('Error', 'Failed to open message');
+        navigation.goBack();
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [workspaceId, messageId, navigation]);
+
+  return (
+    <View style={styles.centered}>
+      <ActivityIndicator size="large" color="#007AFF" />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+    padding: 30,
+  },
+  unavailableTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  unavailableText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 30,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
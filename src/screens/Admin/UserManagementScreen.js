@@ -0,0 +1,303 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../../config/firebase';
+import {useAuth} from '../../context/AuthContext';
+import useUserDirectory, {searchUsers} from '../../hooks/useUserDirectory';
+import {ORG_ROLES, isOrgAdmin} from '../../utils/permissions';
+
+export default function UserManagementScreen({onBack}) {
+  const {currentUser, workspaceId} = useAuth();
+  const {users, loading} = useUserDirectory();
+  const [query, setQuery] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const adminCount = users.filter(isOrgAdmin).length;
+
+  const setRole = async (user, role) => {
+    setSaving(true);
+    try {
+      await workspaceRef(workspaceId)
+        .collection('users')
+        .doc(user.id)
+        .update({role});
+    } catch (error) {
+      console.error('Error updating role:', error);
+      Alert.alert('Error', 'Failed to update role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const confirmRoleChange = user => {
+    const promoting = !isOrgAdmin(user);
+
+    // Someone always has to be left who can manage the organization
+    if (!promoting && adminCount <= 1) {
+      Alert.alert('Error', 'There must be at least one admin');
+      return;
+    }
+
+    Alert.alert(
+      promoting ? 'Make Admin' : 'Remove Admin',
+      promoting
+        ? `${user.name} will be able to manage users, groups and messages.`
+        : `${user.name} will become a regular member.`,
+      [
+        {text: 'Cancel', style: 'cancel'},
+        {
+          text: promoting ? 'Make Admin' : 'Remove Admin',
+          style: promoting ? 'default' : 'destructive',
+          onPress: () =>
+            setRole(user, promoting ? ORG_ROLES.ADMIN : ORG_ROLES.MEMBER),
+        },
+      ],
+    );
+  };
+
+  // Invited emails can join the workspace; invited owners join as admins
+  const invite = async (email, asOwner) => {
+    setSaving(true);
+    try {
+      await workspaceRef(workspaceId).update({
+        [asOwner ? 'ownerEmails' : 'invitedEmails']:
+          firestore.FieldValue.arrayUnion(email),
+      });
+      setInviteEmail('');
+      Alert.alert(
+        'Success',
+        `${email} can now join as ${asOwner ? 'an admin' : 'a member'}`,
+      );
+    } catch (error) {
+      console.error('Error inviting user:', error);
+      Alert.alert('Error', 'Failed to send invite');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const confirmInvite = () => {
+    const email = inviteEmail.trim().toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      Alert.alert('Error', 'Please enter a valid email address');
+      return;
+    }
+
+    Alert.alert('Invite', `How should ${email} join this workspace?`, [
+      {text: 'Cancel', style: 'cancel'},
+      {text: 'As Member', onPress: () => invite(email, false)},
+      {text: 'As Admin', onPress: () => invite(email, true)},
+    ]);
+  };
+
+  const renderUser = ({item}) => {
+    const isSelf = item.id === currentUser.uid;
+    const admin = isOrgAdmin(item);
+
+    return (
+      <View style={styles.userItem}>
+        <View style={styles.avatar}>
+          <Text style={styles.avatarText}>
+            {item.name?.charAt(0)?.toUpperCase() || 'U'}
+          </Text>
+        </View>
+        <View style={styles.userInfo}>
+          <Text style={styles.userName}>
+            {item.name}
+            {isSelf ? ' (You)' : ''}
+          </Text>
+          <Text style={styles.userRole}>
+            @{item.username} · {admin ? 'Admin' : 'Employee'}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.roleButton}
+          onPress={() => confirmRoleChange(item)}
+          disabled={saving}>
+          <Text style={[styles.roleButtonText, admin && styles.demoteText]}>
+            {admin ? 'Demote' : 'Promote'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Manage Users</Text>
+        {saving && <ActivityIndicator color="#fff" />}
+      </View>
+
+      {/* Invite */}
+      <View style={styles.inviteRow}>
+        <TextInput
+          style={[styles.input, styles.inviteInput]}
+          placeholder="Invite someone by email"
+          placeholderTextColor="#999"
+          value={inviteEmail}
+          onChangeText={setInviteEmail}
+          autoCapitalize="none"
+          keyboardType="email-address"
+        />
+        <TouchableOpacity
+          style={styles.inviteButton}
+          onPress={confirmInvite}
+          disabled={saving}>
+          <Text style={styles.inviteButtonText}>Invite</Text>
+        </TouchableOpacity>
+      </View>
+
+      <TextInput
+        style={[styles.input, styles.searchInput]}
+        placeholder="Search by name or username"
+        placeholderTextColor="#999"
+        value={query}
+        onChangeText={setQuery}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#007AFF" />
+        </View>
+      ) : (
+        <FlatList
+          data={searchUsers(users, query)}
+          renderItem={renderUser}
+          keyExtractor={item => item.id}
+          contentContainerStyle={styles.usersList}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    paddingTop: 50,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  inviteRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingTop: 15,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#333',
+  },
+  inviteInput: {
+    flex: 1,
+    marginRight: 10,
+  },
+  searchInput: {
+    margin: 10,
+  },
+  inviteButton: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  inviteButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  usersList: {
+    paddingHorizontal: 10,
+  },
+  userItem: {
+    backgroundColor: '#fff',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#007AFF',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  avatarText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  userInfo: {
+    flex: 1,
+  },
+  userName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  userRole: {
+    fontSize: 13,
+    color: '#999',
+  },
+  roleButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  roleButtonText: {
+    color: '#007AFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  demoteText: {
+    color: '#FF3B30',
+  },
+});
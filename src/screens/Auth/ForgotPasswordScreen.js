@@ -0,0 +1,188 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import {useAuth} from '../../context/AuthContext';
+import {authErrorMessage} from '../../utils/authErrors';
+import {normalizeUsername} from '../../utils/usernames';
+
+const NO_ACCOUNT = 'No account found for that username or email';
+
+export default function ForgotPasswordScreen({navigation, route}) {
+  const [usernameOrEmail, setUsernameOrEmail] = useState(
+    route.params?.usernameOrEmail || '',
+  );
+  const [sentTo, setSentTo] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const {resetPassword} = useAuth();
+
+  async function handleSubmit() {
+    if (!usernameOrEmail.trim()) {
+      Alert.alert('Error', 'Please enter your username or email');
+      return;
+    }
+
+    try {
+      setLoading(true);
+
+      const input = usernameOrEmail.trim();
+      await resetPassword(input);
+      // Whether a username exists isn't revealed, nor the address it has
+      const username = normalizeUsername(input);
+      setSentTo(
+        input.includes('@')
+          ? `We sent a link to ${input.toLowerCase()}.`
+          : `If @${username} has an account, we sent a link to its email address.`,
+      );
+    } catch (error) {
+      console.error('Password reset error:', error);
+      Alert.alert(
+        'Reset Failed',
+        authErrorMessage(error, 'Failed to send reset email', {
+          'auth/user-not-found': NO_ACCOUNT,
+        }),
+      );
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.formContainer}>
+          <Text style={styles.title}>Company Chat</Text>
+          <Text style={styles.subtitle}>Reset Password</Text>
+
+          {sentTo ? (
+            <Text style={styles.message}>
+              {sentTo} Follow it to choose a new password, then log in.
+            </Text>
+          ) : (
+            <>
+              <Text style={styles.message}>
+                Enter your username or email and we'll send you a link to reset
+                your password.
+              </Text>
+
+              <TextInput
+                style={styles.input}
+                placeholder="Username or Email"
+                placeholderTextColor="#999"
+                value={usernameOrEmail}
+                onChangeText={setUsernameOrEmail}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+
+              <TouchableOpacity
+                style={[styles.button, loading && styles.buttonDisabled]}
+                onPress={handleSubmit}
+                disabled={loading}>
+                {loading ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.buttonText}>Send Reset Link</Text>
+                )}
+              </TouchableOpacity>
+            </>
+          )}
+
+          <View style={styles.linksContainer}>
+            <TouchableOpacity onPress={() => navigation.navigate('Login')}>
+              <Text style={styles.link}>Back to Login</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  formContainer: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 30,
+    shadowColor: '#000',
+    shadowOffset: {width: 0, height: 2},
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 5,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  subtitle: {
+    fontSize: 20,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  message: {
+    fontSize: 15,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 20,
+    lineHeight: 21,
+  },
+  input: {
+    backgroundColor: '#f9f9f9',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 15,
+    fontSize: 16,
+    color: '#333',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linksContainer: {
+    marginTop: 20,
+    alignItems: 'center',
+  },
+  link: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, {useState} from 'react';
 import {
   View,
   Text,
@@ -11,15 +11,15 @@ import {
   ScrollView,
   ActivityIndicator,
 } from 'react-native';
-import { useAuth } from '../../context/AuthContext';
-import firestore from '@react-native-firebase/firestore';
+import {useAuth} from '../../context/AuthContext';
+import {authErrorMessage} from '../../utils/authErrors';
 
-export default function LoginScreen({ navigation }) {
+export default function LoginScreen({navigation}) {
   const [usernameOrEmail, setUsernameOrEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
 
-  const { login } = useAuth();
+  const {login} = useAuth();
 
   async function handleSubmit() {
     if (!usernameOrEmail.trim() || !password.trim()) {
@@ -29,45 +29,12 @@ export default function LoginScreen({ navigation }) {
 
     try {
       setLoading(true);
-      let emailToLogin = usernameOrEmail;
 
-      // Check if input is a username (no @ symbol) or email
-      if (!usernameOrEmail.includes('@')) {
-        // It's a username, look up the email
-        const usersSnapshot = await firestore()
-          .collection('users')
-          .where('username', '==', usernameOrEmail.toLowerCase())
-          .get();
-
-        if (usersSnapshot.empty) {
-          throw new Error('Invalid username or password');
-        }
-
-        // Get the email associated with this username
-        const userData = usersSnapshot.docs[0].data();
-        emailToLogin = userData.email;
-      } else {
-        // It's an email - use directly
-        emailToLogin = usernameOrEmail.toLowerCase();
-      }
-
-      await login(emailToLogin, password);
+      await login(usernameOrEmail, password);
       // Navigation will happen automatically via auth state change
     } catch (error) {
       console.error('Login error:', error);
-      let errorMessage = 'Failed to log in';
-
-      if (error.code === 'auth/user-not-found' || error.code === 'auth/wrong-password') {
-        errorMessage = 'Invalid username/email or password';
-      } else if (error.code === 'auth/invalid-credential') {
-        errorMessage = 'Invalid username/email or password';
-      } else if (error.code === 'auth/too-many-requests') {
-        errorMessage = 'Too many failed attempts. Please try again later.';
-      } else if (error.message) {
-        errorMessage = error.message;
-      }
-
-      Alert.alert('Login Failed', errorMessage);
+      Alert.alert('Login Failed', authErrorMessage(error, 'Failed to log in'));
     } finally {
       setLoading(false);
     }
@@ -76,8 +43,7 @@ export default function LoginScreen({ navigation }) {
   return (
     <KeyboardAvoidingView
       style={styles.container}
-      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
-    >
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}>
       <ScrollView contentContainerStyle={styles.scrollContent}>
         <View style={styles.formContainer}>
           <Text style={styles.title}>Company Chat</Text>
@@ -106,8 +72,7 @@ export default function LoginScreen({ navigation }) {
           <TouchableOpacity
             style={[styles.button, loading && styles.buttonDisabled]}
             onPress={handleSubmit}
-            disabled={loading}
-          >
+            disabled={loading}>
             {loading ? (
               <ActivityIndicator color="#fff" />
             ) : (
@@ -115,6 +80,14 @@ export default function LoginScreen({ navigation }) {
             )}
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={styles.forgotPassword}
+            onPress={() =>
+              navigation.navigate('ForgotPassword', {usernameOrEmail})
+            }>
+            <Text style={styles.link}>Forgot password?</Text>
+          </TouchableOpacity>
+
           <View style={styles.linksContainer}>
             <Text style={styles.linkLabel}>Don't have an account?</Text>
             <TouchableOpacity onPress={() => navigation.navigate('Signup')}>
@@ -142,7 +115,7 @@ const styles = StyleSheet.create({
     borderRadius: 10,
     padding: 30,
     shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
+    shadowOffset: {width: 0, height: 2},
     shadowOpacity: 0.1,
     shadowRadius: 8,
     elevation: 5,
@@ -185,6 +158,10 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  forgotPassword: {
+    marginTop: 15,
+    alignItems: 'center',
+  },
   linksContainer: {
     marginTop: 20,
     alignItems: 'center',
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, {useState} from 'react';
 import {
   View,
   Text,
@@ -11,10 +11,11 @@ import {
   ScrollView,
   ActivityIndicator,
 } from 'react-native';
-import { useAuth } from '../../context/AuthContext';
-import firestore from '@react-native-firebase/firestore';
+import {useAuth} from '../../context/AuthContext';
+import {normalizeUsername, usernameError} from '../../utils/usernames';
+import {authErrorMessage, newPasswordError} from '../../utils/authErrors';
 
-export default function SignupScreen({ navigation }) {
+export default function SignupScreen({navigation}) {
   const [name, setName] = useState('');
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
@@ -22,7 +23,7 @@ export default function SignupScreen({ navigation }) {
   const [confirmPassword, setConfirmPassword] = useState('');
   const [loading, setLoading] = useState(false);
 
-  const { signup } = useAuth();
+  const {signup} = useAuth();
 
   async function handleSubmit() {
     // Validation
@@ -31,60 +32,37 @@ export default function SignupScreen({ navigation }) {
       return;
     }
 
-    if (password !== confirmPassword) {
-      Alert.alert('Error', 'Passwords do not match');
-      return;
-    }
-
-    if (password.length < 6) {
-      Alert.alert('Error', 'Password must be at least 6 characters');
+    const passwordProblem = newPasswordError(password, confirmPassword);
+    if (passwordProblem) {
+      Alert.alert('Error', passwordProblem);
       return;
     }
 
     // Validate username format
-    if (!/^[a-zA-Z0-9_]+$/.test(username)) {
-      Alert.alert('Error', 'Username can only contain letters, numbers, and underscores');
+    const normalizedUsername = normalizeUsername(username);
+    const usernameProblem = usernameError(normalizedUsername);
+    if (usernameProblem) {
+      Alert.alert('Error', usernameProblem);
       return;
     }
 
     try {
       setLoading(true);
 
-      // Check if username already exists
-      const usernameSnapshot = await firestore()
-        .collection('users')
-        .where('username', '==', username.toLowerCase())
-        .get();
-
-      if (!usernameSnapshot.empty) {
-        Alert.alert('Error', 'Username already taken');
-        setLoading(false);
-        return;
-      }
-
+      // Fails with username/taken if someone else has the username
       await signup(email, password, {
         name: name.trim(),
-        username: username.toLowerCase(),
-        role: 'admin',
+        username: normalizedUsername,
         profilePictureUrl: null,
       });
 
-      // Navigation will happen automatically via auth state change
+      // The auth state change shows the verify-your-email screen
     } catch (error) {
       console.error('Signup error:', error);
-      let errorMessage = 'Failed to create account';
-
-      if (error.code === 'auth/email-already-in-use') {
-        errorMessage = 'This email is already registered';
-      } else if (error.code === 'auth/invalid-email') {
-        errorMessage = 'Invalid email address';
-      } else if (error.code === 'auth/weak-password') {
-        errorMessage = 'Password is too weak';
-      } else if (error.message) {
-        errorMessage = error.message;
-      }
-
-      Alert.alert('Signup Failed', errorMessage);
+      Alert.alert(
+        'Signup Failed',
+        authErrorMessage(error, 'Failed to create account'),
+      );
     } finally {
       setLoading(false);
     }
@@ -93,8 +71,7 @@ export default function SignupScreen({ navigation }) {
   return (
     <KeyboardAvoidingView
       style={styles.container}
-      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
-    >
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}>
       <ScrollView contentContainerStyle={styles.scrollContent}>
         <View style={styles.formContainer}>
           <Text style={styles.title}>Company Chat</Text>
@@ -153,8 +130,7 @@ export default function SignupScreen({ navigation }) {
           <TouchableOpacity
             style={[styles.button, loading && styles.buttonDisabled]}
             onPress={handleSubmit}
-            disabled={loading}
-          >
+            disabled={loading}>
             {loading ? (
               <ActivityIndicator color="#fff" />
             ) : (
@@ -189,7 +165,7 @@ const styles = StyleSheet.create({
     borderRadius: 10,
     padding: 30,
     shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
+    shadowOffset: {width: 0, height: 2},
     shadowOpacity: 0.1,
     shadowRadius: 8,
     elevation: 5,
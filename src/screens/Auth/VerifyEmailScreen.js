@@ -0,0 +1,200 @@
+import React, {useEffect, useState} from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  AppState,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import {useAuth} from '../../context/AuthContext';
+import {authErrorMessage} from '../../utils/authErrors';
+
+// Firebase throttles verification emails; this keeps people from hitting it
+const RESEND_COOLDOWN_SECONDS = 60;
+
+export default function VerifyEmailScreen() {
+  const [checking, setChecking] = useState(false);
+  const [cooldown, setCooldown] = useState(0);
+
+  const {currentUser, sendVerificationEmail, refreshEmailVerification, logout} =
+    useAuth();
+
+  // People usually come back from their mail app having clicked the link
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', state => {
+      if (state !== 'active') {
+        return;
+      }
+      refreshEmailVerification().catch(error => {
+        console.error('Error checking email verification:', error);
+      });
+    });
+    return () => subscription.remove();
+  }, [refreshEmailVerification]);
+
+  useEffect(() => {
+    if (cooldown <= 0) {
+      return;
+    }
+    const timer = setTimeout(() => setCooldown(cooldown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  async function handleCheck() {
+    try {
+      setChecking(true);
+      const verified = await refreshEmailVerification();
+      if (!verified) {
+        Alert.alert(
+          'Not Verified Yet',
+          'Open the link in the email we sent, then try again.',
+        );
+      }
+    } catch (error) {
+      console.error('Error checking email verification:', error);
+      Alert.alert(
+        'Error',
+        authErrorMessage(error, 'Failed to check verification'),
+      );
+    } finally {
+      setChecking(false);
+    }
+  }
+
+  async function handleResend() {
+    try {
+      await sendVerificationEmail();
+      setCooldown(RESEND_COOLDOWN_SECONDS);
+      Alert.alert('Email Sent', `We sent a new link to ${currentUser.email}`);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      Alert.alert(
+        'Error',
+        authErrorMessage(error, 'Failed to send verification email'),
+      );
+    }
+  }
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.formContainer}>
+          <Text style={styles.title}>Verify Your Email</Text>
+          <Text style={styles.message}>
+            We sent a link to {currentUser?.email}. Open it to finish setting up
+            your account.
+          </Text>
+
+          <TouchableOpacity
+            style={[styles.button, checking && styles.buttonDisabled]}
+            onPress={handleCheck}
+            disabled={checking}>
+            {checking ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>I've Verified My Email</Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={handleResend}
+            disabled={cooldown > 0}>
+            <Text style={[styles.link, cooldown > 0 && styles.linkDisabled]}>
+              {cooldown > 0 ? `Resend email in ${cooldown}s` : 'Resend email'}
+            </Text>
+          </TouchableOpacity>
+
+          <View style={styles.linksContainer}>
+            <Text style={styles.linkLabel}>Wrong email?</Text>
+            <TouchableOpacity onPress={handleLogout}>
+              <Text style={styles.link}>Log out</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  formContainer: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 30,
+    shadowColor: '#000',
+    shadowOffset: {width: 0, height: 2},
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 5,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  message: {
+    fontSize: 15,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 20,
+    lineHeight: 21,
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    marginTop: 15,
+    alignItems: 'center',
+  },
+  linksContainer: {
+    marginTop: 20,
+    alignItems: 'center',
+  },
+  linkLabel: {
+    color: '#666',
+    marginBottom: 5,
+  },
+  link: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linkDisabled: {
+    color: '#999',
+  },
+});
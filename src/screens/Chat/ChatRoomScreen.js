@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, {useState, useEffect, useRef, useMemo} from 'react';
 import {
   View,
   Text,
@@ -8,177 +8,704 @@ import {
   TouchableOpacity,
   KeyboardAvoidingView,
   Platform,
-  Image,
   Alert,
+  AppState,
+  ActivityIndicator,
 } from 'react-native';
-import { useAuth } from '../../context/AuthContext';
-import firestore from '@react-native-firebase/firestore';
-import storage from '@react-native-firebase/storage';
-import { launchImageLibrary, launchCamera } from 'react-native-image-picker';
-
-export default function ChatRoomScreen({ group, onBack }) {
-  const { currentUser, userData } = useAuth();
-  const [messages, setMessages] = useState([]);
+import {useAuth} from '../../context/AuthContext';
+import {workspaceRef} from '../../config/firebase';
+import {launchImageLibrary, launchCamera} from 'react-native-image-picker';
+import DocumentPicker from 'react-native-document-picker';
+import usePaginatedMessages from '../../hooks/usePaginatedMessages';
+import useQuotedMessages from '../../hooks/useQuotedMessages';
+import MessageItem from './MessageItem';
+import MessageActionsModal from './MessageActionsModal';
+import ReactionsSheet from './ReactionsSheet';
+import MentionSuggestions from './MentionSuggestions';
+import {
+  getActiveMention,
+  insertMention,
+  filterMentionCandidates,
+  extractMentions,
+} from './mentions';
+import {
+  editMessage,
+  confirmDeleteMessage,
+  showEditHistory,
+  toggleReaction,
+} from './messageEditing';
+import {canPostInGroup, canModerateMessages} from '../../utils/permissions';
+import {searchTokens} from '../../utils/messageSearch';
+import {
+  ALLOWED_ATTACHMENT_TYPES,
+  validateAttachment,
+  attachmentPath,
+} from '../../utils/attachments';
+import {prepareImage, imageUploads} from '../../utils/imagePipeline';
+import {MAX_ALBUM_IMAGES} from '../../utils/imageSizing';
+import useGroupMembers from '../../hooks/useGroupMembers';
+import {useUserProfiles} from '../../context/UserProfilesContext';
+import {senderIds, withSenderIdentity} from '../../utils/senderIdentity';
+import {
+  buildReplyPreview,
+  replyPreviewText,
+  withLiveQuote,
+} from '../../utils/replyQuotes';
+import {usePresence} from '../../context/PresenceContext';
+import {presenceText} from '../../utils/presence';
+import {useNotifications} from '../../context/NotificationsContext';
+import {showNotificationOptions} from '../Notifications/notificationOptions';
+import {
+  NOTIFICATION_LEVELS,
+  groupNotificationLevel,
+} from '../../utils/notificationSettings';
+import {useOutbox} from '../../context/OutboxContext';
+import {mergeOutboxMessages, OUTBOX_STATUS} from '../../utils/outboxQueue';
+import useTypingIndicator from '../../hooks/useTypingIndicator';
+import {formatTypingText} from '../../utils/typing';
+import useGroupReads, {markGroupRead, isAfter} from '../../hooks/useGroupReads';
+
+// How far back (in px) the user has to scroll before "Jump to latest" shows
+const JUMP_TO_LATEST_THRESHOLD = 1200;
+// "Seen by" receipts are only shown in groups up to this size
+const SEEN_BY_MAX_MEMBERS = 10;
+// Pages loaded while looking for a search result before giving up
+const FOCUS_MAX_PAGES = 20;
+const FOCUS_HIGHLIGHT_MS = 2500;
+
+export default function ChatRoomScreen({
+  group,
+  onBack,
+  onOpenThread,
+  onOpenGroupInfo,
+  onOpenSearch,
+  initialFocusMessage = null,
+}) {
+  const {currentUser, userData, workspaceId} = useAuth();
   const [newMessage, setNewMessage] = useState('');
   const [loading, setLoading] = useState(false);
+  const [showJumpToLatest, setShowJumpToLatest] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
+  // Message to scroll to, e.g. a search result
+  const [focusMessage, setFocusMessage] = useState(initialFocusMessage);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const focusPagesRef = useRef(0);
+  const [actionMessageId, setActionMessageId] = useState(null);
+  const [reactionsMessageId, setReactionsMessageId] = useState(null);
+  const [cursor, setCursor] = useState(0);
+  // Read marker from before this visit, used to place the "New messages" divider
+  const [previousReadAt, setPreviousReadAt] = useState(null);
+  const [readMarkerLoaded, setReadMarkerLoaded] = useState(false);
   const flatListRef = useRef(null);
 
+  const {messages, hasMore, loadingOlder, initialLoading, loadOlder} =
+    usePaginatedMessages(group?.id);
+  const {
+    items: outboxItems,
+    progress: uploadProgress,
+    enqueueMessage,
+    retryItem,
+    discardItem,
+    cancelItem,
+  } = useOutbox();
+  const senderProfiles = useUserProfiles(senderIds(messages));
+  const quotedMessages = useQuotedMessages(messages);
+  const directUserId = group.directUser?.id;
+  const directPresence = usePresence([directUserId])[directUserId];
+  const displayMessages = useMemo(
+    () =>
+      mergeOutboxMessages(
+        messages,
+        outboxItems.filter(item => item.message.groupId === group.id),
+      ).map(message =>
+        withSenderIdentity(
+          withLiveQuote(message, quotedMessages),
+          senderProfiles,
+        ),
+      ),
+    [messages, outboxItems, group.id, senderProfiles, quotedMessages],
+  );
+
+  // Members who can't post in a channel can still react to its messages
+  const canModerate = canModerateMessages(userData, group);
+  const canPost = canPostInGroup(userData, group);
+  const actionMessage = messages.find(
+    message => message.id === actionMessageId,
+  );
+  const reactionsMessage = messages.find(
+    message => message.id === reactionsMessageId,
+  );
+
+  const members = useGroupMembers(group.members);
+  const notifications = useNotifications();
+  const {setActiveGroupId} = notifications;
+
   useEffect(() => {
-    if (!group) return;
-
-    const unsubscribe = firestore()
-      .collection('messages')
-      .where('groupId', '==', group.id)
-      .orderBy('createdAt', 'desc')
-      .limit(50)
-      .onSnapshot(
-        snapshot => {
-          const messagesData = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data(),
-          }));
-          console.log('Snapshot update - Messages count:', messagesData.length);
-          setMessages(messagesData);
-        },
-        error => {
-          console.error('Error fetching messages:', error);
-          Alert.alert('Error', error.message);
-        },
-        { includeMetadataChanges: false }
-      );
+    setActiveGroupId(group.id);
+    return () => setActiveGroupId(null);
+  }, [group.id, setActiveGroupId]);
+  const reads = useGroupReads(group.id);
+  const {typingNames, notifyTyping, clearTyping} = useTypingIndicator(
+    group.id,
+    currentUser.uid,
+    userData?.name,
+  );
+  const activeMention = getActiveMention(newMessage, cursor);
+  const mentionSuggestions = activeMention
+    ? filterMentionCandidates(members, activeMention.query, currentUser.uid)
+    : [];
 
-    return unsubscribe;
-  }, [group]);
+  useEffect(() => {
+    let cancelled = false;
 
-  const sendMessage = async () => {
-    if (!newMessage.trim() || !group) return;
+    workspaceRef(workspaceId)
+      .collection('groups')
+      .doc(group.id)
+      .collection('reads')
+      .doc(currentUser.uid)
+      .get()
+      .then(doc => {
+        if (!cancelled && doc.exists) {
+          setPreviousReadAt(doc.data().lastReadAt || null);
+        }
+      })
+      .catch(error => {
+        console.error('Error fetching read marker:', error);
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setReadMarkerLoaded(true);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [workspaceId, group.id, currentUser.uid]);
+
+  // Mark the group read once the previous marker is known, whenever a new
+  // message arrives while it's on screen, and when the app comes back to
+  // the foreground
+  const newestMessageId = messages[0]?.id;
+  useEffect(() => {
+    if (!readMarkerLoaded || AppState.currentState !== 'active') {
+      return;
+    }
 
-    if (group.isChannel && userData?.role !== 'admin') {
-      Alert.alert('Error', 'Only admins can post in channels');
+    markGroupRead(workspaceId, group.id, currentUser.uid).catch(error => {
+      console.error('Error marking group read:', error);
+    });
+  }, [
+    readMarkerLoaded,
+    workspaceId,
+    group.id,
+    currentUser.uid,
+    newestMessageId,
+  ]);
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        markGroupRead(workspaceId, group.id, currentUser.uid).catch(error => {
+          console.error('Error marking group read:', error);
+        });
+      }
+    });
+
+    return () => subscription.remove();
+  }, [workspaceId, group.id, currentUser.uid]);
+
+  // A search result or link can point an open chat at another message
+  useEffect(() => {
+    if (initialFocusMessage) {
+      setFocusMessage(initialFocusMessage);
+    }
+  }, [initialFocusMessage]);
+
+  // Thread replies open their thread; timeline messages are paged in until
+  // the target is loaded and then scrolled to
+  useEffect(() => {
+    if (!focusMessage || initialLoading) {
       return;
     }
 
+    if (focusMessage.type === 'reply') {
+      setFocusMessage(null);
+      onOpenThread({id: focusMessage.threadId});
+      return;
+    }
+
+    const index = displayMessages.findIndex(
+      message => message.id === focusMessage.id,
+    );
+    if (index >= 0) {
+      setFocusMessage(null);
+      focusPagesRef.current = 0;
+      setHighlightedMessageId(focusMessage.id);
+      flatListRef.current?.scrollToIndex({
+        index,
+        animated: true,
+        viewPosition: 0.5,
+      });
+      return;
+    }
+
+    if (loadingOlder) {
+      return;
+    }
+    if (hasMore && focusPagesRef.current < FOCUS_MAX_PAGES) {
+      focusPagesRef.current += 1;
+      loadOlder();
+    } else {
+      setFocusMessage(null);
+      focusPagesRef.current = 0;
+      Alert.alert('Message Not Found', 'This message is too far back to show.');
+    }
+  }, [
+    focusMessage,
+    initialLoading,
+    displayMessages,
+    loadingOlder,
+    hasMore,
+    loadOlder,
+    onOpenThread,
+  ]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) {
+      return;
+    }
+
+    const timer = setTimeout(
+      () => setHighlightedMessageId(null),
+      FOCUS_HIGHLIGHT_MS,
+    );
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
+
+  // Items far back haven't been measured yet, so jump near them first
+  const handleScrollToIndexFailed = info => {
+    flatListRef.current?.scrollToOffset({
+      offset: info.averageItemLength * info.index,
+      animated: false,
+    });
+    setTimeout(() => {
+      flatListRef.current?.scrollToIndex({
+        index: info.index,
+        animated: true,
+        viewPosition: 0.5,
+      });
+    }, 100);
+  };
+
+  // Oldest message from someone else that arrived after the previous visit
+  const firstUnreadId = useMemo(() => {
+    if (!previousReadAt) {
+      return null;
+    }
+
+    let unreadId = null;
+    for (const message of messages) {
+      if (!isAfter(message.createdAt, previousReadAt)) {
+        break;
+      }
+      if (message.senderId !== currentUser.uid) {
+        unreadId = message.id;
+      }
+    }
+    return unreadId;
+  }, [messages, previousReadAt, currentUser.uid]);
+
+  const showSeenBy = (group.members?.length || 0) <= SEEN_BY_MAX_MEMBERS;
+  const latestOwnMessageId = messages.find(
+    message =>
+      message.senderId === currentUser.uid && message.type !== 'system',
+  )?.id;
+
+  const getSeenBy = message =>
+    members.filter(
+      member =>
+        member.id !== currentUser.uid &&
+        reads[member.id] &&
+        message.createdAt?.toMillis &&
+        !isAfter(message.createdAt, reads[member.id]),
+    );
+
+  const seenByText = message => {
+    const seenBy = getSeenBy(message);
+    if (seenBy.length === 0) {
+      return null;
+    }
+
+    const otherMembers = members.filter(
+      member => member.id !== currentUser.uid,
+    );
+    if (seenBy.length === otherMembers.length) {
+      return 'Seen by everyone';
+    }
+    return `Seen by ${seenBy.map(member => member.name).join(', ')}`;
+  };
+
+  const showSeenByList = message => {
+    const seenBy = getSeenBy(message);
+    Alert.alert(
+      'Seen by',
+      seenBy.length > 0
+        ? seenBy.map(member => member.name).join('\n')
+        : 'Nobody has seen this message yet',
+    );
+  };
+
+  const handleChangeText = text => {
+    setNewMessage(text);
+    notifyTyping(text);
+    // onSelectionChange fires after onChangeText; assume typing at the end until it does
+    setCursor(text.length);
+  };
+
+  const handleSelectMention = member => {
+    const result = insertMention(
+      newMessage,
+      activeMention,
+      cursor,
+      member.username,
+    );
+    setNewMessage(result.text);
+    setCursor(result.cursor);
+  };
+
+  const startEditing = message => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setNewMessage(message.text);
+    setCursor(message.text.length);
+  };
+
+  const cancelEditing = () => {
+    setEditingMessage(null);
+    setNewMessage('');
+  };
+
+  const startReply = message => {
+    if (editingMessage) {
+      cancelEditing();
+    }
+    setReplyingTo(message);
+  };
+
+  const saveEdit = async () => {
+    const message = editingMessage;
     const messageText = newMessage;
+    setEditingMessage(null);
     setNewMessage('');
-    setLoading(true);
+    clearTyping();
+
+    if (messageText === message.text) {
+      return;
+    }
 
+    setLoading(true);
     try {
-      const messageData = {
-        text: messageText,
-        groupId: group.id,
-        senderId: currentUser.uid,
-        senderName: userData?.name || 'Unknown User',
-        senderProfilePic: userData?.profilePictureUrl || null,
-        type: 'message',
-        createdAt: firestore.FieldValue.serverTimestamp(),
-      };
-
-      await firestore().collection('messages').add(messageData);
+      await editMessage(
+        workspaceId,
+        message,
+        messageText,
+        extractMentions(messageText, members),
+        currentUser.uid,
+      );
     } catch (error) {
-      console.error('Error sending message:', error);
-      Alert.alert('Error', 'Failed to send message');
-      setNewMessage(messageText); // Restore message on error
+      console.error('Error editing message:', error);
+      Alert.alert('Error', 'Failed to edit message');
+      setEditingMessage(message);
+      setNewMessage(messageText); // Restore edit on error
     } finally {
       setLoading(false);
     }
   };
 
-  const handleImagePicker = () => {
-    Alert.alert(
-      'Add Image',
-      'Choose an option',
-      [
-        {
-          text: 'Camera',
-          onPress: () => {
-            launchCamera({ mediaType: 'photo', quality: 0.8 }, handleImageResponse);
-          },
+  const senderFields = () => ({
+    groupId: group.id,
+    senderId: currentUser.uid,
+    senderName: userData?.name || 'Unknown User',
+    senderProfilePic: userData?.profilePictureUrl || null,
+    type: 'message',
+  });
+
+  const sendMessage = async () => {
+    if (!newMessage.trim() || !group) {
+      return;
+    }
+
+    if (editingMessage) {
+      await saveEdit();
+      return;
+    }
+
+    if (!canPost) {
+      Alert.alert(
+        'Error',
+        'Only admins and moderators can post in this channel',
+      );
+      return;
+    }
+
+    const messageText = newMessage;
+    const messageData = {
+      text: messageText,
+      searchTokens: searchTokens(messageText),
+      ...senderFields(),
+    };
+
+    if (replyingTo) {
+      messageData.replyTo = buildReplyPreview(replyingTo);
+    }
+
+    const mentions = extractMentions(messageText, members);
+    if (mentions.length > 0) {
+      messageData.mentions = mentions;
+      messageData.mentionIds = mentions.map(mention => mention.userId);
+    }
+
+    // The outbox shows the message right away and keeps retrying until it's delivered
+    enqueueMessage(messageData);
+    setNewMessage('');
+    setReplyingTo(null);
+    clearTyping();
+  };
+
+  const handleAttachmentPicker = () => {
+    Alert.alert('Add Attachment', 'Choose an option', [
+      {
+        text: 'Camera',
+        onPress: () => {
+          launchCamera({mediaType: 'photo'}, handleImageResponse);
         },
-        {
-          text: 'Gallery',
-          onPress: () => {
-            launchImageLibrary({ mediaType: 'photo', quality: 0.8 }, handleImageResponse);
-          },
+      },
+      {
+        text: 'Gallery',
+        onPress: () => {
+          launchImageLibrary(
+            {mediaType: 'photo', selectionLimit: MAX_ALBUM_IMAGES},
+            handleImageResponse,
+          );
         },
-        { text: 'Cancel', style: 'cancel' },
-      ]
-    );
+      },
+      {text: 'Document', onPress: handleDocumentPicker},
+      {text: 'Cancel', style: 'cancel'},
+    ]);
   };
 
-  const handleImageResponse = async (response) => {
-    if (response.didCancel || response.error) return;
+  const handleImageResponse = async response => {
+    if (response.didCancel || response.errorCode) {
+      return;
+    }
 
-    const asset = response.assets?.[0];
-    if (!asset) return;
+    const assets = (response.assets || []).slice(0, MAX_ALBUM_IMAGES);
+    if (assets.length === 0) {
+      return;
+    }
 
     try {
-      setLoading(true);
+      const prepared = await Promise.all(assets.map(prepareImage));
+      const {images, uploads} = imageUploads(
+        workspaceId,
+        currentUser.uid,
+        prepared,
+      );
 
-      // Upload image to Firebase Storage
-      const filename = `chat-images/${currentUser.uid}/${Date.now()}.jpg`;
-      const reference = storage().ref(filename);
-      await reference.putFile(asset.uri);
-      const url = await reference.getDownloadURL();
+      // The outbox uploads the images and then writes the message, so the
+      // composer stays usable while it happens
+      enqueueMessage(
+        {
+          text: '',
+          mediaType: 'image',
+          mediaPath: images[0].path,
+          images,
+          searchTokens: searchTokens(images.map(image => image.name).join(' ')),
+          ...senderFields(),
+        },
+        uploads,
+      );
+    } catch (error) {
+      console.error('Error preparing images:', error);
+      Alert.alert('Error', 'Failed to prepare images');
+    }
+  };
 
-      // Send message with image
-      await firestore().collection('messages').add({
-        text: '',
-        mediaUrl: url,
-        mediaType: 'image',
-        groupId: group.id,
-        senderId: currentUser.uid,
-        senderName: userData?.name || 'Unknown User',
-        senderProfilePic: userData?.profilePictureUrl || null,
-        type: 'message',
-        createdAt: firestore.FieldValue.serverTimestamp(),
+  const handleDocumentPicker = async () => {
+    let file;
+    try {
+      // Copying into the app's cache keeps the file readable for retries
+      file = await DocumentPicker.pickSingle({
+        type: ALLOWED_ATTACHMENT_TYPES,
+        copyTo: 'cachesDirectory',
       });
     } catch (error) {
-      console.error('Error uploading image:', error);
-      Alert.alert('Error', 'Failed to upload image');
-    } finally {
-      setLoading(false);
+      if (DocumentPicker.isCancel(error)) {
+        return;
+      }
+      console.error('Error picking document:', error);
+      Alert.alert('Error', 'Failed to pick document');
+      return;
     }
+
+    const validationError = validateAttachment(file);
+    if (validationError) {
+      Alert.alert('Error', validationError);
+      return;
+    }
+
+    const fileName = file.name || 'file';
+    const mediaPath = attachmentPath(workspaceId, currentUser.uid, fileName);
+    enqueueMessage(
+      {
+        text: '',
+        mediaPath,
+        mediaType: 'file',
+        mimeType: file.type,
+        fileName,
+        fileSize: file.size || null,
+        searchTokens: searchTokens(fileName),
+        ...senderFields(),
+      },
+      [
+        {
+          localUri: file.fileCopyUri || file.uri,
+          path: mediaPath,
+          contentType: file.type,
+          target: 'mediaUrl',
+        },
+      ],
+    );
+  };
+
+  const handleScroll = event => {
+    // The list is inverted, so offset 0 is the newest message
+    const offsetY = event.nativeEvent.contentOffset.y;
+    setShowJumpToLatest(offsetY > JUMP_TO_LATEST_THRESHOLD);
+  };
+
+  const jumpToLatest = () => {
+    flatListRef.current?.scrollToOffset({offset: 0, animated: true});
   };
 
-  const formatTime = (timestamp) => {
-    if (!timestamp || !timestamp.toDate) return 'Now';
+  const renderListFooter = () => {
+    // Rendered at the top of the inverted list, above the oldest message
+    if (loadingOlder) {
+      return (
+        <ActivityIndicator style={styles.historyIndicator} color="#007AFF" />
+      );
+    }
+    if (!hasMore && !initialLoading && messages.length > 0) {
+      return (
+        <Text style={styles.historyEndText}>Beginning of conversation</Text>
+      );
+    }
+    return null;
+  };
+
+  const handleToggleReaction = async (message, emoji) => {
     try {
-      const date = timestamp.toDate();
-      return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      await toggleReaction(workspaceId, message, emoji, currentUser.uid);
     } catch (error) {
-      return 'Now';
+      console.error('Error updating reaction:', error);
+      Alert.alert('Error', 'Failed to update reaction');
     }
   };
 
-  const renderMessage = ({ item }) => {
+  const isOwnAction = actionMessage?.senderId === currentUser.uid;
+  const messageActions = [
+    ...(canPost ? [{label: 'Reply', onPress: startReply}] : []),
+    {label: 'Reply in Thread', onPress: onOpenThread},
+    ...(canPost && isOwnAction && actionMessage?.text
+      ? [{label: 'Edit', onPress: startEditing}]
+      : []),
+    ...(showSeenBy && isOwnAction
+      ? [{label: 'Seen by', onPress: showSeenByList}]
+      : []),
+    ...(canModerate && actionMessage?.editedAt
+      ? [
+          {
+            label: 'Edit History',
+            onPress: message => showEditHistory(workspaceId, message),
+          },
+        ]
+      : []),
+    ...(isOwnAction || canModerate
+      ? [
+          {
+            label: 'Delete',
+            onPress: message =>
+              confirmDeleteMessage(workspaceId, message, currentUser.uid),
+            destructive: true,
+          },
+        ]
+      : []),
+  ];
+
+  const handleFailedMessagePress = message => {
+    Alert.alert(
+      'Message Not Sent',
+      outboxItems.find(item => item.id === message.id)?.error ||
+        'This message could not be sent.',
+      [
+        {text: 'Cancel', style: 'cancel'},
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => discardItem(message.id),
+        },
+        {text: 'Retry', onPress: () => retryItem(message.id)},
+      ],
+    );
+  };
+
+  const deliveryStatus = message => {
+    if (!message.outboxStatus) {
+      return 'sent';
+    }
+    return message.outboxStatus === OUTBOX_STATUS.FAILED ? 'failed' : 'pending';
+  };
+
+  const renderMessage = ({item}) => {
     const isOwn = item.senderId === currentUser.uid;
+    const isQueued = !!item.outboxStatus;
 
     return (
-      <View style={[styles.messageContainer, isOwn && styles.ownMessageContainer]}>
-        {!isOwn && (
-          <View style={styles.messageAvatar}>
-            <Text style={styles.avatarText}>
-              {item.senderName?.charAt(0)?.toUpperCase() || 'U'}
-            </Text>
+      <View>
+        {item.id === firstUnreadId && (
+          <View style={styles.unreadDivider}>
+            <View style={styles.unreadDividerLine} />
+            <Text style={styles.unreadDividerText}>New messages</Text>
+            <View style={styles.unreadDividerLine} />
           </View>
         )}
-        <View style={[styles.messageBubble, isOwn && styles.ownMessageBubble]}>
-          {!isOwn && <Text style={styles.senderName}>{item.senderName}</Text>}
-
-          {item.mediaUrl && item.mediaType === 'image' && (
-            <Image source={{ uri: item.mediaUrl }} style={styles.messageImage} />
-          )}
-
-          {item.text && (
-            <Text style={[styles.messageText, isOwn && styles.ownMessageText]}>
-              {item.text}
-            </Text>
-          )}
-
-          <Text style={[styles.messageTime, isOwn && styles.ownMessageTime]}>
-            {formatTime(item.createdAt)}
-          </Text>
-        </View>
+        <MessageItem
+          message={item}
+          isOwn={isOwn}
+          currentUserId={currentUser.uid}
+          onLongPress={
+            isQueued ? undefined : message => setActionMessageId(message.id)
+          }
+          onOpenThread={onOpenThread}
+          onToggleReaction={handleToggleReaction}
+          onShowReactions={message => setReactionsMessageId(message.id)}
+          deliveryStatus={isOwn ? deliveryStatus(item) : null}
+          onPressFailed={handleFailedMessagePress}
+          highlighted={item.id === highlightedMessageId}
+          uploadProgress={
+            item.hasUploads && item.outboxStatus !== OUTBOX_STATUS.FAILED
+              ? uploadProgress[item.id] || 0
+              : null
+          }
+          onCancelUpload={message => cancelItem(message.id)}
+          seenByText={
+            showSeenBy && isOwn && item.id === latestOwnMessageId
+              ? seenByText(item)
+              : null
+          }
+        />
       </View>
     );
   };
@@ -187,40 +714,140 @@ export default function ChatRoomScreen({ group, onBack }) {
     <KeyboardAvoidingView
       style={styles.container}
       behavior={Platform.OS === 'ios' ? 'padding' : undefined}
-      keyboardVerticalOffset={Platform.OS === 'ios' ? 0 : 0}
-    >
+      keyboardVerticalOffset={Platform.OS === 'ios' ? 0 : 0}>
       {/* Header */}
       <View style={styles.header}>
         <TouchableOpacity onPress={onBack} style={styles.backButton}>
           <Text style={styles.backText}>← Back</Text>
         </TouchableOpacity>
-        <View style={styles.headerInfo}>
+        <TouchableOpacity
+          style={styles.headerInfo}
+          onPress={onOpenGroupInfo}
+          disabled={group.isDirect}>
           <Text style={styles.headerTitle}>{group.name}</Text>
           <Text style={styles.headerSubtitle}>
-            {group.isChannel ? '📢 Channel' : '💬 Group'} · {group.members?.length || 0} members
+            {group.isDirect
+              ? [
+                  group.directUser?.username && `@${group.directUser.username}`,
+                  presenceText(directPresence) || 'Direct message',
+                ]
+                  .filter(Boolean)
+                  .join(' · ')
+              : `${group.isChannel ? '📢 Channel' : '💬 Group'} · ${
+                  group.members?.length || 0
+                } members`}
           </Text>
-        </View>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => showNotificationOptions(group, notifications)}
+          style={styles.headerButton}>
+          <Text style={styles.headerButtonText}>
+            {groupNotificationLevel(notifications.settings, group.id) ===
+            NOTIFICATION_LEVELS.MUTED
+              ? '🔕'
+              : '🔔'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={onOpenSearch} style={styles.headerButton}>
+          <Text style={styles.headerButtonText}>🔍</Text>
+        </TouchableOpacity>
       </View>
 
+      {/* Typing Indicator */}
+      {typingNames.length > 0 && (
+        <View style={styles.typingBar}>
+          <Text style={styles.typingText}>{formatTypingText(typingNames)}</Text>
+        </View>
+      )}
+
       {/* Messages List */}
-      <FlatList
-        ref={flatListRef}
-        data={messages}
-        renderItem={renderMessage}
-        keyExtractor={item => item.id}
-        inverted
-        contentContainerStyle={styles.messagesList}
-      />
+      <View style={styles.messagesContainer}>
+        {initialLoading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#007AFF" />
+          </View>
+        ) : (
+          <FlatList
+            ref={flatListRef}
+            data={displayMessages}
+            renderItem={renderMessage}
+            keyExtractor={item => item.id}
+            inverted
+            contentContainerStyle={styles.messagesList}
+            onEndReached={loadOlder}
+            onEndReachedThreshold={0.3}
+            ListFooterComponent={renderListFooter}
+            onScroll={handleScroll}
+            scrollEventThrottle={100}
+            onScrollToIndexFailed={handleScrollToIndexFailed}
+            maintainVisibleContentPosition={{
+              minIndexForVisible: 1,
+              autoscrollToTopThreshold: 100,
+            }}
+          />
+        )}
+
+        {showJumpToLatest && (
+          <TouchableOpacity
+            style={styles.jumpToLatestButton}
+            onPress={jumpToLatest}>
+            <Text style={styles.jumpToLatestText}>↓ Jump to latest</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Edit Preview */}
+      {canPost && editingMessage && (
+        <View style={styles.replyBar}>
+          <View style={styles.replyBarContent}>
+            <Text style={styles.replyBarTitle}>Editing message</Text>
+            <Text style={styles.replyBarText} numberOfLines={1}>
+              {editingMessage.text}
+            </Text>
+          </View>
+          <TouchableOpacity
+            onPress={cancelEditing}
+            style={styles.replyBarClose}>
+            <Text style={styles.replyBarCloseText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Reply Preview */}
+      {canPost && replyingTo && (
+        <View style={styles.replyBar}>
+          <View style={styles.replyBarContent}>
+            <Text style={styles.replyBarTitle}>
+              Replying to {replyingTo.senderName || 'Unknown User'}
+            </Text>
+            <Text style={styles.replyBarText} numberOfLines={1}>
+              {replyPreviewText(buildReplyPreview(replyingTo))}
+            </Text>
+          </View>
+          <TouchableOpacity
+            onPress={() => setReplyingTo(null)}
+            style={styles.replyBarClose}>
+            <Text style={styles.replyBarCloseText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Mention Autocomplete */}
+      {canPost && (
+        <MentionSuggestions
+          suggestions={mentionSuggestions}
+          onSelect={handleSelectMention}
+        />
+      )}
 
       {/* Input Area */}
-      {(!group.isChannel || userData?.role === 'admin') && (
+      {canPost && (
         <View style={styles.inputContainer}>
           <TouchableOpacity
             style={styles.imageButton}
-            onPress={handleImagePicker}
-            disabled={loading}
-          >
-            <Text style={styles.imageButtonText}>📷</Text>
+            onPress={handleAttachmentPicker}
+            disabled={loading}>
+            <Text style={styles.imageButtonText}>📎</Text>
           </TouchableOpacity>
 
           <TextInput
@@ -228,21 +855,44 @@ export default function ChatRoomScreen({ group, onBack }) {
             placeholder="Type a message..."
             placeholderTextColor="#999"
             value={newMessage}
-            onChangeText={setNewMessage}
+            onChangeText={handleChangeText}
+            onSelectionChange={event =>
+              setCursor(event.nativeEvent.selection.end)
+            }
             multiline
             maxLength={500}
             editable={!loading}
           />
 
           <TouchableOpacity
-            style={[styles.sendButton, (!newMessage.trim() || loading) && styles.sendButtonDisabled]}
+            style={[
+              styles.sendButton,
+              (!newMessage.trim() || loading) && styles.sendButtonDisabled,
+            ]}
             onPress={sendMessage}
-            disabled={!newMessage.trim() || loading}
-          >
-            <Text style={styles.sendButtonText}>Send</Text>
+            disabled={!newMessage.trim() || loading}>
+            <Text style={styles.sendButtonText}>
+              {editingMessage ? 'Save' : 'Send'}
+            </Text>
           </TouchableOpacity>
         </View>
       )}
+
+      <MessageActionsModal
+        visible={!!actionMessage}
+        message={actionMessage}
+        currentUserId={currentUser.uid}
+        onReact={handleToggleReaction}
+        actions={messageActions}
+        onClose={() => setActionMessageId(null)}
+      />
+
+      <ReactionsSheet
+        visible={!!reactionsMessage}
+        message={reactionsMessage}
+        currentUserId={currentUser.uid}
+        onClose={() => setReactionsMessageId(null)}
+      />
     </KeyboardAvoidingView>
   );
 }
@@ -269,6 +919,13 @@ const styles = StyleSheet.create({
   headerInfo: {
     flex: 1,
   },
+  headerButton: {
+    padding: 5,
+    marginLeft: 10,
+  },
+  headerButtonText: {
+    fontSize: 18,
+  },
   headerTitle: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -280,73 +937,103 @@ const styles = StyleSheet.create({
     opacity: 0.9,
     marginTop: 2,
   },
-  messagesList: {
-    padding: 10,
-  },
-  messageContainer: {
+  unreadDivider: {
     flexDirection: 'row',
+    alignItems: 'center',
     marginBottom: 15,
-    alignItems: 'flex-end',
   },
-  ownMessageContainer: {
-    flexDirection: 'row-reverse',
+  unreadDividerLine: {
+    flex: 1,
+    height: 1,
+    backgroundColor: '#FF3B30',
   },
-  messageAvatar: {
-    width: 35,
-    height: 35,
-    borderRadius: 17.5,
-    backgroundColor: '#007AFF',
+  unreadDividerText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#FF3B30',
+    marginHorizontal: 10,
+  },
+  typingBar: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 15,
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  typingText: {
+    fontSize: 12,
+    color: '#666',
+    fontStyle: 'italic',
+  },
+  messagesContainer: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    marginRight: 8,
   },
-  avatarText: {
+  messagesList: {
+    padding: 10,
+  },
+  historyIndicator: {
+    marginVertical: 15,
+  },
+  historyEndText: {
+    fontSize: 12,
+    color: '#999',
+    textAlign: 'center',
+    marginVertical: 15,
+  },
+  jumpToLatestButton: {
+    position: 'absolute',
+    bottom: 15,
+    alignSelf: 'center',
+    backgroundColor: '#007AFF',
+    borderRadius: 20,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    shadowColor: '#000',
+    shadowOffset: {width: 0, height: 2},
+    shadowOpacity: 0.2,
+    shadowRadius: 3,
+    elevation: 3,
+  },
+  jumpToLatestText: {
     color: '#fff',
     fontSize: 14,
-    fontWeight: 'bold',
+    fontWeight: '600',
   },
-  messageBubble: {
-    maxWidth: '70%',
+  replyBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
     backgroundColor: '#fff',
-    borderRadius: 15,
-    padding: 12,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.1,
-    shadowRadius: 1,
-    elevation: 1,
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
   },
-  ownMessageBubble: {
-    backgroundColor: '#007AFF',
+  replyBarContent: {
+    flex: 1,
+    borderLeftWidth: 3,
+    borderLeftColor: '#007AFF',
+    paddingLeft: 8,
   },
-  senderName: {
+  replyBarTitle: {
     fontSize: 12,
     fontWeight: '600',
     color: '#007AFF',
-    marginBottom: 4,
   },
-  messageText: {
-    fontSize: 15,
-    color: '#333',
-    marginBottom: 4,
+  replyBarText: {
+    fontSize: 13,
+    color: '#666',
   },
-  ownMessageText: {
-    color: '#fff',
+  replyBarClose: {
+    padding: 8,
   },
-  messageTime: {
-    fontSize: 10,
+  replyBarCloseText: {
+    fontSize: 16,
     color: '#999',
-    alignSelf: 'flex-end',
-  },
-  ownMessageTime: {
-    color: '#fff',
-    opacity: 0.8,
-  },
-  messageImage: {
-    width: 200,
-    height: 200,
-    borderRadius: 10,
-    marginBottom: 8,
   },
   inputContainer: {
     flexDirection: 'row',
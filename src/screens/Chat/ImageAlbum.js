@@ -0,0 +1,110 @@
+import React, {useState} from 'react';
+import {View, Text, Image, StyleSheet, TouchableOpacity} from 'react-native';
+import {fitWithin, albumTiles} from '../../utils/imageSizing';
+
+const SINGLE_MAX_WIDTH = 220;
+const SINGLE_MAX_HEIGHT = 280;
+const TILE_SIZE = 108;
+const TILE_GAP = 4;
+
+// Shows the blurred thumbnail until the full image has loaded
+function ProgressiveImage({image, style}) {
+  const [loaded, setLoaded] = useState(false);
+
+  return (
+    <View style={[styles.frame, style]}>
+      {image.thumbnailUrl && !loaded && (
+        <Image
+          source={{uri: image.thumbnailUrl}}
+          style={StyleSheet.absoluteFill}
+          blurRadius={10}
+        />
+      )}
+      {image.url && (
+        <Image
+          source={{uri: image.url}}
+          style={StyleSheet.absoluteFill}
+          onLoad={() => setLoaded(true)}
+        />
+      )}
+    </View>
+  );
+}
+
+export default function ImageAlbum({images, onOpen}) {
+  if (images.length === 1) {
+    const image = images[0];
+    const size = fitWithin(
+      image.width,
+      image.height,
+      SINGLE_MAX_WIDTH,
+      SINGLE_MAX_HEIGHT,
+    );
+
+    return (
+      <TouchableOpacity
+        activeOpacity={0.9}
+        onPress={() => onOpen(0)}
+        style={styles.album}>
+        <ProgressiveImage image={image} style={size} />
+      </TouchableOpacity>
+    );
+  }
+
+  const {visible, hiddenCount} = albumTiles(images);
+
+  return (
+    <View style={[styles.album, styles.grid]}>
+      {visible.map((image, index) => (
+        <TouchableOpacity
+          key={image.path || image.url || index}
+          activeOpacity={0.9}
+          onPress={() => onOpen(index)}
+          style={styles.tile}>
+          <ProgressiveImage image={image} style={styles.tileImage} />
+          {hiddenCount > 0 && index === visible.length - 1 && (
+            <View style={styles.moreOverlay}>
+              <Text style={styles.moreText}>+{hiddenCount}</Text>
+            </View>
+          )}
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  album: {
+    marginBottom: 8,
+  },
+  grid: {
+    width: TILE_SIZE * 2 + TILE_GAP,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  frame: {
+    borderRadius: 10,
+    overflow: 'hidden',
+    backgroundColor: '#e0e0e0',
+  },
+  tile: {
+    marginBottom: TILE_GAP,
+  },
+  tileImage: {
+    width: TILE_SIZE,
+    height: TILE_SIZE,
+  },
+  moreOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  moreText: {
+    color: '#fff',
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+});
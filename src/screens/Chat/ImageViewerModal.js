@@ -0,0 +1,226 @@
+import React, {useState, useRef} from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  Animated,
+  PanResponder,
+  useWindowDimensions,
+} from 'react-native';
+
+const MAX_SCALE = 4;
+const DOUBLE_TAP_SCALE = 2.5;
+const DOUBLE_TAP_MS = 300;
+
+const touchDistance = touches =>
+  Math.hypot(
+    touches[0].pageX - touches[1].pageX,
+    touches[0].pageY - touches[1].pageY,
+  );
+
+// Pinch to zoom, drag to pan while zoomed, double tap to toggle zoom.
+// Single-finger gestures are left to the pager unless the image is zoomed.
+function ZoomableImage({image, width, height, onZoomChange}) {
+  const scale = useRef(new Animated.Value(1)).current;
+  const translate = useRef(new Animated.ValueXY()).current;
+  const gesture = useRef({
+    scale: 1,
+    offset: {x: 0, y: 0},
+    current: {x: 0, y: 0},
+    pinchDistance: null,
+    pinchScale: 1,
+    lastTap: 0,
+  }).current;
+
+  const setZoom = nextScale => {
+    gesture.scale = nextScale;
+    gesture.offset = {x: 0, y: 0};
+    gesture.current = {x: 0, y: 0};
+    Animated.parallel([
+      Animated.spring(scale, {toValue: nextScale, useNativeDriver: true}),
+      Animated.spring(translate, {
+        toValue: {x: 0, y: 0},
+        useNativeDriver: true,
+      }),
+    ]).start();
+    onZoomChange(nextScale > 1);
+  };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: event =>
+        event.nativeEvent.touches.length === 2,
+      onMoveShouldSetPanResponder: event =>
+        event.nativeEvent.touches.length === 2 || gesture.scale > 1,
+      onPanResponderMove: (event, state) => {
+        const touches = event.nativeEvent.touches;
+
+        if (touches.length === 2) {
+          const distance = touchDistance(touches);
+          if (gesture.pinchDistance === null) {
+            gesture.pinchDistance = distance;
+            gesture.pinchScale = gesture.scale;
+          }
+          const nextScale = Math.min(
+            Math.max(
+              (gesture.pinchScale * distance) / gesture.pinchDistance,
+              1,
+            ),
+            MAX_SCALE,
+          );
+          gesture.scale = nextScale;
+          scale.setValue(nextScale);
+        } else if (gesture.scale > 1) {
+          gesture.current = {
+            x: gesture.offset.x + state.dx,
+            y: gesture.offset.y + state.dy,
+          };
+          translate.setValue(gesture.current);
+        }
+      },
+      onPanResponderRelease: () => {
+        gesture.pinchDistance = null;
+        gesture.offset = gesture.current;
+        if (gesture.scale <= 1) {
+          setZoom(1);
+        } else {
+          onZoomChange(true);
+        }
+      },
+      onPanResponderTerminate: () => {
+        gesture.pinchDistance = null;
+        gesture.offset = gesture.current;
+      },
+    }),
+  ).current;
+
+  const handleTap = () => {
+    const now = Date.now();
+    if (now - gesture.lastTap < DOUBLE_TAP_MS) {
+      setZoom(gesture.scale > 1 ? 1 : DOUBLE_TAP_SCALE);
+      gesture.lastTap = 0;
+    } else {
+      gesture.lastTap = now;
+    }
+  };
+
+  return (
+    <TouchableWithoutFeedback onPress={handleTap}>
+      <View
+        style={[styles.page, {width, height}]}
+        {...panResponder.panHandlers}>
+        <Animated.Image
+          source={{uri: image.url}}
+          resizeMode="contain"
+          style={[
+            {width, height},
+            {
+              transform: [
+                {translateX: translate.x},
+                {translateY: translate.y},
+                {scale},
+              ],
+            },
+          ]}
+        />
+      </View>
+    </TouchableWithoutFeedback>
+  );
+}
+
+export default function ImageViewerModal({images, initialIndex = 0, onClose}) {
+  const {width, height} = useWindowDimensions();
+  const [index, setIndex] = useState(initialIndex);
+  const [zoomed, setZoomed] = useState(false);
+
+  return (
+    <Modal
+      visible={true}
+      transparent={false}
+      animationType="fade"
+      onRequestClose={onClose}>
+      <View style={styles.container}>
+        <FlatList
+          data={images}
+          horizontal
+          pagingEnabled
+          scrollEnabled={!zoomed}
+          initialScrollIndex={initialIndex}
+          getItemLayout={(data, itemIndex) => ({
+            length: width,
+            offset: width * itemIndex,
+            index: itemIndex,
+          })}
+          keyExtractor={(item, itemIndex) =>
+            item.path || item.url || String(itemIndex)
+          }
+          onMomentumScrollEnd={event =>
+            setIndex(Math.round(event.nativeEvent.contentOffset.x / width))
+          }
+          showsHorizontalScrollIndicator={false}
+          renderItem={({item}) => (
+            <ZoomableImage
+              image={item}
+              width={width}
+              height={height}
+              onZoomChange={setZoomed}
+            />
+          )}
+        />
+
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.closeText}>✕</Text>
+          </TouchableOpacity>
+          {images.length > 1 && (
+            <Text style={styles.counter}>
+              {index + 1} / {images.length}
+            </Text>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  page: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    overflow: 'hidden',
+  },
+  header: {
+    position: 'absolute',
+    top: 50,
+    left: 15,
+    right: 15,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  closeButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeText: {
+    color: '#fff',
+    fontSize: 18,
+  },
+  counter: {
+    color: '#fff',
+    fontSize: 16,
+  },
+});
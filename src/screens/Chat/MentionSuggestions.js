@@ -0,0 +1,64 @@
+import React from 'react';
+import {View, Text, StyleSheet, TouchableOpacity} from 'react-native';
+
+export default function MentionSuggestions({suggestions, onSelect}) {
+  if (suggestions.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      {suggestions.map(member => (
+        <TouchableOpacity
+          key={member.id}
+          style={styles.suggestion}
+          onPress={() => onSelect(member)}>
+          <View style={styles.avatar}>
+            <Text style={styles.avatarText}>
+              {member.name?.charAt(0)?.toUpperCase() || 'U'}
+            </Text>
+          </View>
+          <Text style={styles.name}>{member.name}</Text>
+          <Text style={styles.username}>@{member.username}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+  suggestion: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+  },
+  avatar: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: '#007AFF',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  avatarText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  name: {
+    fontSize: 15,
+    color: '#333',
+    marginRight: 6,
+  },
+  username: {
+    fontSize: 13,
+    color: '#999',
+  },
+});
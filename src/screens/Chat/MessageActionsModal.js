@@ -0,0 +1,137 @@
+import React from 'react';
+import {View, Text, StyleSheet, Modal, TouchableOpacity} from 'react-native';
+import {REACTION_EMOJIS, hasReacted} from './reactions';
+
+// Long-press menu for a message: a row of reaction emojis followed by
+// whichever actions the caller allows for this message.
+export default function MessageActionsModal({
+  visible,
+  message,
+  currentUserId,
+  onReact,
+  actions,
+  onClose,
+}) {
+  if (!message) {
+    return null;
+  }
+
+  const handleReact = emoji => {
+    onClose();
+    onReact(message, emoji);
+  };
+
+  const handleAction = action => {
+    onClose();
+    action.onPress(message);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="fade"
+      transparent={true}
+      onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <TouchableOpacity
+          style={styles.backdrop}
+          activeOpacity={1}
+          onPress={onClose}
+        />
+        <View style={styles.sheet}>
+          <View style={styles.emojiRow}>
+            {REACTION_EMOJIS.map(emoji => {
+              const selected = hasReacted(
+                message.reactions,
+                emoji,
+                currentUserId,
+              );
+              return (
+                <TouchableOpacity
+                  key={emoji}
+                  style={[
+                    styles.emojiButton,
+                    selected && styles.emojiButtonSelected,
+                  ]}
+                  onPress={() => handleReact(emoji)}>
+                  <Text style={styles.emoji}>{emoji}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {actions.map(action => (
+            <TouchableOpacity
+              key={action.label}
+              style={styles.actionButton}
+              onPress={() => handleAction(action)}>
+              <Text
+                style={[
+                  styles.actionText,
+                  action.destructive && styles.destructiveText,
+                ]}>
+                {action.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+
+          <TouchableOpacity style={styles.actionButton} onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  backdrop: {
+    flex: 1,
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 15,
+    borderTopRightRadius: 15,
+    paddingBottom: 30,
+  },
+  emojiRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  emojiButton: {
+    padding: 8,
+    borderRadius: 20,
+  },
+  emojiButtonSelected: {
+    backgroundColor: '#e5f0ff',
+  },
+  emoji: {
+    fontSize: 26,
+  },
+  actionButton: {
+    paddingVertical: 15,
+    paddingHorizontal: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  actionText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  destructiveText: {
+    color: '#FF3B30',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+    textAlign: 'center',
+  },
+});
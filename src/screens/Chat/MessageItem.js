@@ -0,0 +1,525 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Image,
+  Linking,
+  Alert,
+} from 'react-native';
+import {activeReactions} from './reactions';
+import {splitMentionSegments} from './mentions';
+import ImageAlbum from './ImageAlbum';
+import ImageViewerModal from './ImageViewerModal';
+import {fileIcon, formatFileSize} from '../../utils/attachments';
+import {messageImages} from '../../utils/imageSizing';
+import {replyPreviewText} from '../../utils/replyQuotes';
+
+export const formatTime = timestamp => {
+  if (!timestamp || !timestamp.toDate) {
+    return 'Now';
+  }
+  try {
+    const date = timestamp.toDate();
+    return date.toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'});
+  } catch (error) {
+    return 'Now';
+  }
+};
+
+// Files open in the system viewer or browser, which also handles downloading
+const openAttachment = async message => {
+  // Until the upload finishes the URL is a local file
+  if (!/^https?:/.test(message.mediaUrl || '')) {
+    return;
+  }
+
+  try {
+    await Linking.openURL(message.mediaUrl);
+  } catch (error) {
+    console.error('Error opening attachment:', error);
+    Alert.alert('Error', 'Failed to open file');
+  }
+};
+
+const SenderAvatar = ({message}) =>
+  message.senderProfilePic ? (
+    <Image
+      source={{uri: message.senderProfilePic}}
+      style={styles.messageAvatar}
+    />
+  ) : (
+    <View style={styles.messageAvatar}>
+      <Text style={styles.avatarText}>
+        {message.senderName?.charAt(0)?.toUpperCase() || 'U'}
+      </Text>
+    </View>
+  );
+
+const DELIVERY_ICONS = {
+  pending: '🕓',
+  sent: '✓',
+  failed: '⚠️',
+};
+
+export default function MessageItem({
+  message,
+  isOwn,
+  currentUserId,
+  onLongPress,
+  onOpenThread,
+  onToggleReaction,
+  onShowReactions,
+  seenByText,
+  deliveryStatus,
+  onPressFailed,
+  highlighted,
+  uploadProgress,
+  onCancelUpload,
+}) {
+  const [viewerIndex, setViewerIndex] = useState(null);
+  const replyCount = message.replyCount || 0;
+  const reactions = activeReactions(message.reactions);
+  const images = messageImages(message);
+
+  if (message.type === 'system') {
+    return (
+      <View style={styles.systemContainer}>
+        <Text style={styles.systemText}>{message.text}</Text>
+      </View>
+    );
+  }
+
+  if (message.deleted) {
+    return (
+      <View
+        style={[styles.messageContainer, isOwn && styles.ownMessageContainer]}>
+        {!isOwn && <SenderAvatar message={message} />}
+        <View
+          style={[styles.messageContent, isOwn && styles.ownMessageContent]}>
+          <View style={[styles.messageBubble, styles.deletedBubble]}>
+            <Text style={styles.deletedText}>🚫 This message was deleted</Text>
+            <Text style={styles.messageTime}>
+              {formatTime(message.createdAt)}
+            </Text>
+          </View>
+
+          {onOpenThread && replyCount > 0 && (
+            <TouchableOpacity onPress={() => onOpenThread(message)}>
+              <Text style={styles.threadLink}>
+                💬 {replyCount} {replyCount === 1 ? 'reply' : 'replies'}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View
+      style={[styles.messageContainer, isOwn && styles.ownMessageContainer]}>
+      {!isOwn && <SenderAvatar message={message} />}
+      <View style={[styles.messageContent, isOwn && styles.ownMessageContent]}>
+        <TouchableOpacity
+          activeOpacity={0.8}
+          onLongPress={onLongPress ? () => onLongPress(message) : undefined}
+          disabled={!onLongPress}
+          style={[
+            styles.messageBubble,
+            isOwn && styles.ownMessageBubble,
+            highlighted && styles.highlightedBubble,
+          ]}>
+          {!isOwn && (
+            <Text style={styles.senderName}>{message.senderName}</Text>
+          )}
+
+          {message.replyTo && (
+            <View style={[styles.quote, isOwn && styles.ownQuote]}>
+              <Text style={[styles.quoteSender, isOwn && styles.ownQuoteText]}>
+                {message.replyTo.senderName}
+              </Text>
+              <Text
+                style={[styles.quoteText, isOwn && styles.ownQuoteText]}
+                numberOfLines={2}>
+                {replyPreviewText(message.replyTo)}
+              </Text>
+            </View>
+          )}
+
+          {images.length > 0 && (
+            <ImageAlbum images={images} onOpen={setViewerIndex} />
+          )}
+
+          {message.mediaType === 'file' && (
+            <TouchableOpacity
+              style={[styles.fileCard, isOwn && styles.ownFileCard]}
+              onPress={() => openAttachment(message)}>
+              <Text style={styles.fileIcon}>{fileIcon(message.mimeType)}</Text>
+              <View style={styles.fileInfo}>
+                <Text
+                  style={[styles.fileName, isOwn && styles.ownMessageText]}
+                  numberOfLines={2}>
+                  {message.fileName || 'File'}
+                </Text>
+                {!!message.fileSize && (
+                  <Text style={[styles.fileSize, isOwn && styles.ownFileSize]}>
+                    {formatFileSize(message.fileSize)}
+                  </Text>
+                )}
+              </View>
+            </TouchableOpacity>
+          )}
+
+          {uploadProgress != null && (
+            <View style={styles.uploadRow}>
+              <View
+                style={[
+                  styles.progressTrack,
+                  isOwn && styles.ownProgressTrack,
+                ]}>
+                <View
+                  style={[
+                    styles.progressFill,
+                    isOwn && styles.ownProgressFill,
+                    {width: `${Math.round(uploadProgress * 100)}%`},
+                  ]}
+                />
+              </View>
+              {onCancelUpload && (
+                <TouchableOpacity onPress={() => onCancelUpload(message)}>
+                  <Text
+                    style={[
+                      styles.cancelUploadText,
+                      isOwn && styles.ownMessageText,
+                    ]}>
+                    Cancel
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+
+          {!!message.text && (
+            <Text style={[styles.messageText, isOwn && styles.ownMessageText]}>
+              {splitMentionSegments(message.text, message.mentions).map(
+                (segment, index) =>
+                  segment.mention ? (
+                    <Text
+                      key={index}
+                      style={[
+                        styles.mention,
+                        isOwn && styles.ownMention,
+                        segment.mention.userId === currentUserId &&
+                          styles.selfMention,
+                      ]}>
+                      {segment.text}
+                    </Text>
+                  ) : (
+                    segment.text
+                  ),
+              )}
+            </Text>
+          )}
+
+          <Text style={[styles.messageTime, isOwn && styles.ownMessageTime]}>
+            {message.editedAt ? 'edited · ' : ''}
+            {formatTime(message.createdAt)}
+            {deliveryStatus ? `  ${DELIVERY_ICONS[deliveryStatus]}` : ''}
+          </Text>
+        </TouchableOpacity>
+
+        {deliveryStatus === 'failed' && (
+          <TouchableOpacity onPress={() => onPressFailed?.(message)}>
+            <Text style={styles.failedText}>Not sent · Tap to retry</Text>
+          </TouchableOpacity>
+        )}
+
+        {reactions.length > 0 && (
+          <View style={[styles.reactionsRow, isOwn && styles.ownReactionsRow]}>
+            {reactions.map(([emoji, userIds]) => (
+              <TouchableOpacity
+                key={emoji}
+                style={[
+                  styles.reactionChip,
+                  userIds.includes(currentUserId) &&
+                    styles.reactionChipSelected,
+                ]}
+                onPress={() => onToggleReaction?.(message, emoji)}
+                onLongPress={() => onShowReactions?.(message)}
+                disabled={!onToggleReaction}>
+                <Text style={styles.reactionEmoji}>{emoji}</Text>
+                <Text style={styles.reactionCount}>{userIds.length}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {!!seenByText && <Text style={styles.seenByText}>{seenByText}</Text>}
+
+        {onOpenThread && replyCount > 0 && (
+          <TouchableOpacity onPress={() => onOpenThread(message)}>
+            <Text style={styles.threadLink}>
+              💬 {replyCount} {replyCount === 1 ? 'reply' : 'replies'}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {viewerIndex !== null && (
+        <ImageViewerModal
+          images={images}
+          initialIndex={viewerIndex}
+          onClose={() => setViewerIndex(null)}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  systemContainer: {
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  systemText: {
+    fontSize: 12,
+    color: '#666',
+    backgroundColor: '#e8e8e8',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    overflow: 'hidden',
+  },
+  messageContainer: {
+    flexDirection: 'row',
+    marginBottom: 15,
+    alignItems: 'flex-end',
+  },
+  ownMessageContainer: {
+    flexDirection: 'row-reverse',
+  },
+  messageAvatar: {
+    width: 35,
+    height: 35,
+    borderRadius: 17.5,
+    backgroundColor: '#007AFF',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  avatarText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  messageContent: {
+    maxWidth: '70%',
+    alignItems: 'flex-start',
+  },
+  ownMessageContent: {
+    alignItems: 'flex-end',
+  },
+  messageBubble: {
+    backgroundColor: '#fff',
+    borderRadius: 15,
+    padding: 12,
+    shadowColor: '#000',
+    shadowOffset: {width: 0, height: 1},
+    shadowOpacity: 0.1,
+    shadowRadius: 1,
+    elevation: 1,
+  },
+  ownMessageBubble: {
+    backgroundColor: '#007AFF',
+  },
+  highlightedBubble: {
+    borderWidth: 2,
+    borderColor: '#FFCC00',
+  },
+  senderName: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#007AFF',
+    marginBottom: 4,
+  },
+  quote: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#007AFF',
+    backgroundColor: '#f0f4fa',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    marginBottom: 6,
+  },
+  ownQuote: {
+    borderLeftColor: '#fff',
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  quoteSender: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  quoteText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  ownQuoteText: {
+    color: '#fff',
+  },
+  messageText: {
+    fontSize: 15,
+    color: '#333',
+    marginBottom: 4,
+  },
+  ownMessageText: {
+    color: '#fff',
+  },
+  mention: {
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  ownMention: {
+    color: '#fff',
+    textDecorationLine: 'underline',
+  },
+  selfMention: {
+    backgroundColor: '#FFF3C4',
+    color: '#333',
+  },
+  messageTime: {
+    fontSize: 10,
+    color: '#999',
+    alignSelf: 'flex-end',
+  },
+  ownMessageTime: {
+    color: '#fff',
+    opacity: 0.8,
+  },
+  deletedBubble: {
+    backgroundColor: '#f0f0f0',
+    shadowOpacity: 0,
+    elevation: 0,
+  },
+  deletedText: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+    marginBottom: 4,
+  },
+  uploadRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+    minWidth: 180,
+  },
+  progressTrack: {
+    flex: 1,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#e0e0e0',
+    overflow: 'hidden',
+    marginRight: 10,
+  },
+  ownProgressTrack: {
+    backgroundColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  progressFill: {
+    height: 4,
+    backgroundColor: '#007AFF',
+  },
+  ownProgressFill: {
+    backgroundColor: '#fff',
+  },
+  cancelUploadText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#FF3B30',
+  },
+  fileCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f0f0f0',
+    borderRadius: 10,
+    padding: 10,
+    marginBottom: 8,
+    minWidth: 180,
+  },
+  ownFileCard: {
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  fileIcon: {
+    fontSize: 28,
+    marginRight: 10,
+  },
+  fileInfo: {
+    flexShrink: 1,
+  },
+  fileName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  fileSize: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  ownFileSize: {
+    color: '#fff',
+    opacity: 0.8,
+  },
+  reactionsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 4,
+  },
+  ownReactionsRow: {
+    justifyContent: 'flex-end',
+  },
+  reactionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 12,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginRight: 4,
+    marginTop: 2,
+  },
+  reactionChipSelected: {
+    backgroundColor: '#e5f0ff',
+    borderColor: '#007AFF',
+  },
+  reactionEmoji: {
+    fontSize: 14,
+  },
+  reactionCount: {
+    fontSize: 12,
+    color: '#333',
+    marginLeft: 3,
+  },
+  failedText: {
+    fontSize: 12,
+    color: '#FF3B30',
+    marginTop: 3,
+    marginHorizontal: 4,
+  },
+  seenByText: {
+    fontSize: 11,
+    color: '#999',
+    marginTop: 3,
+    marginHorizontal: 4,
+  },
+  threadLink: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#007AFF',
+    marginTop: 4,
+    marginHorizontal: 4,
+  },
+});
@@ -0,0 +1,169 @@
+import React, {useState, useEffect} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import {workspaceRef} from '../../config/firebase';
+import {useAuth} from '../../context/AuthContext';
+import {activeReactions} from './reactions';
+
+// "Who reacted" sheet listing every member behind each emoji on a message
+export default function ReactionsSheet({
+  visible,
+  message,
+  currentUserId,
+  onClose,
+}) {
+  const {workspaceId} = useAuth();
+  const [names, setNames] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  const reactions = activeReactions(message?.reactions);
+
+  useEffect(() => {
+    if (!visible || !message) {
+      return;
+    }
+
+    const userIds = [
+      ...new Set(activeReactions(message.reactions).flatMap(([, ids]) => ids)),
+    ];
+    let cancelled = false;
+
+    setLoading(true);
+    Promise.all(
+      userIds.map(id =>
+        workspaceRef(workspaceId).collection('users').doc(id).get(),
+      ),
+    )
+      .then(docs => {
+        if (cancelled) {
+          return;
+        }
+        const resolved = {};
+        docs.forEach(doc => {
+          resolved[doc.id] = doc.data()?.name || 'Unknown User';
+        });
+        setNames(resolved);
+      })
+      .catch(error => {
+        console.error('Error fetching reaction users:', error);
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, workspaceId, message]);
+
+  if (!message) {
+    return null;
+  }
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <TouchableOpacity
+          style={styles.backdrop}
+          activeOpacity={1}
+          onPress={onClose}
+        />
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Reactions</Text>
+
+          {loading ? (
+            <ActivityIndicator style={styles.loading} color="#007AFF" />
+          ) : (
+            <ScrollView style={styles.list}>
+              {reactions.map(([emoji, userIds]) => (
+                <View key={emoji} style={styles.reactionGroup}>
+                  <Text style={styles.reactionHeader}>
+                    {emoji} {userIds.length}
+                  </Text>
+                  {userIds.map(userId => (
+                    <Text key={userId} style={styles.userName}>
+                      {userId === currentUserId
+                        ? 'You'
+                        : names[userId] || 'Unknown User'}
+                    </Text>
+                  ))}
+                </View>
+              ))}
+            </ScrollView>
+          )}
+
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Text style={styles.closeText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  backdrop: {
+    flex: 1,
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 15,
+    borderTopRightRadius: 15,
+    padding: 20,
+    paddingBottom: 30,
+    maxHeight: '60%',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  loading: {
+    marginVertical: 20,
+  },
+  list: {
+    marginBottom: 10,
+  },
+  reactionGroup: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  reactionHeader: {
+    fontSize: 18,
+    marginBottom: 6,
+  },
+  userName: {
+    fontSize: 15,
+    color: '#333',
+    paddingVertical: 3,
+  },
+  closeButton: {
+    padding: 15,
+    alignItems: 'center',
+  },
+  closeText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,426 @@
+import React, {useState, useEffect} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import {useAuth} from '../../context/AuthContext';
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../../config/firebase';
+import MessageItem from './MessageItem';
+import MessageActionsModal from './MessageActionsModal';
+import ReactionsSheet from './ReactionsSheet';
+import {
+  editMessage,
+  confirmDeleteMessage,
+  showEditHistory,
+  toggleReaction,
+} from './messageEditing';
+import {canPostInGroup, canModerateMessages} from '../../utils/permissions';
+import {searchTokens} from '../../utils/messageSearch';
+import {useUserProfiles} from '../../context/UserProfilesContext';
+import {senderIds, withSenderIdentity} from '../../utils/senderIdentity';
+
+export default function ThreadScreen({group, parentMessageId, onBack}) {
+  const {currentUser, userData, workspaceId} = useAuth();
+  const [parent, setParent] = useState(null);
+  const [replies, setReplies] = useState([]);
+  const [newReply, setNewReply] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [actionMessageId, setActionMessageId] = useState(null);
+  const [reactionsMessageId, setReactionsMessageId] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = workspaceRef(workspaceId)
+      .collection('messages')
+      .doc(parentMessageId)
+      .onSnapshot(
+        doc => {
+          if (doc.exists) {
+            setParent({id: doc.id, ...doc.data()});
+          }
+        },
+        error => {
+          console.error('Error fetching thread parent:', error);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId, parentMessageId]);
+
+  useEffect(() => {
+    const unsubscribe = workspaceRef(workspaceId)
+      .collection('messages')
+      .where('groupId', '==', group.id)
+      .where('threadId', '==', parentMessageId)
+      .orderBy('createdAt', 'desc')
+      .onSnapshot(
+        snapshot => {
+          setReplies(
+            snapshot.docs.map(doc => ({
+              id: doc.id,
+              ...doc.data(),
+            })),
+          );
+        },
+        error => {
+          console.error('Error fetching replies:', error);
+          Alert.alert('Error', error.message);
+        },
+      );
+
+    return unsubscribe;
+  }, [workspaceId, group.id, parentMessageId]);
+
+  const canModerate = canModerateMessages(userData, group);
+  const canPost = canPostInGroup(userData, group);
+  const threadMessages = parent ? [parent, ...replies] : replies;
+  const senderProfiles = useUserProfiles(senderIds(threadMessages));
+  const actionMessage = threadMessages.find(
+    message => message.id === actionMessageId,
+  );
+  const reactionsMessage = threadMessages.find(
+    message => message.id === reactionsMessageId,
+  );
+
+  const saveEdit = async () => {
+    const message = editingMessage;
+    const replyText = newReply;
+    setEditingMessage(null);
+    setNewReply('');
+
+    if (replyText === message.text) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await editMessage(workspaceId, message, replyText, null, currentUser.uid);
+    } catch (error) {
+      console.error('Error editing message:', error);
+      Alert.alert('Error', 'Failed to edit message');
+      setEditingMessage(message);
+      setNewReply(replyText); // Restore edit on error
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const sendReply = async () => {
+    if (!newReply.trim()) {
+      return;
+    }
+
+    if (editingMessage) {
+      await saveEdit();
+      return;
+    }
+
+    const replyText = newReply;
+    setNewReply('');
+    setLoading(true);
+
+    try {
+      const batch = firestore().batch();
+      const replyRef = workspaceRef(workspaceId).collection('messages').doc();
+      const parentRef = workspaceRef(workspaceId)
+        .collection('messages')
+        .doc(parentMessageId);
+
+      batch.set(replyRef, {
+        text: replyText,
+        groupId: group.id,
+        threadId: parentMessageId,
+        senderId: currentUser.uid,
+        senderName: userData?.name || 'Unknown User',
+        senderProfilePic: userData?.profilePictureUrl || null,
+        type: 'reply',
+        searchTokens: searchTokens(replyText),
+        createdAt: firestore.FieldValue.serverTimestamp(),
+      });
+      // The security rules check the count against the reply named here
+      batch.update(parentRef, {
+        replyCount: firestore.FieldValue.increment(1),
+        lastReplyAt: firestore.FieldValue.serverTimestamp(),
+        lastReplyId: replyRef.id,
+      });
+
+      await batch.commit();
+    } catch (error) {
+      console.error('Error sending reply:', error);
+      Alert.alert('Error', 'Failed to send reply');
+      setNewReply(replyText); // Restore reply on error
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleReaction = async (message, emoji) => {
+    try {
+      await toggleReaction(workspaceId, message, emoji, currentUser.uid);
+    } catch (error) {
+      console.error('Error updating reaction:', error);
+      Alert.alert('Error', 'Failed to update reaction');
+    }
+  };
+
+  const isOwnAction = actionMessage?.senderId === currentUser.uid;
+  const messageActions = [
+    ...(canPost && isOwnAction && actionMessage?.text
+      ? [
+          {
+            label: 'Edit',
+            onPress: message => {
+              setEditingMessage(message);
+              setNewReply(message.text);
+            },
+          },
+        ]
+      : []),
+    ...(canModerate && actionMessage?.editedAt
+      ? [
+          {
+            label: 'Edit History',
+            onPress: message => showEditHistory(workspaceId, message),
+          },
+        ]
+      : []),
+    ...(isOwnAction || canModerate
+      ? [
+          {
+            label: 'Delete',
+            onPress: message =>
+              confirmDeleteMessage(workspaceId, message, currentUser.uid),
+            destructive: true,
+          },
+        ]
+      : []),
+  ];
+
+  const renderThreadMessage = message => (
+    <MessageItem
+      message={withSenderIdentity(message, senderProfiles)}
+      isOwn={message.senderId === currentUser.uid}
+      currentUserId={currentUser.uid}
+      onLongPress={item => setActionMessageId(item.id)}
+      onToggleReaction={handleToggleReaction}
+      onShowReactions={item => setReactionsMessageId(item.id)}
+    />
+  );
+
+  const renderReply = ({item}) => renderThreadMessage(item);
+
+  const renderParent = () => (
+    // Rendered at the top of the inverted list, above the first reply
+    <View style={styles.parentContainer}>
+      {parent ? (
+        renderThreadMessage(parent)
+      ) : (
+        <ActivityIndicator style={styles.parentLoading} color="#007AFF" />
+      )}
+      <Text style={styles.replyCountText}>
+        {replies.length} {replies.length === 1 ? 'reply' : 'replies'}
+      </Text>
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+        <View style={styles.headerInfo}>
+          <Text style={styles.headerTitle}>Thread</Text>
+          <Text style={styles.headerSubtitle}>{group.name}</Text>
+        </View>
+      </View>
+
+      {/* Replies List */}
+      <FlatList
+        data={replies}
+        renderItem={renderReply}
+        keyExtractor={item => item.id}
+        inverted
+        ListFooterComponent={renderParent}
+        contentContainerStyle={styles.repliesList}
+      />
+
+      {/* Edit Preview */}
+      {canPost && editingMessage && (
+        <View style={styles.editBar}>
+          <Text style={styles.editBarText} numberOfLines={1}>
+            Editing: {editingMessage.text}
+          </Text>
+          <TouchableOpacity
+            onPress={() => {
+              setEditingMessage(null);
+              setNewReply('');
+            }}
+            style={styles.editBarClose}>
+            <Text style={styles.editBarCloseText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Input Area */}
+      {canPost && (
+        <View style={styles.inputContainer}>
+          <TextInput
+            style={styles.input}
+            placeholder="Reply in thread..."
+            placeholderTextColor="#999"
+            value={newReply}
+            onChangeText={setNewReply}
+            multiline
+            maxLength={500}
+            editable={!loading}
+          />
+
+          <TouchableOpacity
+            style={[
+              styles.sendButton,
+              (!newReply.trim() || loading) && styles.sendButtonDisabled,
+            ]}
+            onPress={sendReply}
+            disabled={!newReply.trim() || loading}>
+            <Text style={styles.sendButtonText}>
+              {editingMessage ? 'Save' : 'Send'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <MessageActionsModal
+        visible={!!actionMessage}
+        message={actionMessage}
+        currentUserId={currentUser.uid}
+        onReact={handleToggleReaction}
+        actions={messageActions}
+        onClose={() => setActionMessageId(null)}
+      />
+
+      <ReactionsSheet
+        visible={!!reactionsMessage}
+        message={reactionsMessage}
+        currentUserId={currentUser.uid}
+        onClose={() => setReactionsMessageId(null)}
+      />
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    paddingTop: 50,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    color: '#fff',
+    opacity: 0.9,
+    marginTop: 2,
+  },
+  repliesList: {
+    padding: 10,
+  },
+  parentContainer: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+    marginBottom: 15,
+  },
+  parentLoading: {
+    marginVertical: 20,
+  },
+  replyCountText: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 10,
+  },
+  editBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+  },
+  editBarText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666',
+  },
+  editBarClose: {
+    padding: 8,
+  },
+  editBarCloseText: {
+    fontSize: 16,
+    color: '#999',
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    padding: 10,
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+    borderRadius: 20,
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    marginRight: 10,
+    maxHeight: 100,
+    fontSize: 15,
+  },
+  sendButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 20,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+  },
+  sendButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  sendButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
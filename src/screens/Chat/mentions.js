@@ -0,0 +1,103 @@
+// Usernames follow the signup rule: letters, numbers and underscores
+const MENTION_PATTERN = /@([a-zA-Z0-9_]+)/g;
+const ACTIVE_MENTION_PATTERN = /(^|\s)@([a-zA-Z0-9_]*)$/;
+
+export const MAX_MENTION_SUGGESTIONS = 6;
+
+// Returns the partial "@query" the cursor is sitting in, or null
+export function getActiveMention(text, cursor) {
+  const beforeCursor = text.slice(0, cursor);
+  const match = beforeCursor.match(ACTIVE_MENTION_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    query: match[2].toLowerCase(),
+    start: beforeCursor.length - match[2].length - 1,
+  };
+}
+
+// Replaces the active "@query" with the chosen username
+export function insertMention(text, activeMention, cursor, username) {
+  const followedBySpace = /^\s/.test(text.slice(cursor));
+  const inserted = followedBySpace ? `@${username}` : `@${username} `;
+  return {
+    text: text.slice(0, activeMention.start) + inserted + text.slice(cursor),
+    cursor: activeMention.start + inserted.length,
+  };
+}
+
+export function filterMentionCandidates(members, query, currentUserId) {
+  return members
+    .filter(member => member.id !== currentUserId && member.username)
+    .filter(member => {
+      if (!query) {
+        return true;
+      }
+      return (
+        member.username.toLowerCase().startsWith(query) ||
+        (member.name || '')
+          .toLowerCase()
+          .split(/\s+/)
+          .some(part => part.startsWith(query))
+      );
+    })
+    .slice(0, MAX_MENTION_SUGGESTIONS);
+}
+
+// Structured mentions for every "@username" in the text that belongs to a member
+export function extractMentions(text, members) {
+  const byUsername = {};
+  members.forEach(member => {
+    if (member.username) {
+      byUsername[member.username.toLowerCase()] = member;
+    }
+  });
+
+  const mentions = [];
+  const seen = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const member = byUsername[match[1].toLowerCase()];
+    if (member && !seen.has(member.id)) {
+      seen.add(member.id);
+      mentions.push({
+        userId: member.id,
+        username: member.username.toLowerCase(),
+        name: member.name || member.username,
+      });
+    }
+  }
+  return mentions;
+}
+
+// Splits message text into plain and mention segments for rendering
+export function splitMentionSegments(text, mentions) {
+  if (!mentions?.length) {
+    return [{text}];
+  }
+
+  const byUsername = {};
+  mentions.forEach(mention => {
+    byUsername[mention.username] = mention;
+  });
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const mention = byUsername[match[1].toLowerCase()];
+    if (!mention) {
+      continue;
+    }
+
+    if (match.index > lastIndex) {
+      segments.push({text: text.slice(lastIndex, match.index)});
+    }
+    segments.push({text: match[0], mention});
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) {
+    segments.push({text: text.slice(lastIndex)});
+  }
+  return segments;
+}
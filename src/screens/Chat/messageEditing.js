@@ -0,0 +1,195 @@
+import {Alert} from 'react-native';
+import firestore from '@react-native-firebase/firestore';
+import storage from '@react-native-firebase/storage';
+import {workspaceRef} from '../../config/firebase';
+import {formatTime} from './MessageItem';
+import {searchTokens} from '../../utils/messageSearch';
+import {hasReacted} from './reactions';
+
+// Previous versions are kept in messages/{id}/edits rather than on the
+// message itself, so only admins (not every member) can read them.
+export async function editMessage(
+  workspaceId,
+  message,
+  newText,
+  mentions,
+  userId,
+) {
+  const messageRef = workspaceRef(workspaceId)
+    .collection('messages')
+    .doc(message.id);
+  const batch = firestore().batch();
+
+  batch.set(messageRef.collection('edits').doc(), {
+    text: message.text || '',
+    editedBy: userId,
+    replacedAt: firestore.FieldValue.serverTimestamp(),
+  });
+
+  const updates = {
+    text: newText,
+    searchTokens: searchTokens(newText),
+    editedAt: firestore.FieldValue.serverTimestamp(),
+  };
+  // Callers without a member list (e.g. threads) pass null to leave mentions as they are
+  if (mentions) {
+    updates.mentions =
+      mentions.length > 0 ? mentions : firestore.FieldValue.delete();
+    updates.mentionIds =
+      mentions.length > 0
+        ? mentions.map(mention => mention.userId)
+        : firestore.FieldValue.delete();
+  }
+  batch.update(messageRef, updates);
+
+  await batch.commit();
+}
+
+// Adds the reaction if the message, as the user saw it, didn't have theirs,
+// and removes it otherwise. What the server has is checked in a transaction,
+// since the local copy can be stale and a change that's already there is
+// rejected by the rules. arrayUnion/arrayRemove on the one emoji keeps
+// other members' reactions from being overwritten.
+export async function toggleReaction(workspaceId, message, emoji, userId) {
+  const messageRef = workspaceRef(workspaceId)
+    .collection('messages')
+    .doc(message.id);
+  const react = !hasReacted(message.reactions, emoji, userId);
+
+  await firestore().runTransaction(async transaction => {
+    const messageDoc = await transaction.get(messageRef);
+    if (
+      !messageDoc.exists ||
+      messageDoc.data().deleted ||
+      hasReacted(messageDoc.data().reactions, emoji, userId) === react
+    ) {
+      return;
+    }
+
+    transaction.update(
+      messageRef,
+      new firestore.FieldPath('reactions', emoji),
+      react
+        ? firestore.FieldValue.arrayUnion(userId)
+        : firestore.FieldValue.arrayRemove(userId),
+    );
+  });
+}
+
+// Albums keep every image and thumbnail path; older image messages only
+// stored the download URL
+const mediaReferences = message => {
+  if (message.images?.length > 0) {
+    return message.images
+      .flatMap(image => [image.path, image.thumbnailPath])
+      .filter(Boolean)
+      .map(path => storage().ref(path));
+  }
+  if (message.mediaPath) {
+    return [storage().ref(message.mediaPath)];
+  }
+  if (message.mediaUrl) {
+    return [storage().refFromURL(message.mediaUrl)];
+  }
+  return [];
+};
+
+// Deleted messages stay in the timeline as a tombstone so replies, threads
+// and read positions around them still make sense
+export async function deleteMessage(workspaceId, message, userId) {
+  const messageRef = workspaceRef(workspaceId)
+    .collection('messages')
+    .doc(message.id);
+
+  await messageRef.update({
+    deleted: true,
+    deletedBy: userId,
+    deletedAt: firestore.FieldValue.serverTimestamp(),
+    text: '',
+    searchTokens: firestore.FieldValue.delete(),
+    mediaUrl: firestore.FieldValue.delete(),
+    mediaPath: firestore.FieldValue.delete(),
+    mediaType: firestore.FieldValue.delete(),
+    mimeType: firestore.FieldValue.delete(),
+    fileName: firestore.FieldValue.delete(),
+    fileSize: firestore.FieldValue.delete(),
+    images: firestore.FieldValue.delete(),
+    mentions: firestore.FieldValue.delete(),
+    mentionIds: firestore.FieldValue.delete(),
+    reactions: firestore.FieldValue.delete(),
+    replyTo: firestore.FieldValue.delete(),
+  });
+
+  const references = mediaReferences(message);
+
+  await Promise.all(
+    references.map(async reference => {
+      try {
+        await reference.delete();
+      } catch (error) {
+        // The tombstone is already written; a leftover file isn't worth failing over
+        console.error('Error deleting message media:', error);
+      }
+    }),
+  );
+
+  // Earlier versions would otherwise keep the deleted text readable
+  try {
+    const edits = await messageRef.collection('edits').get();
+    if (!edits.empty) {
+      const batch = firestore().batch();
+      edits.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+  } catch (error) {
+    console.error('Error deleting edit history:', error);
+  }
+}
+
+export async function fetchEditHistory(workspaceId, messageId) {
+  const snapshot = await workspaceRef(workspaceId)
+    .collection('messages')
+    .doc(messageId)
+    .collection('edits')
+    .orderBy('replacedAt', 'desc')
+    .get();
+
+  return snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+}
+
+export function confirmDeleteMessage(workspaceId, message, userId) {
+  Alert.alert('Delete Message', 'Delete this message for everyone?', [
+    {text: 'Cancel', style: 'cancel'},
+    {
+      text: 'Delete',
+      style: 'destructive',
+      onPress: async () => {
+        try {
+          await deleteMessage(workspaceId, message, userId);
+        } catch (error) {
+          console.error('Error deleting message:', error);
+          Alert.alert('Error', 'Failed to delete message');
+        }
+      },
+    },
+  ]);
+}
+
+export async function showEditHistory(workspaceId, message) {
+  try {
+    const edits = await fetchEditHistory(workspaceId, message.id);
+    const versions = edits.map(
+      edit => `${formatTime(edit.replacedAt)}: ${edit.text || '(empty)'}`,
+    );
+    Alert.alert(
+      'Edit History',
+      [`Current: ${message.text}`, ...versions].join('\n\n'),
+    );
+  } catch (error) {
+    console.error('Error fetching edit history:', error);
+    Alert.alert('Error', 'Failed to load edit history');
+  }
+}
@@ -0,0 +1,18 @@
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Reactions are stored on the message as { [emoji]: [userId, ...] }
+export function hasReacted(reactions, emoji, userId) {
+  return !!reactions?.[emoji]?.includes(userId);
+}
+
+// Emoji entries with at least one user, in picker order
+export function activeReactions(reactions) {
+  const order = emoji => {
+    const index = REACTION_EMOJIS.indexOf(emoji);
+    return index === -1 ? REACTION_EMOJIS.length : index;
+  };
+
+  return Object.entries(reactions || {})
+    .filter(([, userIds]) => userIds?.length > 0)
+    .sort(([a], [b]) => order(a) - order(b));
+}
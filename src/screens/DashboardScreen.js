@@ -1,155 +1,511 @@
-import React, { useState, useEffect } from 'react';
+import React, {useState} from 'react';
 import {
   View,
   Text,
   StyleSheet,
-  FlatList,
+  SectionList,
   TouchableOpacity,
+  TextInput,
   Alert,
   ActivityIndicator,
+  Image,
 } from 'react-native';
-import { useAuth } from '../context/AuthContext';
-import firestore from '@react-native-firebase/firestore';
-import ChatRoomScreen from './Chat/ChatRoomScreen';
+import {useAuth} from '../context/AuthContext';
 import CreateGroupModal from './Groups/CreateGroupModal';
+import PresenceDot from './Direct/PresenceDot';
+import {
+  fetchWorkspaces,
+  switchWorkspace,
+} from './Workspaces/workspaceMembership';
+import useGroups from '../hooks/useGroups';
+import useMentions, {isUnreadMention} from '../hooks/useMentions';
+import useUnreadCounts from '../hooks/useUnreadCounts';
+import {formatUnreadCount} from '../utils/unreadCounts';
+import useIncomingMessages from '../hooks/useIncomingMessages';
+import useLastMessages from '../hooks/useLastMessages';
+import usePinnedConversations from '../hooks/usePinnedConversations';
+import {useNotifications} from '../context/NotificationsContext';
+import {showNotificationOptions} from './Notifications/notificationOptions';
+import {
+  NOTIFICATION_LEVELS,
+  badgeCount,
+  groupNotificationLevel,
+} from '../utils/notificationSettings';
+import {buildReplyPreview, replyPreviewText} from '../utils/replyQuotes';
+import usePresenceTracking from '../hooks/usePresenceTracking';
+import {useUserProfiles} from '../context/UserProfilesContext';
+import {senderIds, withSenderIdentity} from '../utils/senderIdentity';
+import {
+  isOrgAdmin,
+  canCreateGroups,
+  canManageUsers,
+} from '../utils/permissions';
+import {
+  CONVERSATION_TABS,
+  arrangeConversations,
+  formatActivityTime,
+  lastActivityMillis,
+  previewSenderLabel,
+} from '../utils/conversationList';
+
+const TAB_LABELS = {
+  [CONVERSATION_TABS.ALL]: 'All',
+  [CONVERSATION_TABS.DIRECT]: 'Direct',
+  [CONVERSATION_TABS.GROUPS]: 'Groups',
+  [CONVERSATION_TABS.CHANNELS]: 'Channels',
+};
 
-export default function DashboardScreen({ navigation }) {
-  const { currentUser, userData, logout } = useAuth();
-  const [groups, setGroups] = useState([]);
-  const [selectedGroup, setSelectedGroup] = useState(null);
+const SECTION_TITLES = {
+  [CONVERSATION_TABS.ALL]: 'Conversations',
+  [CONVERSATION_TABS.DIRECT]: 'Direct Messages',
+  [CONVERSATION_TABS.GROUPS]: 'Groups',
+  [CONVERSATION_TABS.CHANNELS]: 'Channels',
+};
+
+const EMPTY_TEXT = {
+  [CONVERSATION_TABS.ALL]: 'No conversations yet',
+  [CONVERSATION_TABS.DIRECT]: 'No direct messages yet',
+  [CONVERSATION_TABS.GROUPS]: 'No groups yet',
+  [CONVERSATION_TABS.CHANNELS]: 'No channels yet',
+};
+
+export default function DashboardScreen({navigation}) {
+  const {currentUser, userData, account, workspace, workspaceId, logout} =
+    useAuth();
+  const {groups, loading} = useGroups(currentUser?.uid);
   const [showCreateGroup, setShowCreateGroup] = useState(false);
-  const [loading, setLoading] = useState(true);
 
-  useEffect(() => {
-    if (!currentUser) return;
+  usePresenceTracking(workspaceId, currentUser?.uid, userData?.hideLastSeen);
 
-    const unsubscribe = firestore()
-      .collection('groups')
-      .where('members', 'array-contains', currentUser.uid)
-      .onSnapshot(
-        snapshot => {
-          const groupsData = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data(),
-          }));
-          setGroups(groupsData);
-          setLoading(false);
-        },
-        error => {
-          console.error('Error fetching groups:', error);
-          setLoading(false);
-        }
-      );
+  const [query, setQuery] = useState('');
+  const [tab, setTab] = useState(CONVERSATION_TABS.ALL);
+  const lastMessages = useLastMessages(groups);
+  const lastMessageProfiles = useUserProfiles(
+    senderIds(Object.values(lastMessages).filter(Boolean)),
+  );
+  const {pinnedIds, setPinned} = usePinnedConversations(currentUser?.uid);
+  const {pinned, others} = arrangeConversations(groups, {
+    tab,
+    query,
+    lastMessages,
+    pinnedIds,
+  });
+
+  const unreadCounts = useUnreadCounts(groups, currentUser?.uid);
+  const notifications = useNotifications();
+  const {mentions} = useMentions(currentUser?.uid);
+  const latestMention = mentions[0];
+  const mentionProfiles = useUserProfiles(senderIds(mentions.slice(0, 1)));
+  const unreadMentions = mentions.filter(message =>
+    isUnreadMention(message, userData?.mentionsLastReadAt),
+  );
+
+  // Also used from notification banners, which can appear over any screen
+  const openConversation = groupId => {
+    navigation.navigate('ChatRoom', {groupId});
+  };
 
-    return unsubscribe;
-  }, [currentUser]);
+  useIncomingMessages(groups, currentUser?.uid, message => {
+    const group = groups.find(candidate => candidate.id === message.groupId);
+    if (!group) {
+      return;
+    }
+
+    const senderName = message.senderName || 'Unknown User';
+    notifications.notify(message, {
+      id: message.id,
+      groupId: group.id,
+      title: group.isDirect ? senderName : `${senderName} in ${group.name}`,
+      body: replyPreviewText(buildReplyPreview(message)),
+      onPress: () => openConversation(group.id),
+    });
+  });
 
   const handleLogout = async () => {
-    Alert.alert(
-      'Logout',
-      'Are you sure you want to logout?',
-      [
-        { text: 'Cancel', style: 'cancel' },
+    Alert.alert('Logout', 'Are you sure you want to logout?', [
+      {text: 'Cancel', style: 'cancel'},
+      {
+        text: 'Logout',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await logout();
+          } catch (error) {
+            console.error('Logout error:', error);
+            Alert.alert('Error', 'Failed to logout');
+          }
+        },
+      },
+    ]);
+  };
+
+  const showWorkspaces = async () => {
+    try {
+      const workspaces = await fetchWorkspaces(account?.workspaceIds || []);
+      Alert.alert('Workspaces', 'Switch to another workspace', [
+        ...workspaces
+          .filter(candidate => candidate.id !== workspaceId)
+          .map(candidate => ({
+            text: candidate.name,
+            onPress: () =>
+              switchWorkspace(currentUser.uid, candidate.id).catch(error => {
+                console.error('Error switching workspace:', error);
+                Alert.alert('Error', 'Failed to switch workspace');
+              }),
+          })),
         {
-          text: 'Logout',
-          style: 'destructive',
-          onPress: async () => {
-            try {
-              await logout();
-            } catch (error) {
-              console.error('Logout error:', error);
-              Alert.alert('Error', 'Failed to logout');
-            }
-          },
+          text: 'Join or Create…',
+          onPress: () => navigation.navigate('WorkspaceSetup'),
         },
-      ]
+        {text: 'Cancel', style: 'cancel'},
+      ]);
+    } catch (error) {
+      console.error('Error loading workspaces:', error);
+      Alert.alert('Error', 'Failed to load workspaces');
+    }
+  };
+
+  const togglePinned = async (group, pin) => {
+    try {
+      await setPinned(group.id, pin);
+    } catch (error) {
+      console.error('Error updating pinned conversations:', error);
+      Alert.alert('Error', 'Failed to update pinned conversations');
+    }
+  };
+
+  const showConversationOptions = group => {
+    const isPinned = pinnedIds.includes(group.id);
+    Alert.alert(group.name, 'Choose an option', [
+      {
+        text: isPinned ? 'Unpin' : 'Pin to Top',
+        onPress: () => togglePinned(group, !isPinned),
+      },
+      {
+        text: 'Notifications…',
+        onPress: () => showNotificationOptions(group, notifications),
+      },
+      {text: 'Cancel', style: 'cancel'},
+    ]);
+  };
+
+  // Last message as "Sender: text", or what the row showed before any messages
+  const previewText = group => {
+    const message = lastMessages[group.id];
+    if (!message) {
+      if (group.isDirect) {
+        return group.directUser?.username
+          ? `@${group.directUser.username}`
+          : '';
+      }
+      return `${group.isChannel ? 'Channel' : 'Group'} · ${
+        group.members?.length || 0
+      } members`;
+    }
+    if (message.deleted) {
+      return 'Message deleted';
+    }
+
+    const text = replyPreviewText(buildReplyPreview(message));
+    const sender = previewSenderLabel(
+      withSenderIdentity(message, lastMessageProfiles),
+      {
+        userId: currentUser?.uid,
+        isDirect: group.isDirect,
+      },
     );
+    return sender ? `${sender}: ${text}` : text;
   };
 
-  const renderGroupItem = ({ item }) => (
-    <TouchableOpacity
-      style={styles.groupItem}
-      onPress={() => setSelectedGroup(item)}
-    >
-      <View style={styles.groupIcon}>
-        <Text style={styles.groupIconText}>
-          {item.isChannel ? '📢' : '💬'}
-        </Text>
-      </View>
-      <View style={styles.groupInfo}>
-        <Text style={styles.groupName}>{item.name}</Text>
-        <Text style={styles.groupType}>
-          {item.isChannel ? 'Channel' : 'Group'} · {item.members?.length || 0} members
-        </Text>
-      </View>
-    </TouchableOpacity>
-  );
+  const renderConversationItem = ({item}) => {
+    const unreadCount = badgeCount(
+      notifications.settings,
+      item.id,
+      unreadCounts[item.id],
+    );
+    const muted =
+      groupNotificationLevel(notifications.settings, item.id) ===
+      NOTIFICATION_LEVELS.MUTED;
+    const lastMessage = lastMessages[item.id];
 
-  if (selectedGroup) {
     return (
-      <ChatRoomScreen
-        group={selectedGroup}
-        onBack={() => setSelectedGroup(null)}
-      />
+      <TouchableOpacity
+        style={styles.groupItem}
+        onPress={() => openConversation(item.id)}
+        onLongPress={() => showConversationOptions(item)}>
+        {item.isDirect ? (
+          <View style={styles.directIconContainer}>
+            {item.directUser?.profilePictureUrl ? (
+              <Image
+                source={{uri: item.directUser.profilePictureUrl}}
+                style={[styles.groupIcon, styles.directIcon]}
+              />
+            ) : (
+              <View
+                style={[
+                  styles.groupIcon,
+                  styles.directIcon,
+                  styles.directAvatar,
+                ]}>
+                <Text style={styles.avatarText}>
+                  {item.name?.charAt(0)?.toUpperCase() || 'U'}
+                </Text>
+              </View>
+            )}
+            <PresenceDot userId={item.directUser?.id} size={14} />
+          </View>
+        ) : (
+          <View style={styles.groupIcon}>
+            <Text style={styles.groupIconText}>
+              {item.isChannel ? '📢' : '💬'}
+            </Text>
+          </View>
+        )}
+        <View style={styles.groupInfo}>
+          <View style={styles.groupNameRow}>
+            <Text
+              style={[
+                styles.groupName,
+                unreadCount > 0 && styles.unreadGroupName,
+              ]}
+              numberOfLines={1}>
+              {pinnedIds.includes(item.id) ? '📌 ' : ''}
+              {item.name}
+              {muted ? ' 🔕' : ''}
+            </Text>
+            {lastMessage && (
+              <Text
+                style={[
+                  styles.activityTime,
+                  unreadCount > 0 && styles.unreadActivityTime,
+                ]}>
+                {formatActivityTime(lastActivityMillis(item, lastMessage))}
+              </Text>
+            )}
+          </View>
+          <View style={styles.previewRow}>
+            <Text
+              style={[
+                styles.groupType,
+                styles.preview,
+                unreadCount > 0 && styles.unreadGroupType,
+              ]}
+              numberOfLines={1}>
+              {previewText(item)}
+            </Text>
+            {unreadCount > 0 && (
+              <View style={styles.badge}>
+                <Text style={styles.badgeText}>
+                  {formatUnreadCount(unreadCount)}
+                </Text>
+              </View>
+            )}
+          </View>
+        </View>
+      </TouchableOpacity>
     );
-  }
+  };
+
+  const newDirectAction = {
+    label: '+ New',
+    onPress: () => navigation.navigate('People'),
+  };
+  const createGroupAction = {
+    label: '+ Create',
+    onPress: () => setShowCreateGroup(true),
+  };
+  const joinGroupAction = {
+    label: 'Join',
+    onPress: () => navigation.navigate('JoinGroup'),
+  };
+  const canCreate = canCreateGroups(userData);
+  const groupActions = canCreate
+    ? [joinGroupAction, createGroupAction]
+    : [joinGroupAction];
+  const tabActions = {
+    [CONVERSATION_TABS.ALL]: [newDirectAction, ...groupActions],
+    [CONVERSATION_TABS.DIRECT]: [newDirectAction],
+    [CONVERSATION_TABS.GROUPS]: groupActions,
+    [CONVERSATION_TABS.CHANNELS]: groupActions,
+  };
+  const hasConversations = pinned.length + others.length > 0;
+  const sections = [
+    ...(pinned.length > 0
+      ? [{key: 'pinned', title: 'Pinned', data: pinned, actions: []}]
+      : []),
+    {
+      key: 'conversations',
+      title: SECTION_TITLES[tab],
+      data: others,
+      actions: tabActions[tab],
+      emptyText: query.trim() ? 'No matching conversations' : EMPTY_TEXT[tab],
+      emptySubtext:
+        !query.trim() && canCreate && tab !== CONVERSATION_TABS.DIRECT
+          ? 'Create your first group to get started'
+          : null,
+    },
+  ];
 
   return (
     <View style={styles.container}>
       {/* Header */}
       <View style={styles.header}>
-        <Text style={styles.headerTitle}>TrunkTalk</Text>
-        <TouchableOpacity onPress={handleLogout} style={styles.logoutButton}>
-          <Text style={styles.logoutText}>Logout</Text>
+        <TouchableOpacity
+          style={styles.workspaceButton}
+          onPress={showWorkspaces}>
+          <Text style={styles.headerTitle} numberOfLines={1}>
+            {workspace?.name} ▾
+          </Text>
         </TouchableOpacity>
+        <View style={styles.headerActions}>
+          <TouchableOpacity
+            onPress={() => navigation.navigate('Search')}
+            style={styles.logoutButton}>
+            <Text style={styles.logoutText}>🔍</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => navigation.navigate('Settings')}
+            style={styles.logoutButton}>
+            <Text style={styles.logoutText}>⚙️</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={handleLogout} style={styles.logoutButton}>
+            <Text style={styles.logoutText}>Logout</Text>
+          </TouchableOpacity>
+        </View>
       </View>
 
       {/* User Info */}
-      <View style={styles.userInfo}>
-        <View style={styles.avatar}>
-          <Text style={styles.avatarText}>
-            {userData?.name?.charAt(0)?.toUpperCase() || 'U'}
-          </Text>
-        </View>
-        <View>
+      <TouchableOpacity
+        style={styles.userInfo}
+        onPress={() => navigation.navigate('Profile')}>
+        {userData?.profilePictureUrl ? (
+          <Image
+            source={{uri: userData.profilePictureUrl}}
+            style={styles.avatar}
+          />
+        ) : (
+          <View style={styles.avatar}>
+            <Text style={styles.avatarText}>
+              {userData?.name?.charAt(0)?.toUpperCase() || 'U'}
+            </Text>
+          </View>
+        )}
+        <View style={styles.userDetails}>
           <Text style={styles.userName}>{userData?.name || 'User'}</Text>
-          <Text style={styles.userRole}>
-            {userData?.role === 'admin' ? 'Admin' : 'Employee'}
+          <Text style={styles.userRole} numberOfLines={1}>
+            {[userData?.title, userData?.department]
+              .filter(Boolean)
+              .join(' · ') || (isOrgAdmin(userData) ? 'Admin' : 'Employee')}
           </Text>
+          {!!userData?.statusText && (
+            <Text style={styles.userStatus} numberOfLines={1}>
+              {userData.statusText}
+            </Text>
+          )}
         </View>
-      </View>
-
-      {/* Groups List */}
-      <View style={styles.groupsHeader}>
-        <Text style={styles.sectionTitle}>Groups & Channels</Text>
-        {userData?.role === 'admin' && (
+        {canManageUsers(userData) && (
           <TouchableOpacity
-            style={styles.createButton}
-            onPress={() => setShowCreateGroup(true)}
-          >
-            <Text style={styles.createButtonText}>+ Create</Text>
+            style={styles.manageUsersButton}
+            onPress={() => navigation.navigate('UserManagement')}>
+            <Text style={styles.manageUsersText}>Manage Users</Text>
           </TouchableOpacity>
         )}
+      </TouchableOpacity>
+
+      {/* Mentions */}
+      <TouchableOpacity
+        style={styles.mentionsRow}
+        onPress={() => navigation.navigate('Mentions')}>
+        <Text style={styles.mentionsIcon}>@</Text>
+        <View style={styles.mentionsInfo}>
+          <Text
+            style={[
+              styles.mentionsTitle,
+              unreadMentions.length > 0 && styles.unreadTitle,
+            ]}>
+            Mentions
+          </Text>
+          <Text style={styles.mentionsPreview} numberOfLines={1}>
+            {latestMention
+              ? `${
+                  withSenderIdentity(latestMention, mentionProfiles)
+                    .senderName || 'Unknown User'
+                }: ${latestMention.text}`
+              : 'No mentions yet'}
+          </Text>
+        </View>
+        {unreadMentions.length > 0 && (
+          <View style={styles.badge}>
+            <Text style={styles.badgeText}>{unreadMentions.length}</Text>
+          </View>
+        )}
+      </TouchableOpacity>
+
+      {/* Search and tabs */}
+      <View style={styles.filterBar}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search conversations"
+          placeholderTextColor="#999"
+          value={query}
+          onChangeText={setQuery}
+          autoCapitalize="none"
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+        />
+        <View style={styles.tabs}>
+          {Object.values(CONVERSATION_TABS).map(value => (
+            <TouchableOpacity
+              key={value}
+              style={[styles.tab, tab === value && styles.activeTab]}
+              onPress={() => setTab(value)}>
+              <Text
+                style={[styles.tabText, tab === value && styles.activeTabText]}>
+                {TAB_LABELS[value]}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
       </View>
 
+      {/* Conversations */}
       {loading ? (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color="#007AFF" />
         </View>
-      ) : groups.length === 0 ? (
-        <View style={styles.emptyContainer}>
-          <Text style={styles.emptyText}>No groups yet</Text>
-          {userData?.role === 'admin' && (
-            <Text style={styles.emptySubtext}>
-              Create your first group to get started
-            </Text>
-          )}
-        </View>
       ) : (
-        <FlatList
-          data={groups}
-          renderItem={renderGroupItem}
+        <SectionList
+          sections={sections}
+          renderItem={renderConversationItem}
           keyExtractor={item => item.id}
+          renderSectionHeader={({section}) => (
+            <View style={styles.groupsHeader}>
+              <Text style={styles.sectionTitle}>{section.title}</Text>
+              <View style={styles.sectionActions}>
+                {section.actions.map(action => (
+                  <TouchableOpacity
+                    key={action.label}
+                    style={styles.createButton}
+                    onPress={action.onPress}>
+                    <Text style={styles.createButtonText}>{action.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          )}
+          renderSectionFooter={({section}) =>
+            section.emptyText && !hasConversations ? (
+              <View style={styles.emptyContainer}>
+                <Text style={styles.emptyText}>{section.emptyText}</Text>
+                {section.emptySubtext && (
+                  <Text style={styles.emptySubtext}>
+                    {section.emptySubtext}
+                  </Text>
+                )}
+              </View>
+            ) : null
+          }
+          stickySectionHeadersEnabled={false}
           contentContainerStyle={styles.groupsList}
         />
       )}
@@ -177,11 +533,19 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     alignItems: 'center',
   },
+  workspaceButton: {
+    flexShrink: 1,
+    marginRight: 10,
+  },
   headerTitle: {
     fontSize: 24,
     fontWeight: 'bold',
     color: '#fff',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   logoutButton: {
     padding: 8,
   },
@@ -211,6 +575,9 @@ const styles = StyleSheet.create({
     fontSize: 20,
     fontWeight: 'bold',
   },
+  userDetails: {
+    flex: 1,
+  },
   userName: {
     fontSize: 18,
     fontWeight: '600',
@@ -221,19 +588,125 @@ const styles = StyleSheet.create({
     color: '#666',
     marginTop: 2,
   },
+  userStatus: {
+    fontSize: 13,
+    color: '#999',
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+  manageUsersButton: {
+    marginLeft: 'auto',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+  },
+  manageUsersText: {
+    color: '#007AFF',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  mentionsRow: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  mentionsIcon: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#007AFF',
+    width: 50,
+    textAlign: 'center',
+    marginRight: 15,
+  },
+  mentionsInfo: {
+    flex: 1,
+  },
+  mentionsTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  unreadTitle: {
+    fontWeight: 'bold',
+  },
+  mentionsPreview: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  filterBar: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 15,
+    paddingTop: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  searchInput: {
+    backgroundColor: '#f0f0f0',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: '#333',
+  },
+  tabs: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  tab: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 2,
+    borderBottomColor: 'transparent',
+  },
+  activeTab: {
+    borderBottomColor: '#007AFF',
+  },
+  tabText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  activeTabText: {
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  badge: {
+    minWidth: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: '#FF3B30',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 6,
+  },
+  badgeText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
   groupsHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
     alignItems: 'center',
-    padding: 20,
-    paddingBottom: 10,
+    padding: 10,
   },
   sectionTitle: {
     fontSize: 20,
     fontWeight: '600',
     color: '#333',
   },
+  sectionActions: {
+    flexDirection: 'row',
+  },
   createButton: {
+    marginLeft: 8,
     backgroundColor: '#007AFF',
     paddingHorizontal: 15,
     paddingVertical: 8,
@@ -255,7 +728,7 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     alignItems: 'center',
     shadowColor: '#000',
-    shadowOffset: { width: 0, height: 1 },
+    shadowOffset: {width: 0, height: 1},
     shadowOpacity: 0.1,
     shadowRadius: 2,
     elevation: 2,
@@ -272,19 +745,57 @@ const styles = StyleSheet.create({
   groupIconText: {
     fontSize: 24,
   },
+  directIconContainer: {
+    marginRight: 15,
+  },
+  directIcon: {
+    marginRight: 0,
+  },
+  directAvatar: {
+    backgroundColor: '#007AFF',
+  },
   groupInfo: {
     flex: 1,
   },
+  groupNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
   groupName: {
+    flex: 1,
     fontSize: 16,
     fontWeight: '600',
     color: '#333',
-    marginBottom: 4,
+  },
+  activityTime: {
+    fontSize: 12,
+    color: '#999',
+    marginLeft: 8,
+  },
+  unreadActivityTime: {
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  previewRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  preview: {
+    flex: 1,
+    marginRight: 8,
   },
   groupType: {
     fontSize: 14,
     color: '#666',
   },
+  unreadGroupName: {
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  unreadGroupType: {
+    color: '#333',
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
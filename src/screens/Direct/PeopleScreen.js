@@ -0,0 +1,200 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Image,
+} from 'react-native';
+import {useAuth} from '../../context/AuthContext';
+import useUserDirectory, {searchUsers} from '../../hooks/useUserDirectory';
+import {openDirectConversation} from './directMessages';
+import PresenceDot from './PresenceDot';
+import {usePresence} from '../../context/PresenceContext';
+import {presenceText} from '../../utils/presence';
+
+export default function PeopleScreen({onBack, onOpenConversation}) {
+  const {currentUser, workspaceId} = useAuth();
+  const {users, loading} = useUserDirectory();
+  const [query, setQuery] = useState('');
+  const [openingUserId, setOpeningUserId] = useState(null);
+
+  const people = searchUsers(
+    users.filter(user => user.id !== currentUser.uid),
+    query,
+  );
+  const presence = usePresence(people.map(person => person.id));
+
+  const startConversation = async user => {
+    setOpeningUserId(user.id);
+    try {
+      const conversationId = await openDirectConversation(
+        workspaceId,
+        currentUser.uid,
+        user.id,
+      );
+      onOpenConversation(conversationId);
+    } catch (error) {
+      console.error('Error opening conversation:', error);
+      Alert.alert('Error', 'Failed to start conversation');
+      setOpeningUserId(null);
+    }
+  };
+
+  const renderPerson = ({item}) => (
+    <TouchableOpacity
+      style={styles.personItem}
+      onPress={() => startConversation(item)}
+      disabled={!!openingUserId}>
+      <View style={styles.avatarContainer}>
+        {item.profilePictureUrl ? (
+          <Image source={{uri: item.profilePictureUrl}} style={styles.avatar} />
+        ) : (
+          <View style={styles.avatar}>
+            <Text style={styles.avatarText}>
+              {item.name?.charAt(0)?.toUpperCase() || 'U'}
+            </Text>
+          </View>
+        )}
+        <PresenceDot userId={item.id} />
+      </View>
+      <View style={styles.personInfo}>
+        <Text style={styles.personName}>{item.name}</Text>
+        <Text style={styles.personUsername}>
+          {[`@${item.username}`, presenceText(presence[item.id])]
+            .filter(Boolean)
+            .join(' · ')}
+        </Text>
+      </View>
+      {openingUserId === item.id && <ActivityIndicator color="#007AFF" />}
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>People</Text>
+      </View>
+
+      <TextInput
+        style={styles.searchInput}
+        placeholder="Search by name or username"
+        placeholderTextColor="#999"
+        value={query}
+        onChangeText={setQuery}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#007AFF" />
+        </View>
+      ) : (
+        <FlatList
+          data={people}
+          renderItem={renderPerson}
+          keyExtractor={item => item.id}
+          contentContainerStyle={styles.peopleList}
+          keyboardShouldPersistTaps="handled"
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>No matching people</Text>
+          }
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    paddingTop: 50,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  searchInput: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    margin: 10,
+    fontSize: 16,
+    color: '#333',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  peopleList: {
+    paddingHorizontal: 10,
+  },
+  personItem: {
+    backgroundColor: '#fff',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  avatarContainer: {
+    marginRight: 12,
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#007AFF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  avatarText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  personInfo: {
+    flex: 1,
+  },
+  personName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  personUsername: {
+    fontSize: 13,
+    color: '#999',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    marginTop: 20,
+  },
+});
@@ -0,0 +1,38 @@
+import React from 'react';
+import {View, StyleSheet} from 'react-native';
+import {usePresence} from '../../context/PresenceContext';
+import {PRESENCE_STATES, presenceState} from '../../utils/presence';
+
+// Sits on the bottom-right corner of an avatar; the parent view should be
+// exactly the avatar's size
+export default function PresenceDot({userId, size = 12}) {
+  const presence = usePresence([userId]);
+  const state = presenceState(presence[userId]);
+  if (state === PRESENCE_STATES.OFFLINE) {
+    return null;
+  }
+
+  return (
+    <View
+      style={[
+        styles.dot,
+        {width: size, height: size, borderRadius: size / 2},
+        state === PRESENCE_STATES.AWAY && styles.away,
+      ]}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  dot: {
+    position: 'absolute',
+    right: 0,
+    bottom: 0,
+    backgroundColor: '#34C759',
+    borderWidth: 2,
+    borderColor: '#fff',
+  },
+  away: {
+    backgroundColor: '#FFCC00',
+  },
+});
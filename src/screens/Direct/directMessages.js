@@ -0,0 +1,53 @@
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../../config/firebase';
+
+// Direct conversations are stored as two-member groups so ChatRoomScreen,
+// unread counts, typing and read receipts work unchanged. The id is derived
+// from the sorted pair of user ids, which keeps one conversation per pair.
+export function directConversationId(userId, otherUserId) {
+  return `dm_${[userId, otherUserId].sort().join('_')}`;
+}
+
+export function otherMemberId(group, userId) {
+  return (group.members || []).find(memberId => memberId !== userId) || userId;
+}
+
+// Direct conversations have no name of their own; they are shown as the
+// other person, so attach their profile for display
+export function withDirectProfiles(groups, userId, usersById) {
+  return groups.map(group => {
+    if (!group.isDirect) {
+      return group;
+    }
+
+    const directUser = usersById[otherMemberId(group, userId)] || null;
+    return {
+      ...group,
+      name: directUser?.name || 'Unknown User',
+      directUser,
+    };
+  });
+}
+
+export async function openDirectConversation(workspaceId, userId, otherUserId) {
+  const conversationRef = workspaceRef(workspaceId)
+    .collection('groups')
+    .doc(directConversationId(userId, otherUserId));
+
+  await firestore().runTransaction(async transaction => {
+    const doc = await transaction.get(conversationRef);
+    if (doc.exists) {
+      return;
+    }
+
+    transaction.set(conversationRef, {
+      isDirect: true,
+      isChannel: false,
+      createdBy: userId,
+      createdAt: firestore.FieldValue.serverTimestamp(),
+      members: [userId, otherUserId],
+    });
+  });
+
+  return conversationRef.id;
+}
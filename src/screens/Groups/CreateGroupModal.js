@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, {useState} from 'react';
 import {
   View,
   Text,
@@ -10,13 +10,17 @@ import {
   ActivityIndicator,
   Switch,
 } from 'react-native';
-import { useAuth } from '../../context/AuthContext';
-import firestore from '@react-native-firebase/firestore';
+import {useAuth} from '../../context/AuthContext';
+import MemberPickerModal from './MemberPickerModal';
+import {createGroup} from './groupMembership';
 
-export default function CreateGroupModal({ visible, onClose }) {
-  const { currentUser } = useAuth();
+export default function CreateGroupModal({visible, onClose}) {
+  const {currentUser, userData, workspaceId} = useAuth();
   const [groupName, setGroupName] = useState('');
   const [isChannel, setIsChannel] = useState(false);
+  const [discoverable, setDiscoverable] = useState(false);
+  const [members, setMembers] = useState([]);
+  const [showPicker, setShowPicker] = useState(false);
   const [loading, setLoading] = useState(false);
 
   const handleCreate = async () => {
@@ -28,20 +32,22 @@ export default function CreateGroupModal({ visible, onClose }) {
     setLoading(true);
 
     try {
-      await firestore().collection('groups').add({
+      await createGroup(workspaceId, {
         name: groupName.trim(),
         isChannel: isChannel,
-        createdBy: currentUser.uid,
-        createdAt: firestore.FieldValue.serverTimestamp(),
-        members: [currentUser.uid],
+        discoverable,
+        creator: {id: currentUser.uid, name: userData?.name || 'Unknown User'},
+        members,
       });
 
       Alert.alert(
         'Success',
-        `${isChannel ? 'Channel' : 'Group'} created successfully!`
+        `${isChannel ? 'Channel' : 'Group'} created successfully!`,
       );
       setGroupName('');
       setIsChannel(false);
+      setDiscoverable(false);
+      setMembers([]);
       onClose();
     } catch (error) {
       console.error('Error creating group:', error);
@@ -56,11 +62,12 @@ export default function CreateGroupModal({ visible, onClose }) {
       visible={visible}
       animationType="slide"
       transparent={true}
-      onRequestClose={onClose}
-    >
+      onRequestClose={onClose}>
       <View style={styles.overlay}>
         <View style={styles.modal}>
-          <Text style={styles.title}>Create New {isChannel ? 'Channel' : 'Group'}</Text>
+          <Text style={styles.title}>
+            Create New {isChannel ? 'Channel' : 'Group'}
+          </Text>
 
           <TextInput
             style={styles.input}
@@ -76,31 +83,78 @@ export default function CreateGroupModal({ visible, onClose }) {
             <Switch
               value={isChannel}
               onValueChange={setIsChannel}
-              trackColor={{ false: '#ccc', true: '#007AFF' }}
+              trackColor={{false: '#ccc', true: '#007AFF'}}
               thumbColor={'#fff'}
             />
           </View>
 
           <Text style={styles.hint}>
             {isChannel
-              ? 'Channels: Only admins can post messages'
+              ? 'Channels: Only admins and moderators can post messages'
               : 'Groups: All members can post messages'}
           </Text>
 
+          <View style={styles.switchContainer}>
+            <Text style={styles.switchLabel}>Discoverable</Text>
+            <Switch
+              value={discoverable}
+              onValueChange={setDiscoverable}
+              trackColor={{false: '#ccc', true: '#007AFF'}}
+              thumbColor={'#fff'}
+            />
+          </View>
+
+          <Text style={styles.hint}>
+            {discoverable
+              ? 'Anyone in the workspace can find it and ask to join'
+              : 'Only people you add or invite can join'}
+          </Text>
+
+          {/* Members */}
+          <View style={styles.membersHeader}>
+            <Text style={styles.switchLabel}>Members</Text>
+            <TouchableOpacity
+              onPress={() => setShowPicker(true)}
+              disabled={loading}>
+              <Text style={styles.addMembersText}>+ Add</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.chips}>
+            {members.length === 0 ? (
+              <Text style={styles.noMembersText}>Only you for now</Text>
+            ) : (
+              members.map(member => (
+                <TouchableOpacity
+                  key={member.id}
+                  style={styles.chip}
+                  onPress={() =>
+                    setMembers(prev =>
+                      prev.filter(selected => selected.id !== member.id),
+                    )
+                  }
+                  disabled={loading}>
+                  <Text style={styles.chipText}>{member.name} ✕</Text>
+                </TouchableOpacity>
+              ))
+            )}
+          </View>
+
           <View style={styles.buttons}>
             <TouchableOpacity
               style={[styles.button, styles.cancelButton]}
               onPress={onClose}
-              disabled={loading}
-            >
+              disabled={loading}>
               <Text style={styles.cancelButtonText}>Cancel</Text>
             </TouchableOpacity>
 
             <TouchableOpacity
-              style={[styles.button, styles.createButton, loading && styles.buttonDisabled]}
+              style={[
+                styles.button,
+                styles.createButton,
+                loading && styles.buttonDisabled,
+              ]}
               onPress={handleCreate}
-              disabled={loading}
-            >
+              disabled={loading}>
               {loading ? (
                 <ActivityIndicator color="#fff" />
               ) : (
@@ -110,6 +164,19 @@ export default function CreateGroupModal({ visible, onClose }) {
           </View>
         </View>
       </View>
+
+      {showPicker && (
+        <MemberPickerModal
+          visible={showPicker}
+          excludeIds={[currentUser.uid]}
+          initialSelected={members}
+          onClose={() => setShowPicker(false)}
+          onDone={selected => {
+            setMembers(selected);
+            setShowPicker(false);
+          }}
+        />
+      )}
     </Modal>
   );
 }
@@ -161,6 +228,39 @@ const styles = StyleSheet.create({
     marginBottom: 25,
     fontStyle: 'italic',
   },
+  membersHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  addMembersText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 15,
+  },
+  noMembersText: {
+    fontSize: 12,
+    color: '#666',
+    fontStyle: 'italic',
+  },
+  chip: {
+    backgroundColor: '#E5F0FF',
+    borderRadius: 15,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    color: '#007AFF',
+    fontSize: 14,
+  },
   buttons: {
     flexDirection: 'row',
     justifyContent: 'space-between',
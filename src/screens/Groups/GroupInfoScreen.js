@@ -0,0 +1,513 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Switch,
+} from 'react-native';
+import {useAuth} from '../../context/AuthContext';
+import useGroupMembers from '../../hooks/useGroupMembers';
+import useJoinRequests from '../../hooks/useJoinRequests';
+import MemberPickerModal from './MemberPickerModal';
+import PresenceDot from '../Direct/PresenceDot';
+import {
+  addMembers,
+  removeMember,
+  leaveGroup,
+  setGroupRole,
+  setGroupDiscoverable,
+  approveJoinRequest,
+  removeJoinRequest,
+} from './groupMembership';
+import {
+  ORG_ROLES,
+  GROUP_ROLES,
+  ROLE_LABELS,
+  groupRole,
+  isOrgAdmin,
+  canManageMembers,
+  canManageGroupRoles,
+  canRemoveMember,
+} from '../../utils/permissions';
+import {usePresence} from '../../context/PresenceContext';
+import {presenceText} from '../../utils/presence';
+
+export default function GroupInfoScreen({
+  group,
+  onBack,
+  onLeft,
+  onOpenInvites,
+}) {
+  const {currentUser, userData, workspaceId} = useAuth();
+  const members = useGroupMembers(group.members);
+  const presence = usePresence(group.members);
+  const [showPicker, setShowPicker] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const canAddMembers = canManageMembers(userData, group);
+  const joinRequests = useJoinRequests(group.id, canAddMembers);
+  const actor = {id: currentUser.uid, name: userData?.name || 'Unknown User'};
+
+  const sortedMembers = [...members].sort((a, b) => {
+    if (a.id === currentUser.uid) {
+      return -1;
+    }
+    if (b.id === currentUser.uid) {
+      return 1;
+    }
+    return (a.name || '').localeCompare(b.name || '');
+  });
+
+  const handleAddMembers = async users => {
+    setShowPicker(false);
+    if (users.length === 0) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await addMembers(workspaceId, group.id, users, actor);
+    } catch (error) {
+      console.error('Error adding members:', error);
+      Alert.alert('Error', 'Failed to add members');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleDiscoverable = async discoverable => {
+    setLoading(true);
+    try {
+      await setGroupDiscoverable(workspaceId, group.id, discoverable);
+    } catch (error) {
+      console.error('Error updating group visibility:', error);
+      Alert.alert('Error', 'Failed to update group');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const answerJoinRequest = async (request, approve) => {
+    setLoading(true);
+    try {
+      if (approve) {
+        await approveJoinRequest(
+          workspaceId,
+          group.id,
+          {id: request.userId, name: request.name},
+          actor,
+        );
+      } else {
+        await removeJoinRequest(workspaceId, group.id, request.userId);
+      }
+    } catch (error) {
+      console.error('Error answering join request:', error);
+      Alert.alert('Error', 'Failed to answer request');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const confirmRemoveMember = member => {
+    Alert.alert('Remove Member', `Remove ${member.name} from ${group.name}?`, [
+      {text: 'Cancel', style: 'cancel'},
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          setLoading(true);
+          try {
+            await removeMember(workspaceId, group.id, member, actor);
+          } catch (error) {
+            console.error('Error removing member:', error);
+            Alert.alert('Error', 'Failed to remove member');
+          } finally {
+            setLoading(false);
+          }
+        },
+      },
+    ]);
+  };
+
+  const changeRole = async (member, role) => {
+    setLoading(true);
+    try {
+      await setGroupRole(workspaceId, group.id, member.id, role);
+    } catch (error) {
+      console.error('Error updating group role:', error);
+      Alert.alert('Error', 'Failed to update role');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const memberOptions = member => {
+    const role = groupRole(group, member.id);
+    const options = [];
+
+    if (canManageGroupRoles(userData, group) && role !== GROUP_ROLES.OWNER) {
+      options.push(
+        role === GROUP_ROLES.MODERATOR
+          ? {
+              text: 'Remove Moderator',
+              onPress: () => changeRole(member, GROUP_ROLES.MEMBER),
+            }
+          : {
+              text: 'Make Moderator',
+              onPress: () => changeRole(member, GROUP_ROLES.MODERATOR),
+            },
+      );
+    }
+    if (canRemoveMember(userData, group, member.id)) {
+      options.push({
+        text: 'Remove from Group',
+        style: 'destructive',
+        onPress: () => confirmRemoveMember(member),
+      });
+    }
+    return options;
+  };
+
+  const showMemberOptions = member => {
+    Alert.alert(member.name, `@${member.username}`, [
+      ...memberOptions(member),
+      {text: 'Cancel', style: 'cancel'},
+    ]);
+  };
+
+  const confirmLeave = () => {
+    Alert.alert(
+      'Leave Group',
+      `Are you sure you want to leave ${group.name}?`,
+      [
+        {text: 'Cancel', style: 'cancel'},
+        {
+          text: 'Leave',
+          style: 'destructive',
+          onPress: async () => {
+            setLoading(true);
+            try {
+              await leaveGroup(workspaceId, group.id, actor);
+              onLeft();
+            } catch (error) {
+              console.error('Error leaving group:', error);
+              Alert.alert('Error', 'Failed to leave group');
+              setLoading(false);
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  const renderMember = ({item}) => {
+    const isSelf = item.id === currentUser.uid;
+    const role = groupRole(group, item.id);
+    const roleLabel =
+      ROLE_LABELS[role] ||
+      (isOrgAdmin(item) ? ROLE_LABELS[ORG_ROLES.ADMIN] : null);
+    const hasOptions = !isSelf && memberOptions(item).length > 0;
+
+    return (
+      <View style={styles.memberItem}>
+        <View style={styles.avatarContainer}>
+          <View style={styles.avatar}>
+            <Text style={styles.avatarText}>
+              {item.name?.charAt(0)?.toUpperCase() || 'U'}
+            </Text>
+          </View>
+          <PresenceDot userId={item.id} />
+        </View>
+        <View style={styles.memberInfo}>
+          <Text style={styles.memberName}>
+            {item.name}
+            {isSelf ? ' (You)' : ''}
+          </Text>
+          <Text style={styles.memberUsername}>
+            {[`@${item.username}`, !isSelf && presenceText(presence[item.id])]
+              .filter(Boolean)
+              .join(' · ')}
+          </Text>
+        </View>
+        {roleLabel && <Text style={styles.roleLabel}>{roleLabel}</Text>}
+        {hasOptions && (
+          <TouchableOpacity
+            style={styles.manageButton}
+            onPress={() => showMemberOptions(item)}
+            disabled={loading}>
+            <Text style={styles.manageText}>Manage</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+        <View style={styles.headerInfo}>
+          <Text style={styles.headerTitle}>{group.name}</Text>
+          <Text style={styles.headerSubtitle}>
+            {group.isChannel ? '📢 Channel' : '💬 Group'} info
+          </Text>
+        </View>
+      </View>
+
+      {/* Joining */}
+      {canAddMembers && (
+        <View style={styles.joiningCard}>
+          <View style={styles.joiningRow}>
+            <View style={styles.joiningText}>
+              <Text style={styles.joiningLabel}>Discoverable</Text>
+              <Text style={styles.joiningHint}>
+                Anyone in the workspace can ask to join
+              </Text>
+            </View>
+            <Switch
+              value={!!group.discoverable}
+              onValueChange={toggleDiscoverable}
+              disabled={loading}
+              trackColor={{false: '#ccc', true: '#007AFF'}}
+              thumbColor={'#fff'}
+            />
+          </View>
+          <TouchableOpacity
+            style={[styles.joiningRow, styles.rowBelow]}
+            onPress={onOpenInvites}>
+            <Text style={styles.joiningLabel}>Invite Links</Text>
+            <Text style={styles.chevron}>›</Text>
+          </TouchableOpacity>
+          {joinRequests.map(request => (
+            <View key={request.id} style={[styles.joiningRow, styles.rowBelow]}>
+              <Text style={[styles.joiningLabel, styles.joiningText]}>
+                {request.name} asked to join
+              </Text>
+              <TouchableOpacity
+                style={styles.manageButton}
+                onPress={() => answerJoinRequest(request, false)}
+                disabled={loading}>
+                <Text style={styles.declineText}>Decline</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.manageButton}
+                onPress={() => answerJoinRequest(request, true)}
+                disabled={loading}>
+                <Text style={styles.manageText}>Approve</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      )}
+
+      {/* Members */}
+      <View style={styles.membersHeader}>
+        <Text style={styles.sectionTitle}>
+          {group.members?.length || 0} members
+        </Text>
+        {loading && <ActivityIndicator color="#007AFF" />}
+        {canAddMembers && (
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={() => setShowPicker(true)}
+            disabled={loading}>
+            <Text style={styles.addButtonText}>+ Add</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <FlatList
+        data={sortedMembers}
+        renderItem={renderMember}
+        keyExtractor={item => item.id}
+        contentContainerStyle={styles.membersList}
+      />
+
+      <TouchableOpacity
+        style={styles.leaveButton}
+        onPress={confirmLeave}
+        disabled={loading}>
+        <Text style={styles.leaveText}>
+          Leave {group.isChannel ? 'Channel' : 'Group'}
+        </Text>
+      </TouchableOpacity>
+
+      {showPicker && (
+        <MemberPickerModal
+          visible={showPicker}
+          excludeIds={group.members || []}
+          onClose={() => setShowPicker(false)}
+          onDone={handleAddMembers}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    paddingTop: 50,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    color: '#fff',
+    opacity: 0.9,
+    marginTop: 2,
+  },
+  joiningCard: {
+    backgroundColor: '#fff',
+    marginHorizontal: 10,
+    marginTop: 15,
+    borderRadius: 10,
+  },
+  joiningRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+  },
+  rowBelow: {
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  joiningText: {
+    flex: 1,
+  },
+  joiningLabel: {
+    fontSize: 15,
+    color: '#333',
+  },
+  joiningHint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  chevron: {
+    marginLeft: 'auto',
+    fontSize: 20,
+    color: '#ccc',
+  },
+  declineText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  membersHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    paddingBottom: 10,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  addButton: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  membersList: {
+    paddingHorizontal: 10,
+  },
+  memberItem: {
+    backgroundColor: '#fff',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  avatarContainer: {
+    marginRight: 12,
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#007AFF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  avatarText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  memberInfo: {
+    flex: 1,
+  },
+  memberName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  memberUsername: {
+    fontSize: 13,
+    color: '#999',
+  },
+  roleLabel: {
+    fontSize: 12,
+    color: '#007AFF',
+    fontWeight: '600',
+    marginRight: 10,
+  },
+  manageButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  manageText: {
+    color: '#007AFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  leaveButton: {
+    backgroundColor: '#fff',
+    padding: 15,
+    margin: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  leaveText: {
+    color: '#FF3B30',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
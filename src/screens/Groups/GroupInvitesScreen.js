@@ -0,0 +1,319 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Share,
+} from 'react-native';
+import {useAuth} from '../../context/AuthContext';
+import useGroupInvites from '../../hooks/useGroupInvites';
+import {createInvite, revokeInvite} from './groupMembership';
+import {
+  INVITE_EXPIRY_OPTIONS,
+  INVITE_MAX_USES_OPTIONS,
+  inviteLink,
+  inviteProblem,
+  inviteSummary,
+} from '../../utils/groupInvites';
+
+// Invite codes for one group. Only group staff and admins get here.
+export default function GroupInvitesScreen({group, onBack}) {
+  const {currentUser, workspaceId} = useAuth();
+  const {invites, loading} = useGroupInvites(group.id);
+  const [expiry, setExpiry] = useState(INVITE_EXPIRY_OPTIONS[0]);
+  const [maxUses, setMaxUses] = useState(INVITE_MAX_USES_OPTIONS[0]);
+  const [saving, setSaving] = useState(false);
+
+  const shareInvite = async code => {
+    try {
+      await Share.share({
+        message: `Join ${group.name}: ${inviteLink(
+          workspaceId,
+          code,
+        )}\nOr enter the code ${code} under Join on the dashboard.`,
+      });
+    } catch (error) {
+      console.error('Error sharing invite:', error);
+    }
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    try {
+      const code = await createInvite(
+        workspaceId,
+        group,
+        {expiresInMs: expiry.ms, maxUses: maxUses.value},
+        currentUser.uid,
+      );
+      await shareInvite(code);
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      Alert.alert('Error', 'Failed to create invite');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const confirmRevoke = invite => {
+    Alert.alert(
+      'Revoke Invite',
+      `Nobody will be able to join with ${invite.code} any more. People who already joined stay in the group.`,
+      [
+        {text: 'Cancel', style: 'cancel'},
+        {
+          text: 'Revoke',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await revokeInvite(workspaceId, group.id, invite.code);
+            } catch (error) {
+              console.error('Error revoking invite:', error);
+              Alert.alert('Error', 'Failed to revoke invite');
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  const renderOptions = (options, selected, onSelect) => (
+    <View style={styles.options}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.label}
+          style={[styles.option, option === selected && styles.optionSelected]}
+          onPress={() => onSelect(option)}>
+          <Text
+            style={[
+              styles.optionText,
+              option === selected && styles.optionTextSelected,
+            ]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderInvite = ({item}) => {
+    const usable = !inviteProblem(item);
+
+    return (
+      <View style={styles.inviteItem}>
+        <View style={styles.inviteInfo}>
+          <Text
+            style={[styles.inviteCode, !usable && styles.inviteCodeInactive]}>
+            {item.code}
+          </Text>
+          <Text style={styles.inviteSummary}>{inviteSummary(item)}</Text>
+        </View>
+        {usable && (
+          <TouchableOpacity
+            style={styles.inviteAction}
+            onPress={() => shareInvite(item.code)}>
+            <Text style={styles.shareText}>Share</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={styles.inviteAction}
+          onPress={() => confirmRevoke(item)}>
+          <Text style={styles.revokeText}>Revoke</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+        <View style={styles.headerInfo}>
+          <Text style={styles.headerTitle}>Invite Links</Text>
+          <Text style={styles.headerSubtitle}>{group.name}</Text>
+        </View>
+      </View>
+
+      {/* New Invite */}
+      <View style={styles.createCard}>
+        <Text style={styles.label}>Expires</Text>
+        {renderOptions(INVITE_EXPIRY_OPTIONS, expiry, setExpiry)}
+        <Text style={styles.label}>Can be used</Text>
+        {renderOptions(INVITE_MAX_USES_OPTIONS, maxUses, setMaxUses)}
+        <TouchableOpacity
+          style={[styles.createButton, saving && styles.createButtonDisabled]}
+          onPress={handleCreate}
+          disabled={saving}>
+          {saving ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.createButtonText}>Create Invite Link</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#007AFF" />
+        </View>
+      ) : (
+        <FlatList
+          data={invites}
+          renderItem={renderInvite}
+          keyExtractor={item => item.code}
+          contentContainerStyle={styles.invitesList}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>No invite links yet</Text>
+          }
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    paddingTop: 50,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    color: '#fff',
+    opacity: 0.9,
+    marginTop: 2,
+  },
+  createCard: {
+    backgroundColor: '#fff',
+    margin: 10,
+    padding: 15,
+    borderRadius: 10,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 8,
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 15,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  optionSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  optionText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  optionTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  createButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+  },
+  createButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  createButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  invitesList: {
+    paddingHorizontal: 10,
+  },
+  inviteItem: {
+    backgroundColor: '#fff',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  inviteInfo: {
+    flex: 1,
+  },
+  inviteCode: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    letterSpacing: 1,
+  },
+  inviteCodeInactive: {
+    color: '#999',
+  },
+  inviteSummary: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 2,
+  },
+  inviteAction: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  shareText: {
+    color: '#007AFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  revokeText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    fontSize: 14,
+    marginTop: 20,
+  },
+});
@@ -0,0 +1,332 @@
+import React, {useEffect, useRef, useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import {useAuth} from '../../context/AuthContext';
+import {useDiscoverableGroups} from '../../hooks/useGroups';
+import {usePendingJoinRequests} from '../../hooks/useJoinRequests';
+import {
+  groupIdForInvite,
+  joinWithInvite,
+  requestToJoin,
+  removeJoinRequest,
+} from './groupMembership';
+import {parseInviteInput} from '../../utils/groupInvites';
+
+// Redeems invite codes and links, and lists the discoverable groups the user
+// can ask to join. initialCode comes from a companychat://join/<code> link.
+export default function JoinGroupScreen({
+  groups,
+  initialCode,
+  linkWorkspaceId,
+  onBack,
+  onJoined,
+}) {
+  const {currentUser, userData, workspaceId, workspace} = useAuth();
+  const {groups: discoverable, loading} = useDiscoverableGroups();
+  const pendingIds = usePendingJoinRequests(currentUser.uid);
+  const [codeInput, setCodeInput] = useState(initialCode || '');
+  const [joining, setJoining] = useState(false);
+  const [requestingId, setRequestingId] = useState(null);
+
+  const user = {id: currentUser.uid, name: userData?.name || 'Unknown User'};
+  const memberIds = groups.map(group => group.id);
+  const joinable = discoverable.filter(group => !memberIds.includes(group.id));
+
+  const redeem = async (input, inputWorkspaceId) => {
+    const parsed = parseInviteInput(input);
+    if (!parsed.code) {
+      Alert.alert('Error', 'Please enter an invite code or link');
+      return;
+    }
+
+    const targetWorkspaceId = parsed.workspaceId || inputWorkspaceId;
+    if (targetWorkspaceId && targetWorkspaceId !== workspaceId) {
+      Alert.alert(
+        'Different Workspace',
+        'This invite is for another workspace. Switch to it from the dashboard, then open the invite again.',
+      );
+      return;
+    }
+
+    setJoining(true);
+    try {
+      const groupId = await groupIdForInvite(workspaceId, parsed.code);
+      if (!memberIds.includes(groupId)) {
+        await joinWithInvite(workspaceId, groupId, parsed.code, user);
+      }
+      onJoined(groupId);
+    } catch (error) {
+      console.error('Error joining with invite:', error);
+      Alert.alert('Error', error.message || 'Failed to join group');
+      setJoining(false);
+    }
+  };
+
+  // Links are redeemed straight away, once, with whatever redeem sees then
+  const redeemRef = useRef(redeem);
+  redeemRef.current = redeem;
+  const redeemedLink = useRef(false);
+  useEffect(() => {
+    if (!initialCode || redeemedLink.current) {
+      return;
+    }
+    redeemedLink.current = true;
+    redeemRef.current(initialCode, linkWorkspaceId);
+  }, [initialCode, linkWorkspaceId]);
+
+  const toggleRequest = async group => {
+    const pending = pendingIds.includes(group.id);
+    setRequestingId(group.id);
+    try {
+      if (pending) {
+        await removeJoinRequest(workspaceId, group.id, currentUser.uid);
+      } else {
+        await requestToJoin(workspaceId, group.id, user);
+        Alert.alert(
+          'Request Sent',
+          `${group.name}'s admins will review your request.`,
+        );
+      }
+    } catch (error) {
+      console.error('Error updating join request:', error);
+      Alert.alert('Error', 'Failed to update your request');
+    } finally {
+      setRequestingId(null);
+    }
+  };
+
+  const renderGroup = ({item}) => {
+    const pending = pendingIds.includes(item.id);
+
+    return (
+      <View style={styles.groupItem}>
+        <View style={styles.groupIcon}>
+          <Text style={styles.groupIconText}>
+            {item.isChannel ? '📢' : '💬'}
+          </Text>
+        </View>
+        <View style={styles.groupInfo}>
+          <Text style={styles.groupName}>{item.name}</Text>
+          <Text style={styles.groupMeta}>
+            {item.members?.length || 0} members
+          </Text>
+        </View>
+        {requestingId === item.id ? (
+          <ActivityIndicator color="#007AFF" />
+        ) : (
+          <TouchableOpacity
+            style={[styles.requestButton, pending && styles.requestedButton]}
+            onPress={() => toggleRequest(item)}>
+            <Text
+              style={[
+                styles.requestButtonText,
+                pending && styles.requestedButtonText,
+              ]}>
+              {pending ? 'Requested' : 'Ask to Join'}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Join a Group</Text>
+      </View>
+
+      {/* Invite Code */}
+      <View style={styles.codeRow}>
+        <TextInput
+          style={[styles.input, styles.codeInput]}
+          placeholder="Invite code or link"
+          placeholderTextColor="#999"
+          value={codeInput}
+          onChangeText={setCodeInput}
+          autoCapitalize="characters"
+          autoCorrect={false}
+        />
+        <TouchableOpacity
+          style={[styles.joinButton, joining && styles.joinButtonDisabled]}
+          onPress={() => redeem(codeInput)}
+          disabled={joining}>
+          {joining ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.joinButtonText}>Join</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.sectionTitle}>
+        Discover groups in {workspace?.name}
+      </Text>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#007AFF" />
+        </View>
+      ) : (
+        <FlatList
+          data={joinable}
+          renderItem={renderGroup}
+          keyExtractor={item => item.id}
+          contentContainerStyle={styles.groupsList}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>
+              No other groups are open to requests
+            </Text>
+          }
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    paddingTop: 50,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  codeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingTop: 15,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#333',
+  },
+  codeInput: {
+    flex: 1,
+    marginRight: 10,
+  },
+  joinButton: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    borderRadius: 8,
+    minWidth: 64,
+    alignItems: 'center',
+  },
+  joinButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  joinButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    paddingHorizontal: 15,
+    paddingTop: 20,
+    paddingBottom: 10,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  groupsList: {
+    paddingHorizontal: 10,
+  },
+  groupItem: {
+    backgroundColor: '#fff',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  groupIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#f0f0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  groupIconText: {
+    fontSize: 18,
+  },
+  groupInfo: {
+    flex: 1,
+  },
+  groupName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  groupMeta: {
+    fontSize: 13,
+    color: '#999',
+  },
+  requestButton: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 15,
+  },
+  requestedButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#007AFF',
+  },
+  requestButtonText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  requestedButtonText: {
+    color: '#007AFF',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    fontSize: 14,
+    marginTop: 20,
+  },
+});
@@ -0,0 +1,242 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  FlatList,
+  ActivityIndicator,
+} from 'react-native';
+import useUserDirectory, {searchUsers} from '../../hooks/useUserDirectory';
+
+// Searchable multi-select over the users directory. Users in excludeIds
+// (e.g. existing members) are not offered.
+export default function MemberPickerModal({
+  visible,
+  title = 'Add Members',
+  excludeIds = [],
+  initialSelected = [],
+  onClose,
+  onDone,
+}) {
+  const {users, loading} = useUserDirectory();
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(initialSelected);
+
+  const candidates = searchUsers(
+    users.filter(user => !excludeIds.includes(user.id)),
+    query,
+  );
+  const selectedIds = selected.map(user => user.id);
+
+  const toggleUser = user => {
+    setSelected(prev =>
+      prev.some(selectedUser => selectedUser.id === user.id)
+        ? prev.filter(selectedUser => selectedUser.id !== user.id)
+        : [...prev, user],
+    );
+  };
+
+  const renderUser = ({item}) => {
+    const isSelected = selectedIds.includes(item.id);
+
+    return (
+      <TouchableOpacity
+        style={styles.userItem}
+        onPress={() => toggleUser(item)}>
+        <View style={styles.avatar}>
+          <Text style={styles.avatarText}>
+            {item.name?.charAt(0)?.toUpperCase() || 'U'}
+          </Text>
+        </View>
+        <View style={styles.userInfo}>
+          <Text style={styles.userName}>{item.name}</Text>
+          <Text style={styles.username}>@{item.username}</Text>
+        </View>
+        <View style={[styles.checkbox, isSelected && styles.checkboxSelected]}>
+          {isSelected && <Text style={styles.checkmark}>✓</Text>}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          <Text style={styles.title}>{title}</Text>
+
+          <TextInput
+            style={styles.input}
+            placeholder="Search by name or username"
+            placeholderTextColor="#999"
+            value={query}
+            onChangeText={setQuery}
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+
+          {loading ? (
+            <ActivityIndicator style={styles.loading} color="#007AFF" />
+          ) : (
+            <FlatList
+              data={candidates}
+              renderItem={renderUser}
+              keyExtractor={item => item.id}
+              style={styles.list}
+              keyboardShouldPersistTaps="handled"
+              ListEmptyComponent={
+                <Text style={styles.emptyText}>No matching people</Text>
+              }
+            />
+          )}
+
+          <View style={styles.buttons}>
+            <TouchableOpacity
+              style={[styles.button, styles.cancelButton]}
+              onPress={onClose}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.button, styles.doneButton]}
+              onPress={() => onDone(selected)}>
+              <Text style={styles.doneButtonText}>
+                {selected.length > 0 ? `Add (${selected.length})` : 'Done'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modal: {
+    backgroundColor: '#fff',
+    borderRadius: 15,
+    padding: 25,
+    width: '90%',
+    maxWidth: 420,
+    maxHeight: '80%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  input: {
+    backgroundColor: '#f9f9f9',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+    fontSize: 16,
+    color: '#333',
+  },
+  loading: {
+    marginVertical: 20,
+  },
+  list: {
+    marginBottom: 15,
+  },
+  userItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  avatar: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#007AFF',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  avatarText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  userInfo: {
+    flex: 1,
+  },
+  userName: {
+    fontSize: 16,
+    color: '#333',
+  },
+  username: {
+    fontSize: 13,
+    color: '#999',
+  },
+  checkbox: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: '#ccc',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  checkboxSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  checkmark: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    marginVertical: 20,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  button: {
+    flex: 1,
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: '#f0f0f0',
+    marginRight: 10,
+  },
+  doneButton: {
+    backgroundColor: '#007AFF',
+    marginLeft: 10,
+  },
+  cancelButtonText: {
+    color: '#333',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  doneButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,272 @@
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../../config/firebase';
+import {GROUP_ROLES} from '../../utils/permissions';
+import {generateInviteCode, inviteProblem} from '../../utils/groupInvites';
+
+export const SYSTEM_EVENTS = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  LEFT: 'left',
+  JOINED: 'joined',
+};
+
+// "Meena", "Meena and Priya", "Meena, Priya and Karthik"
+export function joinNames(names) {
+  if (names.length <= 1) {
+    return names[0] || '';
+  }
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+export function systemMessageText(event, actorName, targetNames = []) {
+  switch (event) {
+    case SYSTEM_EVENTS.ADDED:
+      return `${actorName} added ${joinNames(targetNames)}`;
+    case SYSTEM_EVENTS.REMOVED:
+      return `${actorName} removed ${joinNames(targetNames)}`;
+    case SYSTEM_EVENTS.LEFT:
+      return `${actorName} left`;
+    case SYSTEM_EVENTS.JOINED:
+      return `${actorName} joined`;
+    default:
+      return '';
+  }
+}
+
+// System messages are written in the same batch as the membership change so
+// the timeline never disagrees with the members list
+function addSystemMessage(
+  batch,
+  workspaceId,
+  groupId,
+  event,
+  actor,
+  targets = [],
+) {
+  batch.set(workspaceRef(workspaceId).collection('messages').doc(), {
+    groupId,
+    type: 'system',
+    text: systemMessageText(
+      event,
+      actor.name,
+      targets.map(target => target.name),
+    ),
+    systemEvent: {
+      event,
+      targetIds: targets.map(target => target.id),
+    },
+    senderId: actor.id,
+    senderName: actor.name,
+    createdAt: firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+const groupRef = (workspaceId, groupId) =>
+  workspaceRef(workspaceId).collection('groups').doc(groupId);
+
+// Discoverable groups can be found by anyone in the workspace, who can then
+// ask to join
+export async function createGroup(
+  workspaceId,
+  {name, isChannel, discoverable = false, creator, members},
+) {
+  const newGroupRef = workspaceRef(workspaceId).collection('groups').doc();
+  const batch = firestore().batch();
+
+  batch.set(newGroupRef, {
+    name,
+    isChannel,
+    discoverable,
+    createdBy: creator.id,
+    createdAt: firestore.FieldValue.serverTimestamp(),
+    members: [creator.id, ...members.map(member => member.id)],
+    roles: {[creator.id]: GROUP_ROLES.OWNER},
+  });
+
+  if (members.length > 0) {
+    addSystemMessage(
+      batch,
+      workspaceId,
+      newGroupRef.id,
+      SYSTEM_EVENTS.ADDED,
+      creator,
+      members,
+    );
+  }
+
+  await batch.commit();
+  return newGroupRef.id;
+}
+
+export async function addMembers(workspaceId, groupId, users, actor) {
+  if (users.length === 0) {
+    return;
+  }
+
+  const batch = firestore().batch();
+  batch.update(groupRef(workspaceId, groupId), {
+    members: firestore.FieldValue.arrayUnion(...users.map(user => user.id)),
+  });
+  addSystemMessage(
+    batch,
+    workspaceId,
+    groupId,
+    SYSTEM_EVENTS.ADDED,
+    actor,
+    users,
+  );
+  await batch.commit();
+}
+
+export async function removeMember(workspaceId, groupId, user, actor) {
+  const batch = firestore().batch();
+  batch.update(groupRef(workspaceId, groupId), {
+    members: firestore.FieldValue.arrayRemove(user.id),
+    [`roles.${user.id}`]: firestore.FieldValue.delete(),
+  });
+  addSystemMessage(batch, workspaceId, groupId, SYSTEM_EVENTS.REMOVED, actor, [
+    user,
+  ]);
+  await batch.commit();
+}
+
+export async function leaveGroup(workspaceId, groupId, user) {
+  const batch = firestore().batch();
+  batch.update(groupRef(workspaceId, groupId), {
+    members: firestore.FieldValue.arrayRemove(user.id),
+    [`roles.${user.id}`]: firestore.FieldValue.delete(),
+  });
+  addSystemMessage(batch, workspaceId, groupId, SYSTEM_EVENTS.LEFT, user);
+  await batch.commit();
+}
+
+// Plain members have no entry in the roles map
+export async function setGroupRole(workspaceId, groupId, userId, role) {
+  await groupRef(workspaceId, groupId).update({
+    [`roles.${userId}`]:
+      role === GROUP_ROLES.MEMBER ? firestore.FieldValue.delete() : role,
+  });
+}
+
+export async function setGroupDiscoverable(workspaceId, groupId, discoverable) {
+  await groupRef(workspaceId, groupId).update({discoverable});
+}
+
+// ---- Invites ----
+
+const inviteRef = (workspaceId, groupId, code) =>
+  groupRef(workspaceId, groupId).collection('invites').doc(code);
+
+const inviteCodeRef = (workspaceId, code) =>
+  workspaceRef(workspaceId).collection('inviteCodes').doc(code);
+
+// expiresInMs and maxUses are null for invites without a limit
+export async function createInvite(
+  workspaceId,
+  group,
+  {expiresInMs, maxUses},
+  creatorId,
+) {
+  const code = generateInviteCode();
+  const batch = firestore().batch();
+
+  batch.set(inviteRef(workspaceId, group.id, code), {
+    groupId: group.id,
+    groupName: group.name,
+    createdBy: creatorId,
+    createdAt: firestore.FieldValue.serverTimestamp(),
+    expiresAt: expiresInMs
+      ? firestore.Timestamp.fromMillis(Date.now() + expiresInMs)
+      : null,
+    maxUses: maxUses || null,
+    uses: 0,
+    revoked: false,
+  });
+  batch.set(inviteCodeRef(workspaceId, code), {groupId: group.id});
+
+  await batch.commit();
+  return code;
+}
+
+export async function revokeInvite(workspaceId, groupId, code) {
+  await inviteRef(workspaceId, groupId, code).update({revoked: true});
+}
+
+// Which group a code is for, so people already in it can skip joining
+export async function groupIdForInvite(workspaceId, code) {
+  const codeDoc = await inviteCodeRef(workspaceId, code).get();
+  if (!codeDoc.exists) {
+    throw new Error(inviteProblem(null));
+  }
+  return codeDoc.data().groupId;
+}
+
+// The joins/{uid} record names the code that let the user in, which is what
+// the security rules check the new membership against
+export async function joinWithInvite(workspaceId, groupId, code, user) {
+  await firestore().runTransaction(async transaction => {
+    const inviteDoc = await transaction.get(
+      inviteRef(workspaceId, groupId, code),
+    );
+    const problem = inviteProblem(inviteDoc.exists ? inviteDoc.data() : null);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    transaction.update(groupRef(workspaceId, groupId), {
+      members: firestore.FieldValue.arrayUnion(user.id),
+    });
+    transaction.update(inviteDoc.ref, {
+      uses: firestore.FieldValue.increment(1),
+    });
+    transaction.set(
+      groupRef(workspaceId, groupId).collection('joins').doc(user.id),
+      {
+        code,
+        joinedAt: firestore.FieldValue.serverTimestamp(),
+      },
+    );
+    addSystemMessage(
+      transaction,
+      workspaceId,
+      groupId,
+      SYSTEM_EVENTS.JOINED,
+      user,
+    );
+  });
+}
+
+// ---- Requests to join ----
+
+const joinRequestRef = (workspaceId, groupId, userId) =>
+  groupRef(workspaceId, groupId).collection('joinRequests').doc(userId);
+
+export async function requestToJoin(workspaceId, groupId, user) {
+  await joinRequestRef(workspaceId, groupId, user.id).set({
+    userId: user.id,
+    name: user.name,
+    createdAt: firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+// Used both by the requester cancelling and by staff declining
+export async function removeJoinRequest(workspaceId, groupId, userId) {
+  await joinRequestRef(workspaceId, groupId, userId).delete();
+}
+
+export async function approveJoinRequest(
+  workspaceId,
+  groupId,
+  requester,
+  actor,
+) {
+  const batch = firestore().batch();
+  batch.update(groupRef(workspaceId, groupId), {
+    members: firestore.FieldValue.arrayUnion(requester.id),
+  });
+  batch.delete(joinRequestRef(workspaceId, groupId, requester.id));
+  addSystemMessage(batch, workspaceId, groupId, SYSTEM_EVENTS.ADDED, actor, [
+    requester,
+  ]);
+  await batch.commit();
+}
@@ -0,0 +1,223 @@
+import React, {useState, useEffect} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import {useAuth} from '../../context/AuthContext';
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../../config/firebase';
+import useMentions, {isUnreadMention} from '../../hooks/useMentions';
+import {splitMentionSegments} from '../Chat/mentions';
+import {useUserProfiles} from '../../context/UserProfilesContext';
+import {senderIds, withSenderIdentity} from '../../utils/senderIdentity';
+
+const formatDate = timestamp => {
+  if (!timestamp || !timestamp.toDate) {
+    return 'Now';
+  }
+  const date = timestamp.toDate();
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'})
+    : date.toLocaleDateString();
+};
+
+export default function MentionsScreen({groups, onBack, onOpenGroup}) {
+  const {currentUser, userData, workspaceId} = useAuth();
+  const {mentions, loading} = useMentions(currentUser.uid);
+  const senderProfiles = useUserProfiles(senderIds(mentions));
+  // Keep the marker from when the inbox was opened so unread items stay
+  // highlighted for this visit even though we mark them read right away
+  const [lastReadAt] = useState(userData?.mentionsLastReadAt || null);
+
+  useEffect(() => {
+    workspaceRef(workspaceId)
+      .collection('users')
+      .doc(currentUser.uid)
+      .update({
+        mentionsLastReadAt: firestore.FieldValue.serverTimestamp(),
+      })
+      .catch(error => {
+        console.error('Error marking mentions read:', error);
+      });
+  }, [workspaceId, currentUser.uid]);
+
+  const groupsById = {};
+  groups.forEach(group => {
+    groupsById[group.id] = group;
+  });
+
+  const renderMention = ({item}) => {
+    const group = groupsById[item.groupId];
+    const unread = isUnreadMention(item, lastReadAt);
+    const senderName = withSenderIdentity(item, senderProfiles).senderName;
+
+    return (
+      <TouchableOpacity
+        style={[styles.mentionItem, unread && styles.unreadItem]}
+        onPress={() => group && onOpenGroup(group)}
+        disabled={!group}>
+        <View style={styles.mentionHeader}>
+          {unread && <View style={styles.unreadDot} />}
+          <Text style={[styles.senderName, unread && styles.unreadText]}>
+            {senderName || 'Unknown User'}
+          </Text>
+          <Text style={styles.groupName}>
+            {' in '}
+            {group ? group.name : 'a group you left'}
+          </Text>
+          <Text style={styles.time}>{formatDate(item.createdAt)}</Text>
+        </View>
+        <Text style={styles.mentionText} numberOfLines={3}>
+          {splitMentionSegments(item.text || '', item.mentions).map(
+            (segment, index) =>
+              segment.mention ? (
+                <Text key={index} style={styles.mention}>
+                  {segment.text}
+                </Text>
+              ) : (
+                segment.text
+              ),
+          )}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Mentions</Text>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#007AFF" />
+        </View>
+      ) : mentions.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>No mentions yet</Text>
+          <Text style={styles.emptySubtext}>
+            Messages that @mention you will show up here
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={mentions}
+          renderItem={renderMention}
+          keyExtractor={item => item.id}
+          contentContainerStyle={styles.mentionsList}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    paddingTop: 50,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  mentionsList: {
+    padding: 10,
+  },
+  mentionItem: {
+    backgroundColor: '#fff',
+    padding: 15,
+    marginBottom: 10,
+    borderRadius: 10,
+    shadowColor: '#000',
+    shadowOffset: {width: 0, height: 1},
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  unreadItem: {
+    backgroundColor: '#f0f6ff',
+  },
+  mentionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  unreadDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#007AFF',
+    marginRight: 6,
+  },
+  senderName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  unreadText: {
+    fontWeight: 'bold',
+  },
+  groupName: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+  },
+  time: {
+    fontSize: 12,
+    color: '#999',
+  },
+  mentionText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  mention: {
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 18,
+    color: '#666',
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,68 @@
+import React from 'react';
+import {View, Text, StyleSheet, TouchableOpacity} from 'react-native';
+
+export default function NotificationBanner({notification, onDismiss}) {
+  const handlePress = () => {
+    onDismiss();
+    notification.onPress?.();
+  };
+
+  return (
+    <TouchableOpacity
+      style={styles.banner}
+      activeOpacity={0.9}
+      onPress={handlePress}>
+      <View style={styles.content}>
+        <Text style={styles.title} numberOfLines={1}>
+          {notification.title}
+        </Text>
+        <Text style={styles.body} numberOfLines={2}>
+          {notification.body}
+        </Text>
+      </View>
+      <TouchableOpacity onPress={onDismiss} style={styles.closeButton}>
+        <Text style={styles.closeText}>✕</Text>
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    position: 'absolute',
+    top: 45,
+    left: 10,
+    right: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    shadowColor: '#000',
+    shadowOffset: {width: 0, height: 2},
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+    elevation: 6,
+  },
+  content: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  body: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  closeButton: {
+    padding: 6,
+    marginLeft: 8,
+  },
+  closeText: {
+    fontSize: 14,
+    color: '#999',
+  },
+});
@@ -0,0 +1,59 @@
+import {Alert} from 'react-native';
+import {
+  NOTIFICATION_LEVELS,
+  MUTE_DURATIONS,
+  groupNotificationLevel,
+} from '../../utils/notificationSettings';
+
+export const LEVEL_LABELS = {
+  [NOTIFICATION_LEVELS.ALL]: 'All messages',
+  [NOTIFICATION_LEVELS.MENTIONS]: 'Mentions only',
+  [NOTIFICATION_LEVELS.MUTED]: 'Muted',
+};
+
+const saveSetting = async update => {
+  try {
+    await update();
+  } catch (error) {
+    console.error('Error updating notification settings:', error);
+    Alert.alert('Error', 'Failed to update notification settings');
+  }
+};
+
+// `notifications` is the value of useNotifications()
+export function showNotificationOptions(group, notifications) {
+  const {settings, setGroupLevel, muteGroup, unmuteGroup} = notifications;
+  const level = groupNotificationLevel(settings, group.id);
+
+  const showMuteOptions = () => {
+    Alert.alert('Mute', `Mute ${group.name}`, [
+      ...MUTE_DURATIONS.map(duration => ({
+        text: duration.label,
+        onPress: () => saveSetting(() => muteGroup(group.id, duration.ms)),
+      })),
+      {text: 'Cancel', style: 'cancel'},
+    ]);
+  };
+
+  Alert.alert('Notifications', `Currently: ${LEVEL_LABELS[level]}`, [
+    {
+      text: LEVEL_LABELS[NOTIFICATION_LEVELS.ALL],
+      onPress: () =>
+        saveSetting(() => setGroupLevel(group.id, NOTIFICATION_LEVELS.ALL)),
+    },
+    {
+      text: LEVEL_LABELS[NOTIFICATION_LEVELS.MENTIONS],
+      onPress: () =>
+        saveSetting(() =>
+          setGroupLevel(group.id, NOTIFICATION_LEVELS.MENTIONS),
+        ),
+    },
+    level === NOTIFICATION_LEVELS.MUTED
+      ? {
+          text: 'Unmute',
+          onPress: () => saveSetting(() => unmuteGroup(group.id)),
+        }
+      : {text: 'Mute…', onPress: showMuteOptions},
+    {text: 'Cancel', style: 'cancel'},
+  ]);
+}
@@ -0,0 +1,377 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Image,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import storage from '@react-native-firebase/storage';
+import {launchCamera, launchImageLibrary} from 'react-native-image-picker';
+import {useAuth} from '../../context/AuthContext';
+import {prepareAvatar} from '../../utils/imagePipeline';
+import {
+  USERNAME_TAKEN,
+  normalizeUsername,
+  usernameError,
+} from '../../utils/usernames';
+
+const MAX_STATUS_LENGTH = 100;
+
+export default function ProfileScreen({onBack}) {
+  const {
+    currentUser,
+    account,
+    userData,
+    workspaceId,
+    updateUserProfile,
+    changeUsername,
+  } = useAuth();
+  const [name, setName] = useState(userData?.name || '');
+  const [username, setUsername] = useState(userData?.username || '');
+  const [title, setTitle] = useState(userData?.title || '');
+  const [department, setDepartment] = useState(userData?.department || '');
+  const [statusText, setStatusText] = useState(userData?.statusText || '');
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+
+  const hasChanges =
+    name.trim() !== (userData?.name || '') ||
+    normalizeUsername(username) !== (userData?.username || '') ||
+    title.trim() !== (userData?.title || '') ||
+    department.trim() !== (userData?.department || '') ||
+    statusText.trim() !== (userData?.statusText || '');
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      Alert.alert('Error', 'Please enter your name');
+      return;
+    }
+
+    const normalizedUsername = normalizeUsername(username);
+    const usernameProblem = usernameError(normalizedUsername);
+    if (usernameProblem) {
+      Alert.alert('Error', usernameProblem);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      // First, so a taken username stops the save before anything changes
+      if (normalizedUsername !== userData?.username) {
+        await changeUsername(normalizedUsername);
+      }
+      await updateUserProfile({
+        name: name.trim(),
+        title: title.trim(),
+        department: department.trim(),
+        statusText: statusText.trim(),
+      });
+      onBack();
+    } catch (error) {
+      console.error('Error updating profile:', error);
+      Alert.alert(
+        'Error',
+        error.code === USERNAME_TAKEN
+          ? 'Username already taken'
+          : 'Failed to update profile',
+      );
+      setSaving(false);
+    }
+  };
+
+  // Older uploads are removed once the profile points at the new picture
+  const deletePreviousPicture = async () => {
+    if (!userData?.profilePicturePath) {
+      return;
+    }
+
+    try {
+      await storage().ref(userData.profilePicturePath).delete();
+    } catch (error) {
+      console.error('Error deleting old profile picture:', error);
+    }
+  };
+
+  const handlePictureResponse = async response => {
+    if (response.didCancel || response.errorCode) {
+      return;
+    }
+
+    const asset = response.assets?.[0];
+    if (!asset) {
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const uri = await prepareAvatar(asset);
+      const path = `workspaces/${workspaceId}/profile-pictures/${
+        currentUser.uid
+      }/${Date.now()}.jpg`;
+      const reference = storage().ref(path);
+      await reference.putFile(uri, {contentType: 'image/jpeg'});
+      const url = await reference.getDownloadURL();
+
+      await updateUserProfile({
+        profilePictureUrl: url,
+        profilePicturePath: path,
+      });
+      await deletePreviousPicture();
+    } catch (error) {
+      console.error('Error uploading profile picture:', error);
+      Alert.alert('Error', 'Failed to upload profile picture');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const removePicture = async () => {
+    setUploading(true);
+    try {
+      await updateUserProfile({
+        profilePictureUrl: null,
+        profilePicturePath: null,
+      });
+      await deletePreviousPicture();
+    } catch (error) {
+      console.error('Error removing profile picture:', error);
+      Alert.alert('Error', 'Failed to remove profile picture');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleChangePicture = () => {
+    const options = [
+      {
+        text: 'Camera',
+        onPress: () =>
+          launchCamera({mediaType: 'photo'}, handlePictureResponse),
+      },
+      {
+        text: 'Gallery',
+        onPress: () =>
+          launchImageLibrary({mediaType: 'photo'}, handlePictureResponse),
+      },
+    ];
+    if (userData?.profilePictureUrl) {
+      options.push({
+        text: 'Remove Photo',
+        style: 'destructive',
+        onPress: removePicture,
+      });
+    }
+    options.push({text: 'Cancel', style: 'cancel'});
+
+    Alert.alert('Profile Picture', 'Choose an option', options);
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Edit Profile</Text>
+        {saving ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <TouchableOpacity onPress={handleSave} disabled={!hasChanges}>
+            <Text
+              style={[styles.saveText, !hasChanges && styles.saveTextDisabled]}>
+              Save
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.content}
+        keyboardShouldPersistTaps="handled">
+        {/* Picture */}
+        <TouchableOpacity
+          style={styles.pictureSection}
+          onPress={handleChangePicture}
+          disabled={uploading}>
+          {userData?.profilePictureUrl ? (
+            <Image
+              source={{uri: userData.profilePictureUrl}}
+              style={styles.avatar}
+            />
+          ) : (
+            <View style={styles.avatar}>
+              <Text style={styles.avatarText}>
+                {userData?.name?.charAt(0)?.toUpperCase() || 'U'}
+              </Text>
+            </View>
+          )}
+          {uploading ? (
+            <ActivityIndicator style={styles.pictureAction} color="#007AFF" />
+          ) : (
+            <Text style={styles.pictureAction}>Change Photo</Text>
+          )}
+        </TouchableOpacity>
+
+        <Text style={styles.accountText}>{userData?.email}</Text>
+
+        <Text style={styles.label}>Display Name</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Full Name"
+          placeholderTextColor="#999"
+          value={name}
+          onChangeText={setName}
+          autoCapitalize="words"
+        />
+
+        <Text style={styles.label}>Username</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Username"
+          placeholderTextColor="#999"
+          value={username}
+          onChangeText={setUsername}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        {!!account?.username && (
+          <Text style={styles.hint}>
+            Only used in this workspace. You log in as @{account.username}
+          </Text>
+        )}
+
+        <Text style={styles.label}>Title</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="e.g. Product Designer"
+          placeholderTextColor="#999"
+          value={title}
+          onChangeText={setTitle}
+        />
+
+        <Text style={styles.label}>Department</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="e.g. Engineering"
+          placeholderTextColor="#999"
+          value={department}
+          onChangeText={setDepartment}
+        />
+
+        <Text style={styles.label}>Status</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="What's your status?"
+          placeholderTextColor="#999"
+          value={statusText}
+          onChangeText={setStatusText}
+          maxLength={MAX_STATUS_LENGTH}
+        />
+        <Text style={styles.counter}>
+          {statusText.length}/{MAX_STATUS_LENGTH}
+        </Text>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    paddingTop: 50,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  saveText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  saveTextDisabled: {
+    opacity: 0.5,
+  },
+  content: {
+    padding: 20,
+  },
+  pictureSection: {
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  avatar: {
+    width: 96,
+    height: 96,
+    borderRadius: 48,
+    backgroundColor: '#007AFF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  avatarText: {
+    color: '#fff',
+    fontSize: 36,
+    fontWeight: 'bold',
+  },
+  pictureAction: {
+    marginTop: 10,
+    color: '#007AFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  accountText: {
+    textAlign: 'center',
+    fontSize: 13,
+    color: '#999',
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 6,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: -10,
+    marginBottom: 15,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 15,
+  },
+  counter: {
+    alignSelf: 'flex-end',
+    fontSize: 12,
+    color: '#999',
+    marginTop: -10,
+  },
+});
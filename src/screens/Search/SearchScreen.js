@@ -0,0 +1,380 @@
+import React, {useState, useEffect} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import MemberPickerModal from '../Groups/MemberPickerModal';
+import {searchMessages} from './searchMessages';
+import {
+  tokenize,
+  buildSnippet,
+  highlightSegments,
+  searchableText,
+} from '../../utils/messageSearch';
+import {formatTime} from '../Chat/MessageItem';
+import {useAuth} from '../../context/AuthContext';
+import {useUserProfiles} from '../../context/UserProfilesContext';
+import {senderIds, withSenderIdentity} from '../../utils/senderIdentity';
+
+const DATE_FILTERS = [
+  {label: 'Any time', days: null},
+  {label: 'Past week', days: 7},
+  {label: 'Past month', days: 30},
+  {label: 'Past year', days: 365},
+];
+
+const formatDate = timestamp => {
+  if (!timestamp || !timestamp.toDate) {
+    return '';
+  }
+  return timestamp.toDate().toLocaleDateString();
+};
+
+// Searches every group in `groups`, or just `scopeGroup` when opened from
+// a chat header
+export default function SearchScreen({
+  groups,
+  scopeGroup,
+  onBack,
+  onOpenResult,
+}) {
+  const {workspaceId} = useAuth();
+  const [query, setQuery] = useState('');
+  const [submittedQuery, setSubmittedQuery] = useState('');
+  const [senders, setSenders] = useState([]);
+  const [dateFilter, setDateFilter] = useState(DATE_FILTERS[0]);
+  const [hasImage, setHasImage] = useState(false);
+  const [showSenderPicker, setShowSenderPicker] = useState(false);
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searched, setSearched] = useState(false);
+
+  const searchGroups = scopeGroup ? [scopeGroup] : groups;
+  const groupIdsKey = searchGroups.map(group => group.id).join(',');
+  const senderIdsKey = senders.map(sender => sender.id).join(',');
+  const terms = tokenize(submittedQuery);
+
+  const groupsById = {};
+  searchGroups.forEach(group => {
+    groupsById[group.id] = group;
+  });
+
+  // Re-run whenever the submitted query or a filter changes
+  useEffect(() => {
+    if (tokenize(submittedQuery).length === 0 && !hasImage) {
+      setResults([]);
+      setSearched(false);
+      return;
+    }
+
+    let cancelled = false;
+    setSearching(true);
+
+    searchMessages(workspaceId, {
+      groupIds: groupIdsKey ? groupIdsKey.split(',') : [],
+      query: submittedQuery,
+      senderIds: senderIdsKey ? senderIdsKey.split(',') : [],
+      since: dateFilter.days
+        ? new Date(Date.now() - dateFilter.days * 86400000)
+        : null,
+      hasImage,
+    })
+      .then(messages => {
+        if (cancelled) {
+          return;
+        }
+        setResults(messages);
+        setSearched(true);
+      })
+      .catch(error => {
+        console.error('Error searching messages:', error);
+        if (!cancelled) {
+          Alert.alert('Error', 'Failed to search messages');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setSearching(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    workspaceId,
+    submittedQuery,
+    groupIdsKey,
+    senderIdsKey,
+    dateFilter,
+    hasImage,
+  ]);
+
+  const chooseDateFilter = () => {
+    Alert.alert('Date', null, [
+      ...DATE_FILTERS.map(filter => ({
+        text: filter.label,
+        onPress: () => setDateFilter(filter),
+      })),
+      {text: 'Cancel', style: 'cancel'},
+    ]);
+  };
+
+  const senderProfiles = useUserProfiles(senderIds(results));
+
+  const senderLabel =
+    senders.length === 0
+      ? 'From: Anyone'
+      : `From: ${senders[0].name}${
+          senders.length > 1 ? ` +${senders.length - 1}` : ''
+        }`;
+
+  const renderResult = ({item}) => {
+    const senderName = withSenderIdentity(item, senderProfiles).senderName;
+    const group = groupsById[item.groupId];
+    const snippet = item.text
+      ? buildSnippet(item.text, terms)
+      : item.fileName
+      ? `📎 ${item.fileName}`
+      : `📷 ${searchableText(item) || 'Photo'}`;
+
+    return (
+      <TouchableOpacity
+        style={styles.resultItem}
+        onPress={() => onOpenResult(item)}>
+        <View style={styles.resultHeader}>
+          <Text style={styles.resultSender} numberOfLines={1}>
+            {senderName || 'Unknown User'}
+            {!scopeGroup && group ? ` · ${group.name}` : ''}
+            {item.type === 'reply' ? ' · in thread' : ''}
+          </Text>
+          <Text style={styles.resultDate}>
+            {formatDate(item.createdAt)} {formatTime(item.createdAt)}
+          </Text>
+        </View>
+        <Text style={styles.resultSnippet} numberOfLines={3}>
+          {highlightSegments(snippet, terms).map((segment, index) => (
+            <Text key={index} style={segment.match && styles.highlight}>
+              {segment.text}
+            </Text>
+          ))}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} numberOfLines={1}>
+          {scopeGroup ? `Search in ${scopeGroup.name}` : 'Search'}
+        </Text>
+      </View>
+
+      <TextInput
+        style={styles.searchInput}
+        placeholder="Search messages"
+        placeholderTextColor="#999"
+        value={query}
+        onChangeText={setQuery}
+        onSubmitEditing={() => setSubmittedQuery(query)}
+        returnKeyType="search"
+        autoCapitalize="none"
+        autoCorrect={false}
+        autoFocus
+      />
+
+      {/* Filters */}
+      <View style={styles.filters}>
+        <TouchableOpacity
+          style={[
+            styles.filterChip,
+            senders.length > 0 && styles.filterChipActive,
+          ]}
+          onPress={() => setShowSenderPicker(true)}>
+          <Text
+            style={[
+              styles.filterText,
+              senders.length > 0 && styles.filterTextActive,
+            ]}>
+            {senderLabel}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[
+            styles.filterChip,
+            dateFilter.days && styles.filterChipActive,
+          ]}
+          onPress={chooseDateFilter}>
+          <Text
+            style={[
+              styles.filterText,
+              dateFilter.days && styles.filterTextActive,
+            ]}>
+            {dateFilter.label}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.filterChip, hasImage && styles.filterChipActive]}
+          onPress={() => setHasImage(prev => !prev)}>
+          <Text
+            style={[styles.filterText, hasImage && styles.filterTextActive]}>
+            📷 Has image
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {searching ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#007AFF" />
+        </View>
+      ) : (
+        <FlatList
+          data={results}
+          renderItem={renderResult}
+          keyExtractor={item => item.id}
+          contentContainerStyle={styles.resultsList}
+          keyboardShouldPersistTaps="handled"
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>
+              {searched
+                ? 'No messages found'
+                : 'Search by keyword, sender, date or images'}
+            </Text>
+          }
+        />
+      )}
+
+      {showSenderPicker && (
+        <MemberPickerModal
+          visible={showSenderPicker}
+          title="From"
+          initialSelected={senders}
+          onClose={() => setShowSenderPicker(false)}
+          onDone={selected => {
+            setSenders(selected);
+            setShowSenderPicker(false);
+          }}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    paddingTop: 50,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  searchInput: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    margin: 10,
+    marginBottom: 0,
+    fontSize: 16,
+    color: '#333',
+  },
+  filters: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    padding: 10,
+  },
+  filterChip: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 15,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 6,
+    backgroundColor: '#fff',
+  },
+  filterChipActive: {
+    borderColor: '#007AFF',
+    backgroundColor: '#E5F0FF',
+  },
+  filterText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  filterTextActive: {
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  resultsList: {
+    paddingHorizontal: 10,
+  },
+  resultItem: {
+    backgroundColor: '#fff',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 10,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  resultSender: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#007AFF',
+    marginRight: 10,
+  },
+  resultDate: {
+    fontSize: 12,
+    color: '#999',
+  },
+  resultSnippet: {
+    fontSize: 15,
+    color: '#333',
+  },
+  highlight: {
+    backgroundColor: '#FFF3B0',
+    fontWeight: '600',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    marginTop: 20,
+  },
+});
@@ -0,0 +1,77 @@
+import firestore from '@react-native-firebase/firestore';
+import {workspaceRef} from '../../config/firebase';
+import {
+  tokenize,
+  primaryTerm,
+  matchesTerms,
+  searchableText,
+} from '../../utils/messageSearch';
+
+// Firestore caps 'in' queries, so groups are searched in chunks
+const IN_QUERY_LIMIT = 10;
+const RESULTS_PER_CHUNK = 50;
+
+// Searches messages and thread replies in the given groups. Only the most
+// selective term (or the image filter) and the date range run on the server;
+// the other terms and filters are applied to what comes back.
+export async function searchMessages(
+  workspaceId,
+  {groupIds, query, senderIds = [], since = null, hasImage = false},
+) {
+  const terms = tokenize(query);
+  if (groupIds.length === 0 || (terms.length === 0 && !hasImage)) {
+    return [];
+  }
+
+  const chunks = [];
+  for (let i = 0; i < groupIds.length; i += IN_QUERY_LIMIT) {
+    chunks.push(groupIds.slice(i, i + IN_QUERY_LIMIT));
+  }
+
+  const snapshots = await Promise.all(
+    chunks.map(chunk => {
+      let messagesQuery = workspaceRef(workspaceId)
+        .collection('messages')
+        .where('groupId', 'in', chunk);
+
+      messagesQuery = hasImage
+        ? messagesQuery.where('mediaType', '==', 'image')
+        : messagesQuery.where(
+            'searchTokens',
+            'array-contains',
+            primaryTerm(terms),
+          );
+
+      if (since) {
+        messagesQuery = messagesQuery.where(
+          'createdAt',
+          '>=',
+          firestore.Timestamp.fromDate(since),
+        );
+      }
+
+      return messagesQuery
+        .orderBy('createdAt', 'desc')
+        .limit(RESULTS_PER_CHUNK)
+        .get();
+    }),
+  );
+
+  return snapshots
+    .flatMap(snapshot =>
+      snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+      })),
+    )
+    .filter(
+      message =>
+        !message.deleted &&
+        matchesTerms(searchableText(message), terms) &&
+        (!hasImage || message.mediaType === 'image') &&
+        (senderIds.length === 0 || senderIds.includes(message.senderId)),
+    )
+    .sort(
+      (a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0),
+    );
+}
@@ -0,0 +1,221 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Switch,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import {useAuth} from '../../context/AuthContext';
+import {useNotifications} from '../../context/NotificationsContext';
+import {
+  DEFAULT_DO_NOT_DISTURB,
+  formatMinutes,
+} from '../../utils/notificationSettings';
+
+// Start and end, in minutes after midnight
+const DO_NOT_DISTURB_SCHEDULES = [
+  {start: 22 * 60, end: 7 * 60},
+  {start: 21 * 60, end: 8 * 60},
+  {start: 0, end: 6 * 60},
+  {start: 9 * 60, end: 17 * 60},
+];
+
+const scheduleLabel = ({start, end}) =>
+  `${formatMinutes(start)} – ${formatMinutes(end)}`;
+
+export default function SettingsScreen({
+  onBack,
+  onEditProfile,
+  onChangePassword,
+}) {
+  const {userData, updateUserProfile} = useAuth();
+  const {settings: notificationSettings, setDoNotDisturb} = useNotifications();
+  const doNotDisturb = {
+    ...DEFAULT_DO_NOT_DISTURB,
+    ...notificationSettings.doNotDisturb,
+  };
+
+  const toggleShowLastSeen = async showLastSeen => {
+    try {
+      await updateUserProfile({hideLastSeen: !showLastSeen});
+    } catch (error) {
+      console.error('Error updating last seen setting:', error);
+      Alert.alert('Error', 'Failed to update setting');
+    }
+  };
+
+  const updateDoNotDisturb = async updates => {
+    try {
+      await setDoNotDisturb({...doNotDisturb, ...updates});
+    } catch (error) {
+      console.error('Error updating do not disturb:', error);
+      Alert.alert('Error', 'Failed to update setting');
+    }
+  };
+
+  const chooseDoNotDisturbSchedule = () => {
+    Alert.alert('Do Not Disturb', 'Silence notifications between', [
+      ...DO_NOT_DISTURB_SCHEDULES.map(schedule => ({
+        text: scheduleLabel(schedule),
+        onPress: () => updateDoNotDisturb(schedule),
+      })),
+      {text: 'Cancel', style: 'cancel'},
+    ]);
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Settings</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {/* Account */}
+        <Text style={styles.sectionTitle}>Account</Text>
+        <TouchableOpacity style={styles.settingRow} onPress={onEditProfile}>
+          <View style={styles.settingInfo}>
+            <Text style={styles.settingTitle}>Edit profile</Text>
+            <Text style={styles.settingDescription}>
+              @{userData?.username} · {userData?.email}
+            </Text>
+          </View>
+          <Text style={styles.chevron}>›</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.settingRow, styles.rowBelow]}
+          onPress={onChangePassword}>
+          <View style={styles.settingInfo}>
+            <Text style={styles.settingTitle}>Change password</Text>
+          </View>
+          <Text style={styles.chevron}>›</Text>
+        </TouchableOpacity>
+
+        {/* Privacy */}
+        <Text style={styles.sectionTitle}>Privacy</Text>
+        <View style={styles.settingRow}>
+          <View style={styles.settingInfo}>
+            <Text style={styles.settingTitle}>Show last seen</Text>
+            <Text style={styles.settingDescription}>
+              Others can always see when you're online
+            </Text>
+          </View>
+          <Switch
+            value={!userData?.hideLastSeen}
+            onValueChange={toggleShowLastSeen}
+            trackColor={{false: '#ddd', true: '#007AFF'}}
+          />
+        </View>
+
+        {/* Notifications */}
+        <Text style={styles.sectionTitle}>Notifications</Text>
+        <View style={styles.settingRow}>
+          <View style={styles.settingInfo}>
+            <Text style={styles.settingTitle}>Do not disturb</Text>
+            <Text style={styles.settingDescription}>
+              No notification banners during these hours
+            </Text>
+          </View>
+          <Switch
+            value={doNotDisturb.enabled}
+            onValueChange={enabled => updateDoNotDisturb({enabled})}
+            trackColor={{false: '#ddd', true: '#007AFF'}}
+          />
+        </View>
+        {doNotDisturb.enabled && (
+          <TouchableOpacity
+            style={styles.scheduleRow}
+            onPress={chooseDoNotDisturbSchedule}>
+            <Text style={styles.settingTitle}>Schedule</Text>
+            <Text style={styles.scheduleText}>
+              {scheduleLabel(doNotDisturb)}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    paddingTop: 50,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  content: {
+    padding: 20,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 20,
+    marginBottom: 6,
+  },
+  settingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+  },
+  rowBelow: {
+    marginTop: 1,
+  },
+  settingInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  settingTitle: {
+    fontSize: 16,
+    color: '#333',
+  },
+  settingDescription: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  chevron: {
+    fontSize: 22,
+    color: '#ccc',
+  },
+  scheduleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 1,
+  },
+  scheduleText: {
+    fontSize: 16,
+    color: '#007AFF',
+  },
+});
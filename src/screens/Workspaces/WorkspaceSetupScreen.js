@@ -0,0 +1,369 @@
+import React, {useEffect, useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ScrollView,
+  Switch,
+  ActivityIndicator,
+} from 'react-native';
+import {useAuth} from '../../context/AuthContext';
+import {authErrorMessage} from '../../utils/authErrors';
+import {
+  USERNAME_TAKEN,
+  normalizeUsername,
+  usernameError,
+} from '../../utils/usernames';
+import {
+  MAX_WORKSPACE_NAME_LENGTH,
+  claimableDomain,
+  workspaceNameError,
+} from '../../utils/workspaces';
+import {
+  createWorkspace,
+  findJoinableWorkspaces,
+  joinWorkspace,
+} from './workspaceMembership';
+
+// Shown after signup until the person is in a workspace, and from the
+// Dashboard's workspace switcher to join or create another one
+export default function WorkspaceSetupScreen({navigation}) {
+  const {currentUser, account, userData, logout} = useAuth();
+  const [joinable, setJoinable] = useState([]);
+  const [loadingJoinable, setLoadingJoinable] = useState(true);
+  const [username, setUsername] = useState(
+    userData?.username || account?.username || '',
+  );
+  const [workspaceName, setWorkspaceName] = useState('');
+  const [shareDomain, setShareDomain] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const memberOf = account?.workspaceIds || [];
+  const domain = claimableDomain(currentUser?.email);
+  const canGoBack = navigation.canGoBack();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    findJoinableWorkspaces(currentUser.email)
+      .then(workspaces => {
+        if (!cancelled) {
+          setJoinable(workspaces);
+        }
+      })
+      .catch(error => {
+        console.error('Error finding workspaces:', error);
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoadingJoinable(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser.email]);
+
+  // The profile each workspace starts with; people can edit it per workspace
+  const profileFor = () => {
+    const normalizedUsername = normalizeUsername(username);
+    const usernameProblem = usernameError(normalizedUsername);
+    if (usernameProblem) {
+      Alert.alert('Error', usernameProblem);
+      return null;
+    }
+
+    return {
+      uid: currentUser.uid,
+      email: currentUser.email.toLowerCase(),
+      name: userData?.name || account?.name || currentUser.email,
+      username: normalizedUsername,
+    };
+  };
+
+  // Joining or creating switches the account to the workspace, which
+  // reloads the app inside it
+  const handleJoin = async workspace => {
+    const user = profileFor();
+    if (!user) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await joinWorkspace(workspace.id, user);
+    } catch (error) {
+      console.error('Error joining workspace:', error);
+      Alert.alert(
+        'Error',
+        authErrorMessage(error, 'Failed to join workspace', {
+          [USERNAME_TAKEN]: `@${user.username} is taken in ${workspace.name}, try another username`,
+        }),
+      );
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    const nameProblem = workspaceNameError(workspaceName);
+    if (nameProblem) {
+      Alert.alert('Error', nameProblem);
+      return;
+    }
+
+    const user = profileFor();
+    if (!user) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await createWorkspace({
+        name: workspaceName.trim(),
+        emailDomain: shareDomain ? domain : null,
+        user,
+      });
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      Alert.alert('Error', 'Failed to create workspace');
+      setSaving(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        {canGoBack && (
+          <TouchableOpacity
+            onPress={() => navigation.goBack()}
+            style={styles.backButton}>
+            <Text style={styles.backText}>← Back</Text>
+          </TouchableOpacity>
+        )}
+        <Text style={styles.headerTitle}>Workspaces</Text>
+        {saving && <ActivityIndicator color="#fff" />}
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.content}
+        keyboardShouldPersistTaps="handled">
+        <Text style={styles.label}>Your username</Text>
+        <TextInput
+          style={styles.input}
+          value={username}
+          onChangeText={setUsername}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <Text style={styles.hint}>
+          Usernames only need to be unique within a workspace
+        </Text>
+
+        <Text style={styles.sectionTitle}>Join a workspace</Text>
+        {loadingJoinable ? (
+          <ActivityIndicator color="#007AFF" style={styles.loading} />
+        ) : joinable.length === 0 ? (
+          <Text style={styles.emptyText}>
+            No workspaces have invited {currentUser.email} yet. Ask an admin to
+            invite you, or create your own below.
+          </Text>
+        ) : (
+          joinable.map(workspace => {
+            const joined = memberOf.includes(workspace.id);
+            return (
+              <View key={workspace.id} style={styles.workspaceItem}>
+                <View style={styles.workspaceInfo}>
+                  <Text style={styles.workspaceName}>{workspace.name}</Text>
+                  {workspace.emailDomain && (
+                    <Text style={styles.workspaceDomain}>
+                      Anyone @{workspace.emailDomain}
+                    </Text>
+                  )}
+                </View>
+                <TouchableOpacity
+                  style={styles.joinButton}
+                  onPress={() => handleJoin(workspace)}
+                  disabled={saving}>
+                  <Text style={styles.joinButtonText}>
+                    {joined ? 'Open' : 'Join'}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            );
+          })
+        )}
+
+        <Text style={styles.sectionTitle}>Create a workspace</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Company name"
+          placeholderTextColor="#999"
+          value={workspaceName}
+          onChangeText={setWorkspaceName}
+          maxLength={MAX_WORKSPACE_NAME_LENGTH}
+        />
+        {domain && (
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Let anyone @{domain} join</Text>
+            <Switch value={shareDomain} onValueChange={setShareDomain} />
+          </View>
+        )}
+        <TouchableOpacity
+          style={[styles.button, saving && styles.buttonDisabled]}
+          onPress={handleCreate}
+          disabled={saving}>
+          <Text style={styles.buttonText}>Create Workspace</Text>
+        </TouchableOpacity>
+
+        {!canGoBack && (
+          <TouchableOpacity style={styles.logoutButton} onPress={handleLogout}>
+            <Text style={styles.logoutText}>Log out</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#007AFF',
+    padding: 15,
+    paddingTop: 50,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  content: {
+    padding: 20,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 6,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#333',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 25,
+    marginBottom: 10,
+  },
+  loading: {
+    marginVertical: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    lineHeight: 20,
+  },
+  workspaceItem: {
+    backgroundColor: '#fff',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  workspaceInfo: {
+    flex: 1,
+  },
+  workspaceName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  workspaceDomain: {
+    fontSize: 13,
+    color: '#999',
+  },
+  joinButton: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  joinButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  switchLabel: {
+    fontSize: 15,
+    color: '#333',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  logoutButton: {
+    marginTop: 25,
+    alignItems: 'center',
+  },
+  logoutText: {
+    color: '#FF3B30',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,127 @@
+import firestore from '@react-native-firebase/firestore';
+import {accountRef, usernameRef, workspaceRef} from '../../config/firebase';
+import {ORG_ROLES} from '../../utils/permissions';
+import {usernameTakenError} from '../../utils/usernames';
+import {canJoinWorkspace, emailDomain, joinRole} from '../../utils/workspaces';
+
+const workspacesRef = () => firestore().collection('workspaces');
+
+// Both helpers take a transaction or a batch
+
+function addToAccount(writes, uid, email, workspaceId) {
+  // Merged so accounts from before workspaces existed are created on the way
+  writes.set(
+    accountRef(uid),
+    {
+      email,
+      workspaceIds: firestore.FieldValue.arrayUnion(workspaceId),
+      currentWorkspaceId: workspaceId,
+    },
+    {merge: true},
+  );
+}
+
+function addProfile(writes, workspaceId, {uid, email, name, username, role}) {
+  writes.set(usernameRef(workspaceId, username), {
+    uid,
+    createdAt: firestore.FieldValue.serverTimestamp(),
+  });
+  writes.set(workspaceRef(workspaceId).collection('users').doc(uid), {
+    email,
+    name,
+    username,
+    role,
+    profilePictureUrl: null,
+    createdAt: firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+// Workspaces that invited this email, or that anyone at its domain can join
+export async function findJoinableWorkspaces(email) {
+  const normalizedEmail = email.toLowerCase();
+  const domain = emailDomain(normalizedEmail);
+  const queries = [
+    workspacesRef().where('invitedEmails', 'array-contains', normalizedEmail),
+    workspacesRef().where('ownerEmails', 'array-contains', normalizedEmail),
+  ];
+  if (domain) {
+    queries.push(workspacesRef().where('emailDomain', '==', domain));
+  }
+
+  const snapshots = await Promise.all(queries.map(query => query.get()));
+  const byId = {};
+  snapshots.forEach(snapshot => {
+    snapshot.docs.forEach(doc => {
+      byId[doc.id] = {id: doc.id, ...doc.data()};
+    });
+  });
+  return Object.values(byId).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// The creator is the workspace's first admin. emailDomain, if set, lets
+// colleagues with the same email domain join without an invite.
+export async function createWorkspace({name, emailDomain: domain, user}) {
+  const newWorkspaceRef = workspacesRef().doc();
+  const batch = firestore().batch();
+
+  batch.set(newWorkspaceRef, {
+    name,
+    emailDomain: domain || null,
+    ownerId: user.uid,
+    ownerEmails: [],
+    invitedEmails: [],
+    createdAt: firestore.FieldValue.serverTimestamp(),
+  });
+  addProfile(batch, newWorkspaceRef.id, {...user, role: ORG_ROLES.ADMIN});
+  addToAccount(batch, user.uid, user.email, newWorkspaceRef.id);
+
+  await batch.commit();
+
+  return newWorkspaceRef.id;
+}
+
+// Fails with username/taken if someone in the workspace has the username
+export async function joinWorkspace(workspaceId, user) {
+  await firestore().runTransaction(async transaction => {
+    const workspaceDoc = await transaction.get(workspaceRef(workspaceId));
+    const profileDoc = await transaction.get(
+      workspaceRef(workspaceId).collection('users').doc(user.uid),
+    );
+    const reservedDoc = await transaction.get(
+      usernameRef(workspaceId, user.username),
+    );
+
+    // Rejoining a workspace you already have a profile in just opens it
+    if (!profileDoc.exists) {
+      if (
+        !workspaceDoc.exists ||
+        !canJoinWorkspace(workspaceDoc.data(), user.email)
+      ) {
+        throw new Error("You haven't been invited to this workspace");
+      }
+      if (reservedDoc.exists) {
+        throw usernameTakenError();
+      }
+
+      addProfile(transaction, workspaceId, {
+        ...user,
+        role: joinRole(workspaceDoc.data(), user.email),
+      });
+    }
+    addToAccount(transaction, user.uid, user.email, workspaceId);
+  });
+}
+
+export async function switchWorkspace(uid, workspaceId) {
+  await accountRef(uid).update({currentWorkspaceId: workspaceId});
+}
+
+// Names for the workspace switcher, in the account's order
+export async function fetchWorkspaces(workspaceIds) {
+  const docs = await Promise.all(
+    workspaceIds.map(id => workspaceRef(id).get()),
+  );
+  return docs
+    .filter(doc => doc.exists)
+    .map(doc => ({id: doc.id, ...doc.data()}));
+}
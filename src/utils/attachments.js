@@ -0,0 +1,59 @@
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+
+// MIME types that can be attached as files, with the icon shown on the card
+const ATTACHMENT_TYPES = {
+  'application/pdf': '📕',
+  'application/msword': '📝',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    '📝',
+  'application/vnd.ms-excel': '📊',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '📊',
+  'text/csv': '📊',
+  'application/vnd.ms-powerpoint': '📽️',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+    '📽️',
+  'text/plain': '📄',
+  'application/zip': '🗜️',
+};
+
+export const ALLOWED_ATTACHMENT_TYPES = Object.keys(ATTACHMENT_TYPES);
+
+export function fileIcon(mimeType) {
+  return ATTACHMENT_TYPES[mimeType] || '📎';
+}
+
+// Returns an error message, or null if the file can be sent
+export function validateAttachment({type, size}) {
+  if (!ALLOWED_ATTACHMENT_TYPES.includes(type)) {
+    return 'This file type is not supported';
+  }
+  if (size && size > MAX_ATTACHMENT_SIZE) {
+    return `Files must be smaller than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`;
+  }
+  return null;
+}
+
+export function formatFileSize(bytes) {
+  if (!bytes) {
+    return '';
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Storage paths keep the original name, minus anything that could act as a
+// path separator. The timestamp prefix keeps uploads of the same name apart.
+export function attachmentPath(
+  workspaceId,
+  userId,
+  fileName,
+  now = Date.now(),
+) {
+  const safeName = (fileName || 'file').replace(/[/\\?#%*:|"<>]/g, '_');
+  return `workspaces/${workspaceId}/chat-files/${userId}/${now}_${safeName}`;
+}
@@ -0,0 +1,43 @@
+import {USERNAME_TAKEN} from './usernames';
+
+// Matches Firebase Auth's own minimum
+export const MIN_PASSWORD_LENGTH = 6;
+
+const AUTH_ERROR_MESSAGES = {
+  'auth/user-not-found': 'Invalid username/email or password',
+  'auth/wrong-password': 'Invalid username/email or password',
+  'auth/invalid-credential': 'Invalid username/email or password',
+  'auth/too-many-requests': 'Too many failed attempts. Please try again later.',
+  'auth/email-already-in-use': 'This email is already registered',
+  'auth/invalid-email': 'Invalid email address',
+  'auth/weak-password': 'Password is too weak',
+  'auth/user-disabled': 'This account has been disabled',
+  'auth/network-request-failed':
+    'No connection. Please try again when you are back online.',
+  'auth/requires-recent-login': 'Please log out and log in again, then retry',
+  [USERNAME_TAKEN]: 'Username already taken',
+};
+
+// Friendly text for an auth error. Screens pass overrides where a code means
+// something more specific to them, e.g. a wrong current password.
+export function authErrorMessage(error, fallback, overrides = {}) {
+  const code = error?.code;
+  if (code && overrides[code]) {
+    return overrides[code];
+  }
+  if (code && AUTH_ERROR_MESSAGES[code]) {
+    return AUTH_ERROR_MESSAGES[code];
+  }
+  return error?.message || fallback;
+}
+
+// Validation shared by signup and change password; null when it's fine
+export function newPasswordError(password, confirmPassword) {
+  if (password !== confirmPassword) {
+    return 'Passwords do not match';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
@@ -0,0 +1,113 @@
+export const CONVERSATION_TABS = {
+  ALL: 'all',
+  DIRECT: 'direct',
+  GROUPS: 'groups',
+  CHANNELS: 'channels',
+};
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+export function conversationTab(group) {
+  if (group.isDirect) {
+    return CONVERSATION_TABS.DIRECT;
+  }
+  return group.isChannel
+    ? CONVERSATION_TABS.CHANNELS
+    : CONVERSATION_TABS.GROUPS;
+}
+
+// A server timestamp that hasn't round-tripped yet reads as null; that only
+// happens for something written a moment ago
+const timestampMillis = (timestamp, now) =>
+  timestamp?.toMillis ? timestamp.toMillis() : now;
+
+// Conversations without messages count as active from when they were created
+export function lastActivityMillis(group, lastMessage, now = Date.now()) {
+  if (lastMessage) {
+    return timestampMillis(lastMessage.createdAt, now);
+  }
+  return group.createdAt ? timestampMillis(group.createdAt, now) : 0;
+}
+
+export function matchesConversationQuery(group, query) {
+  const normalized = query.trim().toLowerCase();
+  if (!normalized) {
+    return true;
+  }
+
+  return [group.name, group.directUser?.username].some(value =>
+    (value || '').toLowerCase().includes(normalized),
+  );
+}
+
+// Filters by tab and search query, then orders by most recent activity with
+// pinned conversations split out: { pinned, others }
+export function arrangeConversations(
+  groups,
+  {
+    tab = CONVERSATION_TABS.ALL,
+    query = '',
+    lastMessages = {},
+    pinnedIds = [],
+    now = Date.now(),
+  },
+) {
+  const activity = {};
+  groups.forEach(group => {
+    activity[group.id] = lastActivityMillis(group, lastMessages[group.id], now);
+  });
+
+  const sorted = groups
+    .filter(
+      group => tab === CONVERSATION_TABS.ALL || conversationTab(group) === tab,
+    )
+    .filter(group => matchesConversationQuery(group, query))
+    .sort((a, b) => activity[b.id] - activity[a.id]);
+
+  return {
+    pinned: sorted.filter(group => pinnedIds.includes(group.id)),
+    others: sorted.filter(group => !pinnedIds.includes(group.id)),
+  };
+}
+
+// Who to credit in a preview line: nobody for system messages or the other
+// person in a direct conversation
+export function previewSenderLabel(message, {userId, isDirect}) {
+  if (message.type === 'system') {
+    return null;
+  }
+  if (message.senderId === userId) {
+    return 'You';
+  }
+  if (isDirect) {
+    return null;
+  }
+  return message.senderName || 'Unknown User';
+}
+
+// "now", "5m", "3h", "Yesterday", "4d", then the date
+export function formatActivityTime(millis, now = Date.now()) {
+  if (!millis) {
+    return '';
+  }
+
+  const age = Math.max(now - millis, 0);
+  if (age < MINUTE_MS) {
+    return 'now';
+  }
+  if (age < HOUR_MS) {
+    return `${Math.floor(age / MINUTE_MS)}m`;
+  }
+  if (age < DAY_MS) {
+    return `${Math.floor(age / HOUR_MS)}h`;
+  }
+  if (age < 2 * DAY_MS) {
+    return 'Yesterday';
+  }
+  if (age < 7 * DAY_MS) {
+    return `${Math.floor(age / DAY_MS)}d`;
+  }
+  return new Date(millis).toLocaleDateString();
+}
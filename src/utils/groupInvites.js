@@ -0,0 +1,110 @@
+// Group invites live in groups/{groupId}/invites/{code}:
+//   { groupId, groupName, createdBy, createdAt, expiresAt, maxUses, uses, revoked }
+// and inviteCodes/{code} maps a code back to its group, since people redeem
+// codes without knowing which group they're for. No expiresAt or maxUses
+// means the invite lasts until it's revoked.
+
+// No 0/O or 1/I, so codes survive being read out loud or copied by hand
+export const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const INVITE_CODE_LENGTH = 8;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const INVITE_EXPIRY_OPTIONS = [
+  {label: 'Never', ms: null},
+  {label: '1 hour', ms: HOUR_MS},
+  {label: '1 day', ms: 24 * HOUR_MS},
+  {label: '7 days', ms: 7 * 24 * HOUR_MS},
+];
+
+export const INVITE_MAX_USES_OPTIONS = [
+  {label: 'No limit', value: null},
+  {label: '1 use', value: 1},
+  {label: '5 uses', value: 5},
+  {label: '25 uses', value: 25},
+];
+
+const toMillis = value => (value?.toMillis ? value.toMillis() : value);
+
+// Codes are all it takes to join, so they come from the platform's secure
+// random source (polyfilled in index.js). The alphabet has 32 characters, so
+// each random byte maps onto it evenly.
+const secureRandomBytes = length =>
+  global.crypto.getRandomValues(new Uint8Array(length));
+
+export function generateInviteCode(randomBytes = secureRandomBytes) {
+  return Array.from(
+    randomBytes(INVITE_CODE_LENGTH),
+    byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length],
+  ).join('');
+}
+
+// Codes only mean something inside their workspace, so the link says which
+// one. The scheme matches LINK_PREFIXES in navigation/linking.js.
+export function inviteLink(workspaceId, code) {
+  return `companychat://join/${code}?workspace=${encodeURIComponent(
+    workspaceId,
+  )}`;
+}
+
+// People paste either the code or the whole link; either way the code is
+// what's after join/, uppercased and without spaces or dashes
+export function parseInviteInput(input) {
+  const text = (input || '').trim();
+  const match = text.match(/join\/([^?#\s]+)(?:\?workspace=([^&#\s]+))?/i);
+  const rawCode = match ? match[1] : text;
+
+  return {
+    code: rawCode.replace(/[\s-]/g, '').toUpperCase(),
+    workspaceId: match?.[2] ? decodeURIComponent(match[2]) : null,
+  };
+}
+
+// Why an invite can't be used, or null if it can
+export function inviteProblem(invite, now = Date.now()) {
+  if (!invite) {
+    return 'This invite code is not valid';
+  }
+  if (invite.revoked) {
+    return 'This invite has been revoked';
+  }
+  if (invite.expiresAt && toMillis(invite.expiresAt) <= now) {
+    return 'This invite has expired';
+  }
+  if (invite.maxUses && (invite.uses || 0) >= invite.maxUses) {
+    return 'This invite has already been used the maximum number of times';
+  }
+  return null;
+}
+
+function formatRemaining(ms) {
+  const hours = Math.ceil(ms / HOUR_MS);
+  if (hours < 24) {
+    return hours === 1 ? '1 hour' : `${hours} hours`;
+  }
+  const days = Math.ceil(hours / 24);
+  return days === 1 ? '1 day' : `${days} days`;
+}
+
+// "2 of 5 uses · expires in 3 days", "Expired", ...
+export function inviteSummary(invite, now = Date.now()) {
+  if (invite.revoked) {
+    return 'Revoked';
+  }
+  if (inviteProblem(invite, now)) {
+    return invite.expiresAt && toMillis(invite.expiresAt) <= now
+      ? 'Expired'
+      : 'Used up';
+  }
+
+  const uses = invite.uses || 0;
+  const parts = [
+    invite.maxUses
+      ? `${uses} of ${invite.maxUses} uses`
+      : `${uses} ${uses === 1 ? 'use' : 'uses'}`,
+    invite.expiresAt
+      ? `expires in ${formatRemaining(toMillis(invite.expiresAt) - now)}`
+      : 'never expires',
+  ];
+  return parts.join(' · ');
+}
@@ -0,0 +1,103 @@
+import ImageResizer from '@bam.tech/react-native-image-resizer';
+
+const MAX_IMAGE_DIMENSION = 1600;
+const IMAGE_QUALITY = 80;
+// Tiny preview stored alongside each image and shown blurred while the
+// full image loads
+const THUMBNAIL_DIMENSION = 40;
+const THUMBNAIL_QUALITY = 50;
+const AVATAR_DIMENSION = 400;
+
+// Resizes and recompresses a picked image, and makes its thumbnail
+export async function prepareImage(asset) {
+  const [full, thumbnail] = await Promise.all([
+    ImageResizer.createResizedImage(
+      asset.uri,
+      MAX_IMAGE_DIMENSION,
+      MAX_IMAGE_DIMENSION,
+      'JPEG',
+      IMAGE_QUALITY,
+      0,
+      null,
+      false,
+      {mode: 'contain', onlyScaleDown: true},
+    ),
+    ImageResizer.createResizedImage(
+      asset.uri,
+      THUMBNAIL_DIMENSION,
+      THUMBNAIL_DIMENSION,
+      'JPEG',
+      THUMBNAIL_QUALITY,
+      0,
+      null,
+      false,
+      {mode: 'contain'},
+    ),
+  ]);
+
+  return {
+    uri: full.uri,
+    width: full.width,
+    height: full.height,
+    thumbnailUri: thumbnail.uri,
+    name: asset.fileName || null,
+  };
+}
+
+// Builds the message's `images` entries and the outbox uploads that fill in
+// their URLs
+export function imageUploads(
+  workspaceId,
+  userId,
+  preparedImages,
+  now = Date.now(),
+) {
+  const images = [];
+  const uploads = [];
+  const folder = `workspaces/${workspaceId}/chat-images/${userId}`;
+
+  preparedImages.forEach((image, index) => {
+    const path = `${folder}/${now}_${index}.jpg`;
+    const thumbnailPath = `${folder}/${now}_${index}_thumb.jpg`;
+
+    images.push({
+      path,
+      thumbnailPath,
+      width: image.width,
+      height: image.height,
+      name: image.name || null,
+    });
+    uploads.push(
+      {
+        localUri: image.uri,
+        path,
+        contentType: 'image/jpeg',
+        target: `images.${index}.url`,
+      },
+      {
+        localUri: image.thumbnailUri,
+        path: thumbnailPath,
+        contentType: 'image/jpeg',
+        target: `images.${index}.thumbnailUrl`,
+      },
+    );
+  });
+
+  return {images, uploads};
+}
+
+// Profile pictures are only ever shown small, so they're stored small
+export async function prepareAvatar(asset) {
+  const resized = await ImageResizer.createResizedImage(
+    asset.uri,
+    AVATAR_DIMENSION,
+    AVATAR_DIMENSION,
+    'JPEG',
+    IMAGE_QUALITY,
+    0,
+    null,
+    false,
+    {mode: 'cover', onlyScaleDown: true},
+  );
+  return resized.uri;
+}
@@ -0,0 +1,37 @@
+export const MAX_ALBUM_IMAGES = 10;
+// Albums show this many tiles, with a "+N" overlay on the last one
+export const MAX_ALBUM_TILES = 4;
+
+// Scales width/height down (never up) to fit inside the box, keeping the
+// aspect ratio. Images without stored dimensions get a square.
+export function fitWithin(width, height, maxWidth, maxHeight) {
+  if (!width || !height) {
+    const side = Math.min(maxWidth, maxHeight);
+    return {width: side, height: side};
+  }
+
+  const scale = Math.min(maxWidth / width, maxHeight / height, 1);
+  return {
+    width: Math.round(width * scale),
+    height: Math.round(height * scale),
+  };
+}
+
+// Image messages store an `images` array; older ones only have mediaUrl
+export function messageImages(message) {
+  if (message.images?.length > 0) {
+    return message.images;
+  }
+  if (message.mediaType === 'image' && message.mediaUrl) {
+    return [{url: message.mediaUrl}];
+  }
+  return [];
+}
+
+export function albumTiles(images) {
+  const visible = images.slice(0, MAX_ALBUM_TILES);
+  return {
+    visible,
+    hiddenCount: images.length - visible.length,
+  };
+}
@@ -0,0 +1,31 @@
+// The pieces of usePaginatedMessages that don't need Firestore. Pages are
+// newest first, and each is kept live by a listener over its own range.
+
+// The range a fetched page's listener covers: from just after the previous
+// page's last message (cursor) down to, and including, this page's last one.
+// The newest page has no cursor, so it grows as messages arrive, and one that
+// came back empty has no lower end. null means an older page came back empty:
+// the start of the conversation, with nothing left to listen to.
+export function livePageBounds(cursor, lastDoc) {
+  if (!lastDoc && cursor) {
+    return null;
+  }
+  return {startAfter: cursor || null, endAt: lastDoc || null};
+}
+
+// Pages can briefly share a message while a listener catches up (or have
+// gaps while one loads), so each message is kept once, where it first shows
+export function mergePages(pages) {
+  const seen = new Set();
+  const merged = [];
+  pages.forEach(page => {
+    (page || []).forEach(message => {
+      if (seen.has(message.id)) {
+        return;
+      }
+      seen.add(message.id);
+      merged.push(message);
+    });
+  });
+  return merged;
+}
@@ -0,0 +1,93 @@
+// Firestore has no full-text search, so each message stores every prefix of
+// the words of its text in `searchTokens` and searches use array-contains.
+// Prefixes let a partly typed word ("meet") find the whole one ("meeting").
+const TOKEN_SPLIT = /[^0-9a-z\u00c0-\uffff]+/;
+const MIN_TOKEN_LENGTH = 2;
+// Longer words are indexed by their first MAX_PREFIX_LENGTH characters and
+// checked in full on the device
+const MAX_PREFIX_LENGTH = 15;
+const MAX_TOKENS = 500;
+const SNIPPET_RADIUS = 40;
+
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(TOKEN_SPLIT)
+    .filter(token => token.length >= MIN_TOKEN_LENGTH);
+}
+
+export function searchTokens(text) {
+  const prefixes = new Set();
+  tokenize(text).forEach(word => {
+    const longest = Math.min(word.length, MAX_PREFIX_LENGTH);
+    for (let length = MIN_TOKEN_LENGTH; length <= longest; length += 1) {
+      prefixes.add(word.slice(0, length));
+    }
+  });
+  return [...prefixes].slice(0, MAX_TOKENS);
+}
+
+// The longest term is the most selective one to send to Firestore; the
+// rest are matched on the device
+export function primaryTerm(terms) {
+  const longest = terms.reduce(
+    (best, term) => (term.length > best.length ? term : best),
+    '',
+  );
+  return longest.slice(0, MAX_PREFIX_LENGTH);
+}
+
+// Images have no text of their own, so they're found by the names they were
+// picked with
+export function searchableText(message) {
+  const imageNames = (message.images || [])
+    .map(image => image.name)
+    .filter(Boolean);
+  return [message.text, message.fileName, ...imageNames]
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Every term has to start one of the message's words, so the last word of
+// a query can still be partially typed
+export function matchesTerms(text, terms) {
+  const tokens = tokenize(text);
+  return terms.every(term => tokens.some(token => token.startsWith(term)));
+}
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Splits text into [{ text, match }] segments for highlighting
+export function highlightSegments(text, terms) {
+  if (!text || terms.length === 0) {
+    return [{text: text || '', match: false}];
+  }
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text
+    .split(pattern)
+    .filter(part => part.length > 0)
+    .map(part => ({
+      text: part,
+      match: terms.includes(part.toLowerCase()),
+    }));
+}
+
+// A window of text around the first matching term
+export function buildSnippet(text, terms) {
+  if (!text) {
+    return '';
+  }
+
+  const lowerText = text.toLowerCase();
+  const indexes = terms
+    .map(term => lowerText.indexOf(term))
+    .filter(index => index >= 0);
+  const firstMatch = indexes.length > 0 ? Math.min(...indexes) : 0;
+
+  const start = Math.max(firstMatch - SNIPPET_RADIUS, 0);
+  const end = Math.min(firstMatch + SNIPPET_RADIUS * 2, text.length);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${
+    end < text.length ? '…' : ''
+  }`;
+}
@@ -0,0 +1,116 @@
+// Notification preferences live in users/{uid}/settings/notifications:
+//   groups: { [groupId]: { level, muted, mutedUntil } }
+//   doNotDisturb: { enabled, start, end }   (minutes after midnight)
+// Mutes sit on top of the level, so unmuting restores whatever was chosen
+// before. A mute without mutedUntil lasts until it's turned off.
+
+export const NOTIFICATION_LEVELS = {
+  ALL: 'all',
+  MENTIONS: 'mentions',
+  MUTED: 'muted',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const MUTE_DURATIONS = [
+  {label: 'For 1 hour', ms: HOUR_MS},
+  {label: 'For 8 hours', ms: 8 * HOUR_MS},
+  {label: 'For 1 week', ms: 7 * 24 * HOUR_MS},
+  {label: 'Until I turn it back on', ms: null},
+];
+
+export const DEFAULT_DO_NOT_DISTURB = {
+  enabled: false,
+  start: 22 * 60,
+  end: 7 * 60,
+};
+
+const toMillis = value => (value?.toMillis ? value.toMillis() : value);
+
+export function groupNotificationLevel(settings, groupId, now = Date.now()) {
+  const group = settings?.groups?.[groupId];
+  if (!group) {
+    return NOTIFICATION_LEVELS.ALL;
+  }
+
+  if (group.muted && (!group.mutedUntil || toMillis(group.mutedUntil) > now)) {
+    return NOTIFICATION_LEVELS.MUTED;
+  }
+  return group.level === NOTIFICATION_LEVELS.MENTIONS
+    ? NOTIFICATION_LEVELS.MENTIONS
+    : NOTIFICATION_LEVELS.ALL;
+}
+
+// The schedule may wrap past midnight, e.g. 22:00 to 07:00
+export function isDoNotDisturb(doNotDisturb, date = new Date()) {
+  if (!doNotDisturb?.enabled) {
+    return false;
+  }
+
+  const {start, end} = doNotDisturb;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  if (start === end) {
+    return true;
+  }
+  if (start < end) {
+    return minutes >= start && minutes < end;
+  }
+  return minutes >= start || minutes < end;
+}
+
+const mentionsUser = (message, userId) =>
+  (message.mentionIds || []).includes(userId);
+
+export function shouldNotify(
+  settings,
+  message,
+  {userId, activeGroupId, date = new Date()},
+) {
+  if (message.senderId === userId) {
+    return false;
+  }
+  // The user is already looking at it
+  if (message.groupId === activeGroupId) {
+    return false;
+  }
+  if (isDoNotDisturb(settings?.doNotDisturb, date)) {
+    return false;
+  }
+
+  const level = groupNotificationLevel(
+    settings,
+    message.groupId,
+    date.getTime(),
+  );
+  if (level === NOTIFICATION_LEVELS.MUTED) {
+    return false;
+  }
+  if (level === NOTIFICATION_LEVELS.MENTIONS) {
+    return mentionsUser(message, userId);
+  }
+  return true;
+}
+
+// unread: { total, mentions } for the group
+export function badgeCount(settings, groupId, unread, now = Date.now()) {
+  if (!unread) {
+    return 0;
+  }
+
+  const level = groupNotificationLevel(settings, groupId, now);
+  if (level === NOTIFICATION_LEVELS.MUTED) {
+    return 0;
+  }
+  if (level === NOTIFICATION_LEVELS.MENTIONS) {
+    return unread.mentions;
+  }
+  return unread.total;
+}
+
+export function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(
+    2,
+    '0',
+  )}`;
+}
@@ -0,0 +1,19 @@
+// A transport delivers notifications that have already passed the user's
+// settings. NotificationsProvider shows them as in-app banners by default;
+// pass a different transport (push, or this stub) through its `transport`
+// prop. Notifications look like:
+//   { id, groupId, title, body, onPress }
+
+// Hands each notification to `log` instead of delivering it, for local
+// development and tests
+export function createLogTransport(log) {
+  const delivered = [];
+
+  return {
+    delivered,
+    deliver(notification) {
+      delivered.push(notification);
+      log(`[notification] ${notification.title}: ${notification.body}`);
+    },
+  };
+}
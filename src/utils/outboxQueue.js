@@ -0,0 +1,122 @@
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  FAILED: 'failed',
+};
+
+// Automatic retries stop after this many failed attempts; the item stays
+// in the outbox as failed until the user retries or discards it
+export const MAX_AUTO_ATTEMPTS = 6;
+
+const BASE_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 60000;
+
+// Exponential backoff: 2s, 4s, 8s ... capped at a minute
+export function retryDelay(attempts) {
+  return Math.min(
+    BASE_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0),
+    MAX_RETRY_DELAY,
+  );
+}
+
+// Errors that mean "try again later" rather than "this will never work"
+const TRANSIENT_ERROR_CODES = [
+  'firestore/unavailable',
+  'firestore/deadline-exceeded',
+  'firestore/aborted',
+  'firestore/internal',
+  'firestore/resource-exhausted',
+  'storage/retry-limit-exceeded',
+  'storage/unknown',
+];
+
+export function isTransientError(error) {
+  if (!error?.code) {
+    return true;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+// Items the queue should attempt now
+export function dueItems(items, now) {
+  return items.filter(
+    item =>
+      item.status === OUTBOX_STATUS.PENDING ||
+      (item.status === OUTBOX_STATUS.FAILED &&
+        item.retryable &&
+        item.attempts < MAX_AUTO_ATTEMPTS &&
+        item.nextAttemptAt <= now),
+  );
+}
+
+// Earliest time a failed item is due for an automatic retry, or null
+export function nextRetryAt(items) {
+  const times = items
+    .filter(
+      item =>
+        item.status === OUTBOX_STATUS.FAILED &&
+        item.retryable &&
+        item.attempts < MAX_AUTO_ATTEMPTS,
+    )
+    .map(item => item.nextAttemptAt);
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+// Queued items carry the files they still have to upload. Each upload's
+// `target` says where its download URL goes in the message: a top-level
+// field such as 'mediaUrl', or 'images.<index>.<field>'.
+export function applyUploadUrls(message, uploads) {
+  const result = {...message};
+  if (message.images) {
+    result.images = message.images.map(image => ({...image}));
+  }
+
+  uploads.forEach(upload => {
+    if (!upload.url) {
+      return;
+    }
+    const [field, index, key] = upload.target.split('.');
+    if (field === 'images') {
+      result.images[Number(index)][key] = upload.url;
+    } else {
+      result[field] = upload.url;
+    }
+  });
+
+  // Readers that predate albums only look at mediaUrl
+  if (result.images?.[0]?.url) {
+    result.mediaUrl = result.images[0].url;
+  }
+  return result;
+}
+
+// Storage paths that were uploaded and need cleaning up if the item is dropped
+export function uploadedPaths(item) {
+  return (item.uploads || [])
+    .filter(upload => upload.url)
+    .map(upload => upload.path);
+}
+
+// Outbox items are shown as messages until the server copy arrives in the
+// live snapshot. Both are newest-first. Files that haven't been uploaded yet
+// are shown from their local copies.
+export function mergeOutboxMessages(messages, outboxItems) {
+  const delivered = new Set(messages.map(message => message.id));
+  const pending = outboxItems
+    .filter(item => !delivered.has(item.id))
+    .sort((a, b) => b.queuedAt - a.queuedAt)
+    .map(item => ({
+      ...applyUploadUrls(
+        item.message,
+        item.uploads.map(upload => ({
+          ...upload,
+          url: upload.url || upload.localUri,
+        })),
+      ),
+      id: item.id,
+      createdAt: null,
+      outboxStatus: item.status,
+      hasUploads: item.uploads.some(upload => !upload.url),
+    }));
+  return [...pending, ...messages];
+}
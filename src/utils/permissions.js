@@ -0,0 +1,85 @@
+export const ORG_ROLES = {
+  ADMIN: 'admin',
+  MEMBER: 'member',
+};
+
+// Per-group roles live in the group's `roles` map ({ [uid]: role }); members
+// without an entry are plain members
+export const GROUP_ROLES = {
+  OWNER: 'owner',
+  MODERATOR: 'moderator',
+  MEMBER: 'member',
+};
+
+export const ROLE_LABELS = {
+  [ORG_ROLES.ADMIN]: 'Admin',
+  [GROUP_ROLES.OWNER]: 'Owner',
+  [GROUP_ROLES.MODERATOR]: 'Moderator',
+};
+
+export function isOrgAdmin(userData) {
+  return userData?.role === ORG_ROLES.ADMIN;
+}
+
+// Direct conversations have no owner or moderators, whoever started them
+export function groupRole(group, userId) {
+  if (!group || !userId || group.isDirect) {
+    return GROUP_ROLES.MEMBER;
+  }
+  if (group.roles?.[userId]) {
+    return group.roles[userId];
+  }
+  // Groups created before per-group roles only recorded their creator
+  return group.createdBy === userId ? GROUP_ROLES.OWNER : GROUP_ROLES.MEMBER;
+}
+
+function isGroupStaff(userData, group) {
+  const role = groupRole(group, userData?.id);
+  return role === GROUP_ROLES.OWNER || role === GROUP_ROLES.MODERATOR;
+}
+
+export function canCreateGroups(userData) {
+  return isOrgAdmin(userData);
+}
+
+export function canManageUsers(userData) {
+  return isOrgAdmin(userData);
+}
+
+// Anyone can post in a group; channels are limited to admins and group staff
+export function canPostInGroup(userData, group) {
+  if (!group?.isChannel) {
+    return true;
+  }
+  return isOrgAdmin(userData) || isGroupStaff(userData, group);
+}
+
+// Direct conversations always stay between the same two people
+export function canManageMembers(userData, group) {
+  if (group?.isDirect) {
+    return false;
+  }
+  return isOrgAdmin(userData) || isGroupStaff(userData, group);
+}
+
+// Moderators can't remove an owner
+export function canRemoveMember(userData, group, memberId) {
+  if (memberId === userData?.id || !canManageMembers(userData, group)) {
+    return false;
+  }
+  return (
+    isOrgAdmin(userData) || groupRole(group, memberId) !== GROUP_ROLES.OWNER
+  );
+}
+
+// Only owners (and org admins) can hand out or take away moderator rights
+export function canManageGroupRoles(userData, group) {
+  return (
+    isOrgAdmin(userData) || groupRole(group, userData?.id) === GROUP_ROLES.OWNER
+  );
+}
+
+// Deleting other people's messages and reading edit history
+export function canModerateMessages(userData, group) {
+  return isOrgAdmin(userData) || isGroupStaff(userData, group);
+}
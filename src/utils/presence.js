@@ -0,0 +1,73 @@
+export const PRESENCE_STATES = {
+  ONLINE: 'online',
+  AWAY: 'away',
+  OFFLINE: 'offline',
+};
+
+// Foreground clients refresh their presence this often. An app that is
+// killed can't say goodbye, so records that stop refreshing go offline.
+export const PRESENCE_HEARTBEAT_MS = 60 * 1000;
+const ONLINE_STALE_MS = 3 * PRESENCE_HEARTBEAT_MS;
+// Backgrounded apps can't refresh at all, so "away" simply expires
+const AWAY_STALE_MS = 10 * 60 * 1000;
+// People who hide their last seen time only publish it rounded down to this,
+// so nobody reading the database gets the exact time either. Matches
+// firestore.rules.
+export const LAST_SEEN_ROUNDING_MS = 15 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// A server timestamp that hasn't round-tripped yet reads as null
+const updatedAtMillis = (presence, now) =>
+  presence.updatedAt?.toMillis ? presence.updatedAt.toMillis() : now;
+
+export function roundedLastSeenMillis(now = Date.now()) {
+  return now - (now % LAST_SEEN_ROUNDING_MS);
+}
+
+// presence is a workspaces/{id}/presence/{uid} document
+export function presenceState(presence, now = Date.now()) {
+  if (!presence) {
+    return PRESENCE_STATES.OFFLINE;
+  }
+
+  // A rounded time is up to a whole rounding step old the moment it's written
+  const rounding = presence.lastSeenHidden ? LAST_SEEN_ROUNDING_MS : 0;
+  const age = now - updatedAtMillis(presence, now) - rounding;
+  if (presence.state === PRESENCE_STATES.ONLINE && age < ONLINE_STALE_MS) {
+    return PRESENCE_STATES.ONLINE;
+  }
+  if (presence.state === PRESENCE_STATES.AWAY && age < AWAY_STALE_MS) {
+    return PRESENCE_STATES.AWAY;
+  }
+  return PRESENCE_STATES.OFFLINE;
+}
+
+// "online", "away", "last seen 10 min ago", or null when the user hides
+// their last seen time or has never been seen
+export function presenceText(presence, now = Date.now()) {
+  const state = presenceState(presence, now);
+  if (state !== PRESENCE_STATES.OFFLINE) {
+    return state;
+  }
+  if (presence?.lastSeenHidden || !presence?.updatedAt) {
+    return null;
+  }
+
+  const age = Math.max(now - updatedAtMillis(presence, now), 0);
+  if (age < MINUTE_MS) {
+    return 'last seen just now';
+  }
+  if (age < HOUR_MS) {
+    return `last seen ${Math.floor(age / MINUTE_MS)} min ago`;
+  }
+  if (age < DAY_MS) {
+    return `last seen ${Math.floor(age / HOUR_MS)} h ago`;
+  }
+  if (age < 2 * DAY_MS) {
+    return 'last seen yesterday';
+  }
+  return `last seen ${Math.floor(age / DAY_MS)} days ago`;
+}
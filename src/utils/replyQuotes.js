@@ -0,0 +1,60 @@
+// Replies store a snapshot of the message they quote, so the quote renders
+// before the original loads. The live original wins once it has, so quotes
+// follow edits and a deleted original doesn't live on in its replies.
+
+const QUOTE_TEXT_LENGTH = 200;
+
+export const buildReplyPreview = message => ({
+  messageId: message.id,
+  senderId: message.senderId,
+  senderName: message.senderName || 'Unknown User',
+  text: (message.text || '').slice(0, QUOTE_TEXT_LENGTH),
+  mediaType: message.mediaType || null,
+});
+
+const MEDIA_PREVIEW_TEXT = {
+  image: '📷 Photo',
+  file: '📎 File',
+};
+
+export const replyPreviewText = preview => {
+  if (preview.deleted) {
+    return '🚫 This message was deleted';
+  }
+  if (preview.text) {
+    return preview.text;
+  }
+  return MEDIA_PREVIEW_TEXT[preview.mediaType] || 'Message';
+};
+
+// Quoted messages that aren't among the given ones and need fetching
+export function missingQuotedIds(messages) {
+  const loaded = new Set(messages.map(message => message.id));
+  const ids = new Set();
+  messages.forEach(message => {
+    const quotedId = message.replyTo?.messageId;
+    if (quotedId && !loaded.has(quotedId)) {
+      ids.add(quotedId);
+    }
+  });
+  return [...ids];
+}
+
+// originalsById maps ids to the live message, null once it's known not to
+// exist, or nothing while it's loading
+export function withLiveQuote(message, originalsById) {
+  const original = message.replyTo && originalsById[message.replyTo.messageId];
+  if (original === undefined) {
+    return message;
+  }
+
+  const replyTo =
+    original === null || original.deleted
+      ? {...message.replyTo, text: '', mediaType: null, deleted: true}
+      : {
+          ...message.replyTo,
+          text: (original.text || '').slice(0, QUOTE_TEXT_LENGTH),
+          mediaType: original.mediaType || null,
+        };
+  return {...message, replyTo};
+}
@@ -0,0 +1,38 @@
+// Messages store a snapshot of the sender's name and picture from when they
+// were sent. The live profile wins; the snapshot covers deleted accounts and
+// profiles that haven't loaded yet.
+
+export function senderIds(messages) {
+  const ids = new Set();
+  messages.forEach(message => {
+    if (message.senderId) {
+      ids.add(message.senderId);
+    }
+    if (message.replyTo?.senderId) {
+      ids.add(message.replyTo.senderId);
+    }
+  });
+  return [...ids];
+}
+
+export function withSenderIdentity(message, profilesById) {
+  const profile = profilesById[message.senderId];
+  const replyProfile =
+    message.replyTo && profilesById[message.replyTo.senderId];
+  if (!profile && !replyProfile) {
+    return message;
+  }
+
+  const resolved = {...message};
+  if (profile) {
+    resolved.senderName = profile.name || message.senderName;
+    resolved.senderProfilePic = profile.profilePictureUrl || null;
+  }
+  if (replyProfile) {
+    resolved.replyTo = {
+      ...message.replyTo,
+      senderName: replyProfile.name || message.replyTo.senderName,
+    };
+  }
+  return resolved;
+}
@@ -0,0 +1,50 @@
+// The pieces of useTypingIndicator that don't need Firestore
+
+// A typing entry is considered stale this long after it was last refreshed
+export const TYPING_TTL = 6000;
+// Refresh our own entry at most this often while the user keeps typing
+export const TYPING_THROTTLE = 3000;
+
+export function formatTypingText(names) {
+  if (names.length === 0) {
+    return '';
+  }
+  if (names.length === 1) {
+    return `${names[0]} is typing…`;
+  }
+  if (names.length === 2) {
+    return `${names[0]} and ${names[1]} are typing…`;
+  }
+  return `${names.length} people are typing…`;
+}
+
+// Stamps each entry ({id, name, updatedAt}) with when this device first saw
+// its current version. previousSeen is the seen map from the last snapshot:
+// userId -> {updatedAt, seenAt}.
+export function stampTypingEntries(entries, previousSeen, receivedAt) {
+  const seen = {};
+  const stamped = entries.map(entry => {
+    const updatedAt = entry.updatedAt?.toMillis
+      ? entry.updatedAt.toMillis()
+      : null;
+    const previous = previousSeen[entry.id];
+    const seenAt =
+      previous && previous.updatedAt === updatedAt
+        ? previous.seenAt
+        : receivedAt;
+    seen[entry.id] = {updatedAt, seenAt};
+    return {...entry, seenAt};
+  });
+  return {entries: stamped, seen};
+}
+
+// Names of everyone but the user whose entry is still fresh
+export function activeTypingNames(entries, userId, now) {
+  return entries
+    .filter(entry => entry.id !== userId && entry.seenAt + TYPING_TTL > now)
+    .map(entry => entry.name);
+}
+
+export function shouldPublishTyping(lastPublishedAt, now) {
+  return now - lastPublishedAt >= TYPING_THROTTLE;
+}
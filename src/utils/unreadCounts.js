@@ -0,0 +1,18 @@
+// Counts above this are shown as "99+"
+export const UNREAD_COUNT_LIMIT = 99;
+
+export function formatUnreadCount(count) {
+  return count > UNREAD_COUNT_LIMIT ? `${UNREAD_COUNT_LIMIT}+` : `${count}`;
+}
+
+// messages are a group's activity since the user's read marker. The user's
+// own messages and deleted ones don't count.
+export function countUnread(messages, userId) {
+  const unread = messages.filter(
+    message => message.senderId !== userId && !message.deleted,
+  );
+  const mentions = unread.filter(message =>
+    (message.mentionIds || []).includes(userId),
+  ).length;
+  return {total: unread.length, mentions};
+}
@@ -0,0 +1,30 @@
+// Error code for a username that belongs to someone else, alongside the
+// auth/... codes screens already switch on
+export const USERNAME_TAKEN = 'username/taken';
+
+export const MAX_USERNAME_LENGTH = 30;
+
+// Usernames are stored lowercase and double as document ids in `usernames`
+export function normalizeUsername(username) {
+  return (username || '').trim().toLowerCase();
+}
+
+// What's wrong with a normalized username, or null if it's fine
+export function usernameError(username) {
+  if (!username) {
+    return 'Please enter a username';
+  }
+  if (!/^[a-z0-9_]+$/.test(username)) {
+    return 'Username can only contain letters, numbers, and underscores';
+  }
+  if (username.length > MAX_USERNAME_LENGTH) {
+    return `Username can be at most ${MAX_USERNAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+export function usernameTakenError() {
+  const error = new Error('Username already taken');
+  error.code = USERNAME_TAKEN;
+  return error;
+}
@@ -0,0 +1,67 @@
+import {ORG_ROLES} from './permissions';
+
+export const MAX_WORKSPACE_NAME_LENGTH = 50;
+
+// Anyone can get an address at these, so they can't decide who joins a
+// workspace
+export const PUBLIC_EMAIL_DOMAINS = [
+  'gmail.com',
+  'googlemail.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'yahoo.com',
+  'icloud.com',
+  'me.com',
+  'aol.com',
+  'proton.me',
+  'protonmail.com',
+];
+
+export function workspaceNameError(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    return 'Please enter a workspace name';
+  }
+  if (trimmed.length > MAX_WORKSPACE_NAME_LENGTH) {
+    return `Workspace names can be at most ${MAX_WORKSPACE_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+export function emailDomain(email) {
+  const at = (email || '').lastIndexOf('@');
+  if (at === -1) {
+    return null;
+  }
+  return (
+    email
+      .slice(at + 1)
+      .trim()
+      .toLowerCase() || null
+  );
+}
+
+// The domain a new workspace can let its colleagues join with, if any
+export function claimableDomain(email) {
+  const domain = emailDomain(email);
+  return domain && !PUBLIC_EMAIL_DOMAINS.includes(domain) ? domain : null;
+}
+
+// Invited people, and anyone with an address at the workspace's domain
+export function canJoinWorkspace(workspace, email) {
+  const normalized = (email || '').toLowerCase();
+  return (
+    (workspace.invitedEmails || []).includes(normalized) ||
+    (workspace.ownerEmails || []).includes(normalized) ||
+    (!!workspace.emailDomain &&
+      emailDomain(normalized) === workspace.emailDomain)
+  );
+}
+
+// Emails an admin invited as owners join as admins; everyone else as members
+export function joinRole(workspace, email) {
+  return (workspace.ownerEmails || []).includes((email || '').toLowerCase())
+    ? ORG_ROLES.ADMIN
+    : ORG_ROLES.MEMBER;
+}